@@ -3,59 +3,99 @@ class GraphApp {
     constructor() {
         this.canvas = document.getElementById('graphCanvas');
         this.ctx = this.canvas.getContext('2d');
+        this.lastResult = null;
+        this.solverRevision = null; // graph revision the running calculation started from
+        this.denseNodeLimit = 1500; // larger graphs need a partial (sparse) spectrum
+        this.autosaveTimer = null;
+        this.recomputeTimer = null; // debounce for live spectrum updates
+        this.resistanceShading = false; // edges shaded by effective resistance
+        this.resistanceCache = null; // { revision, result } from effectiveResistance.compute()
+        this.resistanceTimer = null;
+        this.diffusionRevision = null; // graph revision the canvas shows diffusion for, null when off
+        this.exactRevision = null; // graph revision of the exact polynomial on screen
+        this.compareCanvas = document.getElementById('compareCanvas');
+        this.comparing = false; // graph B shown next to graph A
+        this.comparisonTimer = null;
+        this.operationRevision = null; // graph revision the predicted spectrum on screen belongs to
+        this.clipboard = null; // induced subgraph spec copied from the selection
+        this.pasteCount = 0; // each paste of the same copy lands a little further away
+        this.selectionDrag = null; // { type: 'box' | 'group', x, y, additive, moved }
+        this.subgraphRevision = null; // graph revision the induced subgraph spectrum belongs to
+        this.panDrag = null; // { target, x, y, moved, minimap } while the view is dragged
+        this.keyboardStep = 10; // CSS pixels a node moves per Shift+arrow
+        this.maxDescribedNodes = 500; // longer adjacency lists are cut off
+        this.descriptionTimer = null;
+        this.announceTimers = { status: null, alert: null };
         this.setupEventListeners();
         this.initializeUI();
     }
 
+    // Pointer position on the canvas of the target graph in CSS pixels; the
+    // canvas may be displayed at a different size than it was last resized to
+    getScreenPoint(target, e) {
+        const rect = target.getCanvas().getBoundingClientRect();
+        const { width, height } = target.getViewSize();
+        const scaleX = rect.width > 0 ? width / rect.width : 1;
+        const scaleY = rect.height > 0 ? height / rect.height : 1;
+        return { x: (e.clientX - rect.left) * scaleX, y: (e.clientY - rect.top) * scaleY };
+    }
+
+    // Pointer position in the world coordinates of the target graph
+    getGraphPoint(target, e) {
+        const screen = this.getScreenPoint(target, e);
+        return target.screenToWorld(screen.x, screen.y);
+    }
+
     setupEventListeners() {
-        // Canvas click events
-        this.canvas.addEventListener('click', (e) => {
-            const rect = this.canvas.getBoundingClientRect();
-            const x = e.clientX - rect.left;
-            const y = e.clientY - rect.top;
-            graph.handleClick(x, y);
-        });
-
-        // Mouse events for dragging
-        this.canvas.addEventListener('mousedown', (e) => {
-            const rect = this.canvas.getBoundingClientRect();
-            const x = e.clientX - rect.left;
-            const y = e.clientY - rect.top;
-            const node = graph.getNodeAt(x, y);
-            
-            if (node && graph.mode === 'addNode') {
-                node.isDragging = true;
-                this.canvas.style.cursor = 'grabbing';
-            }
-        });
+        this.setupCompareCanvas();
+        this.setupCanvasResizing();
 
-        this.canvas.addEventListener('mousemove', (e) => {
-            const rect = this.canvas.getBoundingClientRect();
-            const x = e.clientX - rect.left;
-            const y = e.clientY - rect.top;
-            
-            const draggingNode = graph.nodes.find(node => node.isDragging);
-            if (draggingNode) {
-                graph.moveNode(draggingNode.id, x, y);
-            }
+        // Taps, drags, long presses and pinches from mouse, pen and touch
+        this.canvasInput = new PointerInput(this.canvas, {
+            down: e => this.startCanvasPress(e),
+            move: e => this.moveCanvasPress(e),
+            up: () => this.endCanvasPress(true),
+            cancel: () => this.endCanvasPress(false),
+            tap: e => this.tapCanvas(e),
+            doubleTap: e => this.doubleTapCanvas(e),
+            longPress: e => this.longPressCanvas(e),
+            hover: e => {
+                const { x, y } = this.getGraphPoint(graph, e);
+                graph.setHoveredNode(graph.getNodeAt(x, y));
+            },
+            leave: () => graph.setHoveredNode(null),
+            pinch: gesture => this.pinchView(graph, gesture)
         });
 
-        this.canvas.addEventListener('mouseup', (e) => {
-            graph.nodes.forEach(node => {
-                if (node.isDragging) {
-                    node.isDragging = false;
-                }
-            });
-            this.canvas.style.cursor = this.getCursorForMode(graph.mode);
+        // The focus ring on the focused node shows only while the canvas has focus
+        this.canvas.addEventListener('focus', () => graph.setShowFocus(true));
+        this.canvas.addEventListener('blur', () => graph.setShowFocus(false));
+        document.getElementById('graphDescription').addEventListener('toggle', () => {
+            this.updateGraphDescription();
         });
 
-        this.canvas.addEventListener('mouseleave', (e) => {
-            graph.nodes.forEach(node => {
-                if (node.isDragging) {
-                    node.isDragging = false;
-                }
-            });
-        });
+        // Scroll to zoom. Over an edge scrolling changes its weight instead
+        // (Shift for fine steps) unless Ctrl is held, as in trackpad pinches.
+        this.canvas.addEventListener('wheel', (e) => {
+            const screen = this.getScreenPoint(graph, e);
+            const { x, y } = graph.screenToWorld(screen.x, screen.y);
+            const edge = e.ctrlKey ? null : graph.getEdgeAt(x, y);
+            
+            e.preventDefault();
+            if (!edge) {
+                this.zoomWithWheel(graph, screen, e);
+                return;
+            }
+            const step = e.shiftKey ? 0.1 : 1;
+            const direction = e.deltaY < 0 ? 1 : -1;
+            const weight = Math.round((edge.weight + direction * step) * 10) / 10;
+            // Weights stop at the fine step, or stay put if already below it
+            const minimum = Math.min(0.1, edge.weight);
+            // Scrolling on the same edge undoes as one step
+            graphHistory.record('Change edge weight', () => {
+                graph.setEdgeWeight(edge.id, Math.max(minimum, weight));
+            }, `weight-${edge.id}`);
+        }, { passive: false });
 
         // Mode selection
         const modeRadios = document.querySelectorAll('input[name="mode"]');
@@ -77,24 +117,335 @@ class GraphApp {
             this.updateModeUI();
         });
 
+        document.getElementById('measureBtn').addEventListener('click', () => {
+            graph.setMode('measure');
+            this.updateModeUI();
+        });
+
+        document.getElementById('zoomInBtn').addEventListener('click', () => {
+            this.zoomView(1.25);
+        });
+
+        document.getElementById('zoomOutBtn').addEventListener('click', () => {
+            this.zoomView(0.8);
+        });
+
+        document.getElementById('fitViewBtn').addEventListener('click', () => {
+            graph.fitView();
+        });
+
+        document.getElementById('selectModeBtn').addEventListener('click', () => {
+            graph.setMode('select');
+            this.updateModeUI();
+        });
+
+        document.getElementById('selectAllBtn').addEventListener('click', () => {
+            this.selectAll();
+        });
+
+        document.getElementById('copySelectionBtn').addEventListener('click', () => {
+            this.copySelection();
+        });
+
+        document.getElementById('pasteBtn').addEventListener('click', () => {
+            this.pasteClipboard();
+        });
+
+        document.getElementById('duplicateSelectionBtn').addEventListener('click', () => {
+            this.duplicateSelection();
+        });
+
+        document.getElementById('deleteSelectionBtn').addEventListener('click', () => {
+            this.deleteSelection();
+        });
+
+        document.getElementById('subgraphSpectrumBtn').addEventListener('click', () => {
+            this.displaySubgraphSpectrum();
+        });
+
+        document.getElementById('heatModeBtn').addEventListener('click', () => {
+            graph.setMode('heat');
+            this.updateModeUI();
+        });
+
+        document.getElementById('clearHeatBtn').addEventListener('click', () => {
+            if (this.diffusionRevision !== null) {
+                graph.clearVertexColoring();
+            }
+            this.stopDiffusion();
+            diffusionSimulator.clearHeat();
+            this.updateDiffusionControls();
+        });
+
+        document.getElementById('diffusionMode').addEventListener('change', (e) => {
+            diffusionSimulator.pause();
+            diffusionSimulator.setMode(e.target.value);
+            document.getElementById('dampingGroup').hidden = e.target.value !== 'randomWalk';
+            this.refreshDiffusion();
+        });
+
+        document.getElementById('damping').addEventListener('change', (e) => {
+            try {
+                diffusionSimulator.setDamping(parseFloat(e.target.value));
+                this.refreshDiffusion();
+            } catch (error) {
+                e.target.value = diffusionSimulator.damping;
+                document.getElementById('diffusionInfo').textContent = error.message;
+            }
+        });
+
+        document.getElementById('diffusionTime').addEventListener('input', (e) => {
+            diffusionSimulator.pause();
+            diffusionSimulator.time = parseFloat(e.target.value);
+            this.renderDiffusion();
+        });
+
+        document.getElementById('diffusionPlayBtn').addEventListener('click', () => {
+            this.toggleDiffusionPlayback();
+        });
+
+        document.getElementById('diffusionResetBtn').addEventListener('click', () => {
+            diffusionSimulator.pause();
+            diffusionSimulator.time = 0;
+            this.refreshDiffusion();
+        });
+
+        document.getElementById('operationType').addEventListener('change', (e) => {
+            document.getElementById('operandGroup').hidden = !graphOperations.getOperations()[e.target.value].binary;
+        });
+
+        document.getElementById('applyOperationBtn').addEventListener('click', () => {
+            this.applyOperation(document.getElementById('operationType').value);
+        });
+
+        document.getElementById('compareBtn').addEventListener('click', () => {
+            this.setComparing(!this.comparing);
+        });
+
+        document.getElementById('loadPresetBtn').addEventListener('click', () => {
+            this.loadComparisonPreset(document.getElementById('comparePreset').value);
+        });
+
+        document.getElementById('copyToCompareBtn').addEventListener('click', () => {
+            graphComparison.copyFrom(graph);
+        });
+
+        document.getElementById('swapCompareBtn').addEventListener('click', () => {
+            graphLayout.stop();
+            graphHistory.record('Swap graphs A and B', () => graphComparison.swap(graph));
+        });
+
+        document.getElementById('clearCompareBtn').addEventListener('click', () => {
+            graphComparison.graph.clear();
+        });
+
+        document.getElementById('exactPolynomialBtn').addEventListener('click', () => {
+            this.displayExactPolynomial();
+        });
+
+        document.getElementById('shadeResistanceBtn').addEventListener('click', () => {
+            this.resistanceShading = !this.resistanceShading;
+            this.refreshResistance();
+        });
+
         document.getElementById('clearGraphBtn').addEventListener('click', () => {
             if (confirm('Are you sure you want to clear the entire graph?')) {
-                graph.clear();
+                graphHistory.record('Clear graph', () => graph.clear());
                 this.clearResults();
             }
         });
 
+        // Undo and redo
+        document.getElementById('undoBtn').addEventListener('click', () => {
+            graphLayout.stop();
+            graphHistory.undo();
+        });
+
+        document.getElementById('redoBtn').addEventListener('click', () => {
+            graphLayout.stop();
+            graphHistory.redo();
+        });
+
+        graphHistory.addListener(() => {
+            this.updateHistoryUI();
+        });
+
+        graph.addChangeListener(() => {
+            this.discardStaleCalculation();
+            this.scheduleRecompute();
+            this.scheduleResistanceRefresh();
+            // Edits clear the node colors; show the diffusion on the new graph
+            if (this.diffusionRevision !== null && this.diffusionRevision !== graph.revision) {
+                this.renderDiffusion();
+            }
+            if (this.exactRevision !== null && this.exactRevision !== graph.revision) {
+                this.clearExactPolynomial();
+            }
+            this.scheduleComparison();
+            if (this.operationRevision !== null && this.operationRevision !== graph.revision) {
+                this.operationRevision = null;
+                document.getElementById('operationResults').hidden = true;
+            }
+            if (this.subgraphRevision !== null && this.subgraphRevision !== graph.revision) {
+                this.subgraphRevision = null;
+                document.getElementById('subgraphResults').hidden = true;
+            }
+            this.updateSelectionUI();
+            this.scheduleGraphDescription();
+        });
+
+        document.getElementById('autoRecompute').addEventListener('change', (e) => {
+            localStorage.setItem('autoRecompute', e.target.checked);
+            if (e.target.checked) {
+                this.scheduleRecompute();
+            }
+        });
+
+        document.getElementById('spectrumPlotView').addEventListener('change', (e) => {
+            spectrumPlot.setView(e.target.value);
+        });
+
         document.getElementById('calculateBtn').addEventListener('click', () => {
             this.calculateEigenvalues();
         });
 
+        // Graph generators
+        document.getElementById('generatorFamily').addEventListener('change', () => {
+            this.renderGeneratorParams();
+        });
+
+        document.getElementById('generateBtn').addEventListener('click', () => {
+            this.generateGraph();
+        });
+
+        // Import and export
+        document.getElementById('importBtn').addEventListener('click', () => {
+            document.getElementById('importFile').click();
+        });
+
+        document.getElementById('importFile').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.importFile(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+
+        document.getElementById('exportBtn').addEventListener('click', () => {
+            this.exportGraph(document.getElementById('exportFormat').value);
+        });
+
+        document.getElementById('savePngBtn').addEventListener('click', () => {
+            resultExporter.canvasToPNG(graph, blob => this.downloadFile(blob, 'graph.png', 'image/png'));
+        });
+
+        document.getElementById('saveSvgBtn').addEventListener('click', () => {
+            this.downloadFile(resultExporter.graphToSVG(graph), 'graph.svg', 'image/svg+xml');
+        });
+
+        document.getElementById('exportMatrixBtn').addEventListener('click', () => {
+            this.exportResults('matrix');
+        });
+
+        document.getElementById('exportSpectrumBtn').addEventListener('click', () => {
+            this.exportResults('spectrum');
+        });
+
+        // Saved graphs and share links
+        document.getElementById('saveGraphBtn').addEventListener('click', () => {
+            this.saveGraphAs();
+        });
+
+        document.getElementById('openGraphBtn').addEventListener('click', () => {
+            this.openSavedGraph();
+        });
+
+        document.getElementById('renameGraphBtn').addEventListener('click', () => {
+            this.renameSavedGraph();
+        });
+
+        document.getElementById('duplicateGraphBtn').addEventListener('click', () => {
+            this.duplicateSavedGraph();
+        });
+
+        document.getElementById('deleteGraphBtn').addEventListener('click', () => {
+            this.deleteSavedGraph();
+        });
+
+        document.getElementById('shareLinkBtn').addEventListener('click', () => {
+            this.copyShareLink();
+        });
+
+        window.addEventListener('hashchange', () => {
+            this.loadFromHash();
+        });
+
+        this.canvas.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            this.canvas.classList.add('drop-target');
+        });
+
+        this.canvas.addEventListener('dragleave', () => {
+            this.canvas.classList.remove('drop-target');
+        });
+
+        this.canvas.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.canvas.classList.remove('drop-target');
+            if (e.dataTransfer.files.length > 0) {
+                this.importFile(e.dataTransfer.files[0]);
+            }
+        });
+
+        document.getElementById('graphType').addEventListener('change', (e) => {
+            const directed = e.target.value === 'directed';
+            graphHistory.record(directed ? 'Make directed' : 'Make undirected', () => graph.setDirected(directed));
+            this.updateGraphTypeUI();
+            if (this.lastResult) {
+                this.calculateEigenvalues();
+            }
+        });
+
+        document.getElementById('degreeType').addEventListener('change', (e) => {
+            const showingExact = this.exactRevision !== null;
+            graph.setDegreeType(e.target.value);
+            if (this.lastResult) {
+                this.calculateEigenvalues();
+            }
+            if (showingExact) {
+                this.displayExactPolynomial();
+            }
+        });
+
+        document.getElementById('matrixType').addEventListener('change', (e) => {
+            const showingExact = this.exactRevision !== null;
+            graph.setMatrixType(e.target.value);
+            document.getElementById('matrixTitle').textContent = graph.getMatrixTypes()[graph.matrixType];
+            // Refresh results that were computed for the previous matrix
+            if (this.lastResult) {
+                this.calculateEigenvalues();
+            }
+            if (showingExact) {
+                this.displayExactPolynomial();
+            }
+        });
+
+        document.getElementById('spectrumMode').addEventListener('change', (e) => {
+            const partial = e.target.value !== 'all';
+            document.getElementById('spectrumCount').hidden = !partial;
+            document.getElementById('spectrumCountLabel').hidden = !partial;
+        });
+
+        document.getElementById('spectralClusterBtn').addEventListener('click', () => {
+            this.spectralCluster();
+        });
+
         document.getElementById('deleteBtn').addEventListener('click', () => {
             graph.setMode('delete');
             this.updateModeUI();
         });
 
         document.getElementById('autoLayoutBtn').addEventListener('click', () => {
-            graph.autoLayoutDisconnectedComponents();
+            this.applyLayout(document.getElementById('layoutType').value);
         });
 
         // Dark mode toggle
@@ -105,43 +456,901 @@ class GraphApp {
 
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
+            // Typing in a field never triggers shortcuts
+            if (this.isTextInput(e.target)) return;
+            // The focused canvas takes the keys that edit at the focused node
+            if (e.target === this.canvas && this.handleCanvasKey(e)) return;
             switch(e.key) {
                 case 'n':
                 case 'N':
+                    if (e.ctrlKey || e.metaKey) break;
                     graph.setMode('addNode');
                     this.updateModeUI();
                     break;
                 case 'e':
                 case 'E':
+                    if (e.ctrlKey || e.metaKey) break;
                     graph.setMode('addEdge');
                     this.updateModeUI();
                     break;
                 case 'd':
                 case 'D':
+                    if (e.ctrlKey || e.metaKey) {
+                        e.preventDefault();
+                        this.duplicateSelection();
+                        break;
+                    }
                     graph.setMode('delete');
                     this.updateModeUI();
                     break;
+                case 's':
+                case 'S':
+                    if (e.ctrlKey || e.metaKey) break;
+                    graph.setMode('select');
+                    this.updateModeUI();
+                    break;
+                case 'a':
+                case 'A':
+                    if (e.ctrlKey || e.metaKey) {
+                        e.preventDefault();
+                        this.selectAll();
+                    }
+                    break;
                 case 'c':
                 case 'C':
+                    if ((e.ctrlKey || e.metaKey) && graph.selection.size > 0) {
+                        e.preventDefault();
+                        this.copySelection();
+                    }
+                    break;
+                case 'v':
+                case 'V':
+                    if ((e.ctrlKey || e.metaKey) && this.clipboard) {
+                        e.preventDefault();
+                        this.pasteClipboard();
+                    }
+                    break;
+                case 'Delete':
+                case 'Backspace':
+                    if (graph.selection.size > 0) {
+                        e.preventDefault();
+                        this.deleteSelection();
+                    }
+                    break;
+                case 'm':
+                case 'M':
+                    if (e.ctrlKey || e.metaKey) break;
+                    graph.setMode('measure');
+                    this.updateModeUI();
+                    break;
+                case 'h':
+                case 'H':
+                    if (e.ctrlKey || e.metaKey) break;
+                    graph.setMode('heat');
+                    this.updateModeUI();
+                    break;
+                case 'z':
+                case 'Z':
                     if (e.ctrlKey || e.metaKey) {
                         e.preventDefault();
-                        if (confirm('Are you sure you want to clear the entire graph?')) {
-                            graph.clear();
-                            this.clearResults();
+                        graphLayout.stop();
+                        if (e.shiftKey) {
+                            graphHistory.redo();
+                        } else {
+                            graphHistory.undo();
                         }
                     }
                     break;
+                case 'y':
+                case 'Y':
+                    if (e.ctrlKey || e.metaKey) {
+                        e.preventDefault();
+                        graphLayout.stop();
+                        graphHistory.redo();
+                    }
+                    break;
+                case 'f':
+                case 'F':
+                    if (e.ctrlKey || e.metaKey) break;
+                    graph.fitView();
+                    break;
+                case '+':
+                case '=':
+                    if (e.ctrlKey || e.metaKey) break;
+                    this.zoomView(1.25);
+                    break;
+                case '-':
+                    if (e.ctrlKey || e.metaKey) break;
+                    this.zoomView(0.8);
+                    break;
                 case 'Enter':
+                    // Enter on a button or link activates it instead
+                    if (e.target.closest && e.target.closest('button, a, summary, [role="button"]')) break;
                     this.calculateEigenvalues();
                     break;
+                case 'Escape':
+                    this.cancelCalculation();
+                    graph.clearSelection();
+                    this.updateSelectionUI();
+                    break;
+            }
+        });
+    }
+
+    // Start of a press on the main canvas: move the view, start a node or
+    // group drag, or a selection box. Returns true when the press is not an edit.
+    startCanvasPress(e) {
+        const screen = this.getScreenPoint(graph, e);
+        const { x, y } = graph.screenToWorld(screen.x, screen.y);
+        const node = graph.getNodeAt(x, y);
+        graphLayout.stop();
+        
+        // The minimap and the middle button always move the view
+        if (this.startPan(graph, screen, e)) return true;
+        if (node && !e.shiftKey && graph.mode === 'select' && !graph.selection.has(node.id)) {
+            graph.setSelection([node.id]);
+            this.updateSelectionUI();
+        }
+        if (node && !e.shiftKey && graph.selection.has(node.id) && (graph.mode === 'select' || graph.mode === 'addNode')) {
+            // Dragging a selected node moves the whole selection as one step
+            graphHistory.begin('Move selection');
+            this.selectionDrag = { type: 'group', x, y, moved: false };
+            this.canvas.style.cursor = 'grabbing';
+        } else if (!node && this.isSelecting(e)) {
+            this.selectionDrag = { type: 'box', x, y, additive: e.shiftKey, moved: false };
+        } else if (node && graph.mode === 'addNode' && !e.shiftKey) {
+            // The whole drag is undone as one step
+            graphHistory.begin('Move node');
+            node.isDragging = true;
+            this.canvas.style.cursor = 'grabbing';
+        } else if (!node) {
+            // Dragging the background pans; a tap without movement still edits
+            this.panDrag = { target: graph, x: screen.x, y: screen.y, moved: false };
+        }
+        return false;
+    }
+
+    moveCanvasPress(e) {
+        const screen = this.getScreenPoint(graph, e);
+        const { x, y } = graph.screenToWorld(screen.x, screen.y);
+        
+        if (this.panDrag) {
+            this.dragPan(screen);
+        }
+        if (this.selectionDrag) {
+            this.dragSelection(x, y);
+        }
+        const draggingNode = graph.nodes.find(node => node.isDragging);
+        if (draggingNode) {
+            graph.moveNode(draggingNode.id, x, y);
+        }
+    }
+
+    // End the press; a cancelled press (second finger, long press) keeps
+    // what was dragged so far but selects nothing
+    endCanvasPress(completed) {
+        this.finishPan();
+        this.finishSelectionDrag(completed);
+        graph.nodes.forEach(node => {
+            if (node.isDragging) {
+                node.isDragging = false;
             }
         });
+        graphHistory.end();
+        this.canvas.style.cursor = this.getCursorForMode(graph.mode);
+    }
+
+    tapCanvas(e) {
+        const { x, y } = this.getGraphPoint(graph, e);
+        if (this.isSelecting(e)) {
+            this.selectAt(x, y, e.shiftKey);
+            return;
+        }
+        if (graph.mode === 'heat') {
+            this.placeHeat(x, y, e.shiftKey);
+            return;
+        }
+        graphHistory.begin();
+        graphHistory.end(graph.handleClick(x, y));
+        if (graph.mode === 'measure') {
+            this.updateResistancePair();
+        }
+    }
+
+    // Double-tap a node to pin or unpin it, or an edge to edit its weight
+    doubleTapCanvas(e) {
+        const { x, y } = this.getGraphPoint(graph, e);
+        const node = graph.getNodeAt(x, y);
+        if (node && graph.mode !== 'delete') {
+            graphHistory.record(node.isPinned ? 'Unpin node' : 'Pin node', () => graph.togglePin(node.id));
+            return;
+        }
+        const edge = graph.getEdgeAt(x, y);
+        if (edge) {
+            this.editEdgeWeight(edge);
+        }
+    }
+
+    // Long-press a node or edge to delete it; a node of a larger selection
+    // deletes the whole selection
+    longPressCanvas(e) {
+        this.endCanvasPress(false);
+        const { x, y } = this.getGraphPoint(graph, e);
+        const node = graph.getNodeAt(x, y);
+        if (node && graph.selection.has(node.id) && graph.selection.size > 1) {
+            this.deleteSelection();
+        } else if (node) {
+            graphHistory.record('Delete node', () => graph.removeNode(node.id));
+        } else {
+            const edge = graph.getEdgeAt(x, y);
+            if (edge) {
+                graphHistory.record('Delete edge', () => graph.removeEdge(edge.id));
+            }
+        }
+    }
+
+    // Two-finger pinch: zoom about the midpoint and follow it
+    pinchView(target, gesture) {
+        const previous = this.getScreenPoint(target, gesture.previous);
+        const current = this.getScreenPoint(target, gesture.current);
+        target.panBy(current.x - previous.x, current.y - previous.y);
+        target.zoomAt(current.x, current.y, gesture.scale);
+    }
+
+    // Keys on the focused canvas: Tab and the arrows move between nodes,
+    // Shift+arrows move the focused node, I (or Insert) adds a node, Space
+    // connects or disconnects two nodes and Delete removes the focused node.
+    // Returns true when the key was used.
+    handleCanvasKey(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return false;
+        const node = graph.getFocusedNode();
+        const directions = {
+            ArrowLeft: { dx: -1, dy: 0, name: 'left' },
+            ArrowRight: { dx: 1, dy: 0, name: 'right' },
+            ArrowUp: { dx: 0, dy: -1, name: 'above' },
+            ArrowDown: { dx: 0, dy: 1, name: 'below' }
+        };
+        switch (e.key) {
+            case 'Tab':
+                // Past the last node Tab leaves the canvas as usual
+                if (!this.cycleFocus(e.shiftKey ? -1 : 1)) return false;
+                break;
+            case 'ArrowLeft':
+            case 'ArrowRight':
+            case 'ArrowUp':
+            case 'ArrowDown':
+                const direction = directions[e.key];
+                if (!node) {
+                    this.cycleFocus(1);
+                } else if (e.shiftKey) {
+                    this.moveFocusedNode(direction.dx, direction.dy);
+                } else {
+                    const next = graph.getNodeInDirection(node, direction.dx, direction.dy);
+                    if (next) {
+                        this.focusGraphNode(next);
+                    } else {
+                        this.announce(`No node ${direction.name} node ${node.label}`);
+                    }
+                }
+                break;
+            case 'i':
+            case 'I':
+            case 'Insert':
+                this.insertNodeFromKeyboard();
+                break;
+            case ' ':
+                if (!node) return false;
+                this.connectFocusedNode();
+                break;
+            case 'Delete':
+            case 'Backspace':
+                // A selection is deleted as a whole by the global shortcut
+                if (!node || graph.selection.size > 0) return false;
+                this.deleteFocusedNode();
+                break;
+            case 'Escape':
+                if (graph.selectedNode) {
+                    graph.selectedNode = null;
+                    graph.draw();
+                    this.announce('Edge start cleared');
+                }
+                return false;
+            default:
+                return false;
+        }
+        e.preventDefault();
+        return true;
+    }
+
+    // Focus the next (step 1) or previous (step -1) node in node order;
+    // false when there is none and the focus should leave the canvas
+    cycleFocus(step) {
+        const node = graph.getFocusedNode();
+        const i = node ? graph.getNodeIndex().get(node.id) + step : (step > 0 ? 0 : graph.nodes.length - 1);
+        if (i < 0 || i >= graph.nodes.length) {
+            graph.focusNode(null);
+            return false;
+        }
+        this.focusGraphNode(graph.nodes[i]);
+        return true;
+    }
+
+    focusGraphNode(node) {
+        graph.focusNode(node.id);
+        this.announce(this.describeNode(node));
+    }
+
+    // Move the focused node by one step, or the whole selection when the
+    // node is part of it; repeated presses are undone together
+    moveFocusedNode(dx, dy) {
+        const node = graph.getFocusedNode();
+        const step = this.keyboardStep / graph.view.scale;
+        graphLayout.stop();
+        if (graph.selection.has(node.id)) {
+            graphHistory.record('Move selection', () => graph.translateNodes(graph.getSelectedIds(), dx * step, dy * step), 'keyboard-move-selection');
+        } else {
+            graphHistory.record('Move node', () => graph.moveNode(node.id, node.x + dx * step, node.y + dy * step), `keyboard-move-${node.id}`);
+        }
+        graph.focusNode(node.id);
+    }
+
+    // Add a node in the first free spot around the focused node (or in the
+    // middle of the view) and focus it
+    insertNodeFromKeyboard() {
+        const focused = graph.getFocusedNode();
+        const visible = graph.getVisibleRect();
+        const center = focused || { x: visible.x + visible.width / 2, y: visible.y + visible.height / 2 };
+        const spots = focused ? [] : [center];
+        for (let ring = 1; ring <= 3; ring++) {
+            for (let k = 0; k < 8; k++) {
+                const angle = k * Math.PI / 4;
+                spots.push({ x: center.x + 60 * ring * Math.cos(angle), y: center.y + 60 * ring * Math.sin(angle) });
+            }
+        }
+        const spot = spots.find(({ x, y }) => graph.nodes.every(other => Math.hypot(other.x - x, other.y - y) >= 45)) || spots[0];
+        graphLayout.stop();
+        const node = graphHistory.record('Add node', () => graph.addNode(spot.x, spot.y));
+        graph.focusNode(node.id);
+        this.announce(`Added node ${node.label}`);
+    }
+
+    // Space marks the focused node as the start of an edge; Space on a second
+    // node adds the edge between them, or removes it when there is one
+    connectFocusedNode() {
+        const node = graph.getFocusedNode();
+        const start = graph.selectedNode ? graph.getNodeById(graph.selectedNode.id) : null;
+        if (!start || start.id === node.id) {
+            graph.selectedNode = start ? null : node;
+            graph.draw();
+            this.announce(start
+                ? 'Edge start cleared'
+                : `Node ${node.label} marked as edge start. Move to another node and press Space to connect them.`);
+            return;
+        }
+        graph.selectedNode = null;
+        graphLayout.stop();
+        const arrow = graph.isDirected ? 'from node' : 'between nodes';
+        const pair = graph.isDirected ? `${start.label} to ${node.label}` : `${start.label} and ${node.label}`;
+        const edge = graph.findEdge(start.id, node.id);
+        if (edge) {
+            graphHistory.record('Delete edge', () => graph.removeEdge(edge.id));
+            this.announce(`Removed edge ${arrow} ${pair}`);
+        } else {
+            graphHistory.record('Add edge', () => graph.addEdge(start, node));
+            this.announce(`Added edge ${arrow} ${pair}`);
+        }
+    }
+
+    // The focus moves on to the next node (or the previous one for the last)
+    deleteFocusedNode() {
+        const node = graph.getFocusedNode();
+        const i = graph.getNodeIndex().get(node.id);
+        const next = graph.nodes[i + 1] || graph.nodes[i - 1] || null;
+        graphLayout.stop();
+        graphHistory.record('Delete node', () => graph.removeNode(node.id));
+        graph.focusNode(next ? next.id : null);
+        this.announce(`Deleted node ${node.label}` + (next ? `. ${this.describeNode(next)}` : ''));
+    }
+
+    // "Node 3, 2 neighbors: 1, 4 (weight 2)" for announcements
+    describeNode(node) {
+        const entry = graph.getAdjacencyList().find(item => item.node === node);
+        const neighbors = entry ? entry.neighbors : [];
+        const noun = graph.isDirected ? 'outgoing edge' : 'neighbor';
+        const count = `${neighbors.length} ${noun}${neighbors.length === 1 ? '' : 's'}`;
+        const pinned = node.isPinned ? ', pinned' : '';
+        return neighbors.length === 0
+            ? `Node ${node.label}${pinned}, no ${noun}s`
+            : `Node ${node.label}${pinned}, ${count}: ${this.formatNeighbors(neighbors)}`;
+    }
+
+    formatNeighbors(neighbors) {
+        return neighbors
+            .map(({ node, weight }) => weight === 1 ? `${node.label}` : `${node.label} (weight ${graph.formatWeight(weight)})`)
+            .join(', ');
+    }
+
+    // Text version of the graph: a one-line summary, and the adjacency list
+    // while the description is open
+    updateGraphDescription() {
+        const n = graph.nodes.length;
+        const m = graph.edges.length;
+        document.getElementById('graphSummary').textContent =
+            `${graph.isDirected ? 'Directed' : 'Undirected'} graph with ${n} node${n === 1 ? '' : 's'} and ${m} edge${m === 1 ? '' : 's'}.`;
+
+        const details = document.getElementById('graphDescription');
+        const list = document.getElementById('adjacencyList');
+        if (!details.open) {
+            list.innerHTML = '';
+            return;
+        }
+        const escape = text => this.escapeHTML(text);
+        const entries = graph.getAdjacencyList();
+        const separator = graph.isDirected ? ' → ' : ': ';
+        let html = entries.slice(0, this.maxDescribedNodes).map(({ node, neighbors }) =>
+            `<li><strong>${escape(node.label)}</strong>${separator}${neighbors.length > 0 ? escape(this.formatNeighbors(neighbors)) : 'none'}</li>`
+        ).join('');
+        if (entries.length > this.maxDescribedNodes) {
+            html += `<li>… and ${entries.length - this.maxDescribedNodes} more nodes</li>`;
+        }
+        list.innerHTML = html;
+    }
+
+    scheduleGraphDescription() {
+        clearTimeout(this.descriptionTimer);
+        this.descriptionTimer = setTimeout(() => this.updateGraphDescription(), 300);
+    }
+
+    // Read a message out through the live regions; urgent ones (errors)
+    // interrupt the screen reader
+    announce(message, urgent = false) {
+        const region = document.getElementById(urgent ? 'alertAnnouncer' : 'statusAnnouncer');
+        // Emptying the region first makes a repeated message heard again
+        region.textContent = '';
+        clearTimeout(this.announceTimers[urgent ? 'alert' : 'status']);
+        this.announceTimers[urgent ? 'alert' : 'status'] = setTimeout(() => {
+            region.textContent = message;
+        }, 50);
+    }
+
+    editEdgeWeight(edge) {
+        const input = prompt('Edge weight:', edge.weight);
+        if (input === null) return;
+        
+        const weight = parseFloat(input);
+        if (!graphHistory.record('Edit edge weight', () => graph.setEdgeWeight(edge.id, weight))) {
+            this.showError(`Invalid edge weight "${input}". Weights must be positive numbers.`);
+        }
     }
 
     initializeUI() {
         this.updateModeUI();
+        this.initializeGenerators();
+        this.initializeLayouts();
+        this.initializeFormats();
+        this.initializeSpectrumPlot();
+        this.initializeDiffusion();
+        this.initializeComparison();
+        this.initializeOperations();
+        this.updateGraphTypeUI();
         this.updateNodeCounts();
         this.initializeDarkMode();
+        this.initializeWorkspace();
+        this.updateGraphDescription();
+    }
+
+    initializeSpectrumPlot() {
+        const views = spectrumPlot.getViews();
+        document.getElementById('spectrumPlotView').innerHTML = Object.keys(views).map(key => 
+            `<option value="${key}">${views[key]}</option>`
+        ).join('');
+        document.getElementById('autoRecompute').checked = localStorage.getItem('autoRecompute') === 'true';
+    }
+
+    initializeDiffusion() {
+        const modes = diffusionSimulator.getModes();
+        document.getElementById('diffusionMode').innerHTML = Object.keys(modes).map(key => 
+            `<option value="${key}">${modes[key]}</option>`
+        ).join('');
+        this.updateDiffusionControls();
+    }
+
+    initializeOperations() {
+        const operations = graphOperations.getOperations();
+        document.getElementById('operationType').innerHTML = Object.keys(operations).map(key => 
+            `<option value="${key}">${operations[key].name}</option>`
+        ).join('');
+    }
+
+    // Replace the graph by the result of an operation (one undo step) and,
+    // where the Laplacian spectrum is known, compare it with the computed one
+    applyOperation(key) {
+        const operation = graphOperations.getOperations()[key];
+        const options = {};
+        let operand = null;
+        try {
+            if (operation.binary) {
+                const id = document.getElementById('operandGraph').value;
+                operand = id ? graphOperations.fromState(workspaceStore.findSaved(id).state) : graphOperations.fromGraph(graph);
+            }
+            if (key === 'contraction') {
+                const input = prompt('Labels of the two nodes to contract, e.g. "1 2":');
+                if (input === null) return;
+                const labels = input.trim().split(/[\s,]+/);
+                options.contract = labels.map(label => graph.nodes.findIndex(node => String(node.label) === label));
+                if (labels.length !== 2 || options.contract.includes(-1)) {
+                    throw new Error(`Could not find two nodes labeled "${input}"`);
+                }
+            }
+        } catch (error) {
+            this.showError(`${operation.name}: ${error.message}`);
+            return;
+        }
+
+        graphLayout.stop();
+        let result;
+        try {
+            graphHistory.record(operation.name, () => {
+                result = graphOperations.apply(graph, key, operand, options);
+            });
+        } catch (error) {
+            this.showError(`${operation.name}: ${error.message}`);
+            return;
+        }
+        this.clearResults();
+        this.displayOperationResult(result);
+    }
+
+    // Predicted Laplacian spectrum of the result next to the computed one
+    displayOperationResult(result) {
+        const container = document.getElementById('operationResults');
+        if (!result.predicted) {
+            this.operationRevision = null;
+            container.hidden = true;
+            return;
+        }
+        this.operationRevision = graph.revision;
+        container.hidden = false;
+
+        const format = value => Math.round(value * 10000) / 10000;
+        const check = graphOperations.checkPrediction(graph, result.predicted);
+        let html = `<h4>${result.name}: Laplacian spectrum</h4>`;
+        if (!check) {
+            html += `<p class="results-hint">Predicted from the inputs; too large to compare with the computed spectrum.</p>`;
+            html += `<div class="results-content">${result.predicted.slice(0, 50).map(format).join(', ')}${result.predicted.length > 50 ? ', …' : ''}</div>`;
+            container.innerHTML = html;
+            return;
+        }
+
+        const tolerance = 1e-8 * Math.max(1, ...result.predicted.map(Math.abs));
+        html += `<div class="eigenvalue-item ${check.maxDifference <= tolerance ? 'match' : 'mismatch'}">
+            ${check.maxDifference <= tolerance ? '✓ The predicted spectrum matches' : '✗ The predicted spectrum does not match'}
+            (largest difference ${check.maxDifference.toExponential(1)})
+        </div>`;
+        html += '<div class="matrix-content"><table>';
+        html += '<tr><td class="diagonal">k</td><td class="diagonal">predicted</td><td class="diagonal">computed</td></tr>';
+        check.rows.forEach(row => {
+            const differs = Math.abs(row.predicted - row.computed) > tolerance;
+            html += `<tr><td>${row.k}</td><td>${format(row.predicted)}</td><td class="${differs ? 'differs' : ''}">${format(row.computed)}</td></tr>`;
+        });
+        html += '</table></div>';
+        container.innerHTML = html;
+    }
+
+    // Zoom about the center of the canvas
+    zoomView(factor) {
+        const { width, height } = graph.getViewSize();
+        graph.zoomAt(width / 2, height / 2, factor);
+    }
+
+    // Clicks and drags on empty space select in Select mode, and with Shift in Add Node mode
+    isSelecting(e) {
+        return graph.mode === 'select' || (graph.mode === 'addNode' && e.shiftKey);
+    }
+
+    isTextInput(target) {
+        return !!(target && target.closest && target.closest('input, textarea, select, [contenteditable="true"]'));
+    }
+
+    // A plain click selects only the node under the pointer (or nothing);
+    // with Shift it adds or removes that node
+    selectAt(x, y, additive) {
+        const node = graph.getNodeAt(x, y);
+        if (additive) {
+            if (node) graph.toggleSelected(node.id);
+        } else if (node) {
+            graph.setSelection([node.id]);
+        } else {
+            graph.clearSelection();
+        }
+        this.updateSelectionUI();
+    }
+
+    dragSelection(x, y) {
+        const drag = this.selectionDrag;
+        if (drag.type === 'group') {
+            graph.translateNodes(graph.getSelectedIds(), x - drag.x, y - drag.y);
+            drag.x = x;
+            drag.y = y;
+            drag.moved = true;
+            return;
+        }
+        // Small jitters while clicking do not start a box
+        if (!drag.moved && Math.hypot(x - drag.x, y - drag.y) < 4) return;
+        drag.moved = true;
+        graph.setSelectionBox({ x1: drag.x, y1: drag.y, x2: x, y2: y });
+    }
+
+    // Select the nodes in the box (when apply is set) or end a group move
+    finishSelectionDrag(apply) {
+        const drag = this.selectionDrag;
+        if (!drag) return;
+        this.selectionDrag = null;
+        if (drag.type === 'group') {
+            graphHistory.end();
+        } else if (graph.selectionBox) {
+            const ids = apply ? graph.getNodesInBox(graph.selectionBox) : [];
+            graph.selectionBox = null;
+            if (apply) {
+                graph.setSelection(drag.additive ? graph.getSelectedIds().concat(ids) : ids);
+            } else {
+                graph.draw();
+            }
+            this.updateSelectionUI();
+        }
+    }
+
+    updateSelectionUI() {
+        const count = graph.selection.size;
+        document.getElementById('selectionCount').textContent = count;
+        ['copySelectionBtn', 'duplicateSelectionBtn', 'deleteSelectionBtn', 'subgraphSpectrumBtn'].forEach(id => {
+            document.getElementById(id).disabled = count === 0;
+        });
+        document.getElementById('pasteBtn').disabled = !this.clipboard;
+    }
+
+    selectAll() {
+        graph.setSelection(graph.nodes.map(node => node.id));
+        this.updateSelectionUI();
+    }
+
+    // The copy keeps positions, weights and every edge between selected nodes
+    copySelection() {
+        const ids = graph.getSelectedIds();
+        if (ids.length === 0) return;
+        this.clipboard = graph.getSubgraphSpec(ids);
+        this.pasteCount = 0;
+        this.updateSelectionUI();
+    }
+
+    // Pasted nodes are offset so they do not cover the originals, and become the selection
+    pasteClipboard() {
+        if (!this.clipboard) return;
+        graphLayout.stop();
+        this.pasteCount++;
+        const offset = 30 * this.pasteCount;
+        graphHistory.record('Paste nodes', () => graph.addSubgraph(this.clipboard, offset, offset));
+        this.updateSelectionUI();
+    }
+
+    duplicateSelection() {
+        const ids = graph.getSelectedIds();
+        if (ids.length === 0) return;
+        graphLayout.stop();
+        const spec = graph.getSubgraphSpec(ids);
+        graphHistory.record('Duplicate nodes', () => graph.addSubgraph(spec, 30, 30));
+        this.updateSelectionUI();
+    }
+
+    deleteSelection() {
+        const ids = graph.getSelectedIds();
+        if (ids.length === 0) return;
+        graphLayout.stop();
+        graphHistory.record(ids.length === 1 ? 'Delete node' : `Delete ${ids.length} nodes`, () => graph.removeNodes(ids));
+        this.updateSelectionUI();
+    }
+
+    // Eigenvalues of the subgraph induced on the selection against those of
+    // the whole graph, with the interlacing bounds where a theorem gives them
+    displaySubgraphSpectrum() {
+        let result;
+        try {
+            result = subgraphSpectrum.compute(graph, graph.getSelectedIds());
+        } catch (error) {
+            this.showError(`Induced subgraph spectrum: ${error.message}`);
+            return;
+        }
+        const container = document.getElementById('subgraphResults');
+        this.subgraphRevision = graph.revision;
+        container.hidden = false;
+
+        const format = value => eigenvalueCalculator.formatComplex(value.re, value.im, 4);
+        const bound = value => value === null ? '' : (Math.round(value * 10000) / 10000).toString();
+        const matrixName = graph.getMatrixTypes()[result.matrixType];
+        let html = `<h4>Induced subgraph H on ${result.m} of ${result.n} nodes</h4>`;
+        html += `<p class="results-hint">${matrixName}; H = {${result.labels.map(label => this.escapeHTML(label)).join(', ')}}</p>`;
+        if (result.theorem) {
+            html += `<div class="eigenvalue-item ${result.holds ? 'match' : 'mismatch'}">
+                ${result.holds ? '✓' : '✗'} ${result.theorem}
+            </div>`;
+        } else {
+            html += '<p class="results-hint">No interlacing theorem applies to this matrix; the spectra are shown side by side.</p>';
+        }
+
+        html += '<div class="matrix-content"><table>';
+        html += '<tr><td class="diagonal">i</td><td class="diagonal">μᵢ(H)</td>';
+        html += result.theorem ? '<td class="diagonal">lower</td><td class="diagonal">upper</td></tr>' : '</tr>';
+        result.rows.forEach(row => {
+            html += `<tr><td>${row.k}</td><td class="${row.holds === false ? 'differs' : ''}">${format(row.value)}</td>`;
+            html += result.theorem ? `<td>${bound(row.lower)}</td><td>${bound(row.upper)}</td></tr>` : '</tr>';
+        });
+        html += '</table></div>';
+        html += `<p class="results-hint">Spectrum of G: ${result.whole.slice(0, 50).map(format).join(', ')}${result.whole.length > 50 ? ', …' : ''}</p>`;
+        container.innerHTML = html;
+    }
+
+    initializeComparison() {
+        const presets = graphComparison.getPresets();
+        document.getElementById('comparePreset').innerHTML = Object.keys(presets).map(key => 
+            `<option value="${key}">${presets[key].name}</option>`
+        ).join('');
+    }
+
+    // Restore the graph from a share link or the last autosave, then autosave every change
+    initializeWorkspace() {
+        if (!this.loadFromHash()) {
+            workspaceStore.restoreAutosave(graph);
+            this.updateGraphTypeUI();
+        }
+        this.renderSavedGraphs();
+        this.updateHistoryUI();
+
+        graph.addChangeListener(() => {
+            clearTimeout(this.autosaveTimer);
+            this.autosaveTimer = setTimeout(() => workspaceStore.autosave(graph), 300);
+        });
+    }
+
+    // Load a graph from the URL hash; the hash is removed afterwards so a
+    // refresh keeps later edits (they are in the autosave)
+    loadFromHash() {
+        if (!workspaceStore.hasShareHash(location.hash)) return false;
+        try {
+            graphHistory.record('Open shared graph', () => workspaceStore.decodeShareHash(graph, location.hash));
+            this.updateGraphTypeUI();
+            this.clearResults();
+            history.replaceState(null, '', location.pathname + location.search);
+            return true;
+        } catch (error) {
+            this.showError(`Could not open shared graph: ${error.message}`);
+            return false;
+        }
+    }
+
+    // Enable the undo/redo buttons and list the steps; clicking a step jumps to it
+    updateHistoryUI() {
+        const { entries, position } = graphHistory.getEntries();
+        document.getElementById('undoBtn').disabled = !graphHistory.canUndo();
+        document.getElementById('redoBtn').disabled = !graphHistory.canRedo();
+
+        const list = document.getElementById('historyList');
+        list.innerHTML = ['Start', ...entries].map((label, index) => {
+            const state = index === position ? ' current' : index > position ? ' undone' : '';
+            return `<li class="history-item${state}" data-position="${index}">${label.replace(/&/g, '&amp;').replace(/</g, '&lt;')}</li>`;
+        }).join('');
+        list.querySelectorAll('.history-item').forEach(item => {
+            item.addEventListener('click', () => {
+                graphHistory.goTo(parseInt(item.dataset.position, 10));
+            });
+        });
+    }
+
+    renderSavedGraphs(selectedId = null) {
+        const select = document.getElementById('savedGraphs');
+        const saved = workspaceStore.listSaved();
+        const escape = text => this.escapeHTML(text);
+        
+        select.innerHTML = saved.length === 0
+            ? '<option value="">No saved graphs</option>'
+            : saved.map(item => 
+                `<option value="${item.id}"${item.id === selectedId ? ' selected' : ''}>${escape(item.name)} (${item.state.nodes.length} nodes)</option>`
+            ).join('');
+        ['openGraphBtn', 'renameGraphBtn', 'duplicateGraphBtn', 'deleteGraphBtn'].forEach(id => {
+            document.getElementById(id).disabled = saved.length === 0;
+        });
+
+        // Binary graph operations combine the current graph with itself or a saved graph
+        const operand = document.getElementById('operandGraph');
+        const previous = operand.value;
+        operand.innerHTML = '<option value="">The current graph G</option>' + saved.map(item => 
+            `<option value="${item.id}">${escape(item.name)} (${item.state.nodes.length} nodes)</option>`
+        ).join('');
+        operand.value = saved.some(item => item.id === previous) ? previous : '';
+    }
+
+    getSelectedSavedGraph() {
+        const id = document.getElementById('savedGraphs').value;
+        return workspaceStore.listSaved().find(item => item.id === id) || null;
+    }
+
+    saveGraphAs() {
+        const name = (prompt('Name for this graph:', `Graph with ${graph.nodes.length} nodes`) || '').trim();
+        if (!name) return;
+        if (workspaceStore.listSaved().some(item => item.name === name) && 
+            !confirm(`Replace the saved graph "${name}"?`)) {
+            return;
+        }
+
+        try {
+            this.renderSavedGraphs(workspaceStore.save(graph, name).id);
+        } catch (error) {
+            this.showError(`Could not save graph: ${error.message}`);
+        }
+    }
+
+    openSavedGraph() {
+        const entry = this.getSelectedSavedGraph();
+        if (!entry) return;
+        if (graph.nodes.length > 0 && !confirm(`Replace the current graph with "${entry.name}"?`)) {
+            return;
+        }
+
+        try {
+            graphHistory.record(`Open ${entry.name}`, () => workspaceStore.open(graph, entry.id));
+            this.updateGraphTypeUI();
+            this.clearResults();
+        } catch (error) {
+            this.showError(`Could not open "${entry.name}": ${error.message}`);
+        }
+    }
+
+    renameSavedGraph() {
+        const entry = this.getSelectedSavedGraph();
+        if (!entry) return;
+        const name = (prompt('New name:', entry.name) || '').trim();
+        if (!name || name === entry.name) return;
+
+        try {
+            workspaceStore.rename(entry.id, name);
+            this.renderSavedGraphs(entry.id);
+        } catch (error) {
+            this.showError(`Could not rename "${entry.name}": ${error.message}`);
+        }
+    }
+
+    duplicateSavedGraph() {
+        const entry = this.getSelectedSavedGraph();
+        if (!entry) return;
+
+        try {
+            this.renderSavedGraphs(workspaceStore.duplicate(entry.id).id);
+        } catch (error) {
+            this.showError(`Could not duplicate "${entry.name}": ${error.message}`);
+        }
+    }
+
+    deleteSavedGraph() {
+        const entry = this.getSelectedSavedGraph();
+        if (!entry || !confirm(`Delete the saved graph "${entry.name}"?`)) return;
+
+        workspaceStore.remove(entry.id);
+        this.renderSavedGraphs();
+    }
+
+    // Put a link that reproduces the current graph on the clipboard
+    copyShareLink() {
+        const url = location.href.split('#')[0] + workspaceStore.encodeShareHash(graph);
+        const button = document.getElementById('shareLinkBtn');
+        const showCopied = () => {
+            button.textContent = 'Link Copied!';
+            setTimeout(() => button.textContent = 'Copy Share Link', 1500);
+        };
+
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(url).then(showCopied, () => prompt('Copy this link:', url));
+        } else {
+            prompt('Copy this link:', url);
+        }
     }
 
     updateModeUI() {
@@ -155,17 +1364,195 @@ class GraphApp {
         const buttons = {
             'addNode': document.getElementById('addNodeBtn'),
             'addEdge': document.getElementById('addEdgeBtn'),
-            'delete': document.getElementById('deleteBtn')
+            'delete': document.getElementById('deleteBtn'),
+            'measure': document.getElementById('measureBtn'),
+            'heat': document.getElementById('heatModeBtn'),
+            'select': document.getElementById('selectModeBtn')
         };
 
-        Object.keys(buttons).forEach(mode => {
-            if (buttons[mode]) {
-                buttons[mode].classList.toggle('active', graph.mode === mode);
-            }
-        });
+        Object.keys(buttons).forEach(mode => {
+            if (buttons[mode]) {
+                buttons[mode].classList.toggle('active', graph.mode === mode);
+            }
+        });
+
+        // Update canvas cursor
+        this.canvas.style.cursor = this.getCursorForMode(graph.mode);
+        this.updateResistancePair();
+    }
+
+    initializeLayouts() {
+        const layouts = graphLayout.getLayouts();
+        document.getElementById('layoutType').innerHTML = Object.keys(layouts).map(key => 
+            `<option value="${key}">${layouts[key].name}</option>`
+        ).join('');
+    }
+
+    // Static layouts are one undo step; the animated force layout becomes one
+    // step when it finishes or is interrupted
+    applyLayout(type) {
+        const name = `${graphLayout.getLayouts()[type].name} layout`;
+        try {
+            graphLayout.stop();
+            if (type === 'force') {
+                graphHistory.begin(name);
+                graphLayout.animateForce(graph, () => {
+                    graphHistory.end();
+                    graph.ensureVisible();
+                });
+            } else {
+                graphHistory.record(name, () => graphLayout.apply(graph, type));
+                graph.ensureVisible();
+            }
+        } catch (error) {
+            this.showError(`Could not apply layout: ${error.message}`);
+        }
+    }
+
+    initializeGenerators() {
+        const select = document.getElementById('generatorFamily');
+        const families = graphGenerator.getFamilies();
+        select.innerHTML = Object.keys(families).map(key => 
+            `<option value="${key}">${families[key].name}</option>`
+        ).join('');
+        this.renderGeneratorParams();
+    }
+
+    // One number input per parameter of the selected family
+    renderGeneratorParams() {
+        const family = graphGenerator.getFamilies()[document.getElementById('generatorFamily').value];
+        const container = document.getElementById('generatorParams');
+        
+        container.innerHTML = family.params.map(param => `
+            <label>
+                ${param.label}
+                <input type="number" class="form-control" data-param="${param.key}" value="${param.value}"
+                    ${param.min !== undefined ? `min="${param.min}"` : ''}
+                    ${param.max !== undefined ? `max="${param.max}"` : ''}
+                    step="${param.step || 1}">
+            </label>
+        `).join('');
+    }
+
+    generateGraph() {
+        if (graph.nodes.length > 0 && !confirm('Replace the current graph with the generated one?')) {
+            return;
+        }
+
+        const family = document.getElementById('generatorFamily').value;
+        const params = {};
+        document.querySelectorAll('#generatorParams input').forEach(input => {
+            params[input.dataset.param] = parseFloat(input.value);
+        });
+
+        try {
+            graphHistory.record(`Generate ${graphGenerator.getFamilies()[family].name}`, () => {
+                graphGenerator.generate(graph, family, params);
+            });
+            this.updateGraphTypeUI();
+            this.clearResults();
+        } catch (error) {
+            this.showError(`Could not generate graph: ${error.message}.`);
+        }
+    }
+
+    initializeFormats() {
+        const formats = graphFormats.getFormats();
+        document.getElementById('exportFormat').innerHTML = Object.keys(formats).map(key => 
+            `<option value="${key}">${formats[key].name}</option>`
+        ).join('');
+        
+        const resultFormats = resultExporter.getFormats();
+        document.getElementById('resultsExportFormat').innerHTML = Object.keys(resultFormats).map(key => 
+            `<option value="${key}">${resultFormats[key].name}</option>`
+        ).join('');
+    }
+
+    // Download the last computed matrix or spectrum at full precision
+    exportResults(what) {
+        if (!this.lastResult) {
+            this.showError('Calculate eigenvalues before exporting results.');
+            return;
+        }
+
+        const format = document.getElementById('resultsExportFormat').value;
+        const { extension, mimeType } = resultExporter.getFormats()[format];
+        const { matrix, matrixType, eigenvalues, imaginaryParts, nodeIds } = this.lastResult;
+
+        let content;
+        if (what === 'matrix' && !matrix) {
+            this.showError('The matrix of a partial spectrum is kept sparse and cannot be exported.');
+            return;
+        } else if (what === 'matrix') {
+            const labels = nodeIds.map(id => {
+                const node = graph.nodes.find(n => n.id === id);
+                return node ? node.label : id + 1;
+            });
+            content = resultExporter.exportMatrix(matrix, labels, format);
+        } else {
+            content = resultExporter.exportSpectrum(eigenvalues, imaginaryParts, format);
+        }
+        this.downloadFile(content, `${matrixType}-${what}.${extension}`, mimeType);
+    }
+
+    importFile(file) {
+        if (graph.nodes.length > 0 && !confirm(`Replace the current graph with "${file.name}"?`)) {
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const format = graphFormats.detectFormat(file.name, reader.result);
+                graphHistory.record(`Import ${file.name}`, () => {
+                    graphFormats.importInto(graph, reader.result, format);
+                });
+                this.updateGraphTypeUI();
+                this.clearResults();
+            } catch (error) {
+                this.showError(`Could not import "${file.name}": ${error.message}`);
+            }
+        };
+        reader.onerror = () => {
+            this.showError(`Could not read "${file.name}".`);
+        };
+        reader.readAsText(file);
+    }
+
+    exportGraph(format) {
+        try {
+            const { extension, mimeType } = graphFormats.getFormats()[format];
+            this.downloadFile(graphFormats.serialize(graph, format), `graph.${extension}`, mimeType);
+        } catch (error) {
+            this.showError(`Could not export graph: ${error.message}`);
+        }
+    }
+
+    // Offer text (or a Blob) to the user as a file download
+    downloadFile(content, fileName, mimeType) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
 
-        // Update canvas cursor
-        this.canvas.style.cursor = this.getCursorForMode(graph.mode);
+    // Sync the settings controls with the graph. Degree choice and the
+    // complex-plane plot only apply to directed graphs.
+    updateGraphTypeUI() {
+        document.getElementById('graphType').value = graph.isDirected ? 'directed' : 'undirected';
+        document.getElementById('degreeType').value = graph.degreeType;
+        document.getElementById('matrixType').value = graph.matrixType;
+        document.getElementById('matrixTitle').textContent = graph.getMatrixTypes()[graph.matrixType];
+        document.getElementById('degreeTypeGroup').hidden = !graph.isDirected;
+        document.getElementById('spectralClusterBtn').disabled = graph.isDirected;
+        if (!graph.isDirected) {
+            document.getElementById('complexPlane').hidden = true;
+        }
     }
 
     updateNodeCounts() {
@@ -177,7 +1564,10 @@ class GraphApp {
         const cursors = {
             'addNode': 'crosshair',
             'addEdge': 'pointer',
-            'delete': 'not-allowed'
+            'delete': 'not-allowed',
+            'measure': 'pointer',
+            'heat': 'cell',
+            'select': 'default'
         };
         return cursors[mode] || 'default';
     }
@@ -193,6 +1583,8 @@ class GraphApp {
         
         // Update graph colors for dark mode
         this.updateGraphColors();
+        spectrumPlot.draw();
+        graphComparison.graph.draw();
     }
 
     initializeDarkMode() {
@@ -214,65 +1606,298 @@ class GraphApp {
         // This will be handled by the graph's draw method
     }
 
-    calculateEigenvalues() {
+    // Live runs (auto-recompute) keep the previous results on screen until
+    // the new ones arrive instead of showing the loading state
+    calculateEigenvalues(live = false) {
         if (graph.nodes.length === 0) {
             this.showError('Please add at least one node to the graph.');
             return;
         }
 
-        try {
-            // Show loading state
-            this.showLoading();
-
-            console.log('Starting eigenvalue calculation...');
-            console.log('Graph nodes:', graph.nodes.length);
-            console.log('Graph edges:', graph.edges.length);
+        const mode = document.getElementById('spectrumMode').value;
+        if (mode === 'all' && graph.nodes.length > this.denseNodeLimit) {
+            this.showError(`The full spectrum of ${graph.nodes.length} nodes is too expensive to compute. Choose "k smallest" or "k largest" under Spectrum.`);
+            return;
+        }
 
-            // Calculate eigenvalues
-            const result = eigenvalueCalculator.calculateGraphEigenvalues(graph);
-            
-            console.log('Calculation result:', result);
-            
-            if (!result.eigenvalues || result.eigenvalues.length === 0) {
-                this.showError('No eigenvalues calculated. Please check your graph structure.');
-                return;
+        let job;
+        try {
+            if (mode === 'all') {
+                job = eigenvalueCalculator.prepareGraphJob(graph);
+            } else {
+                const k = parseInt(document.getElementById('spectrumCount').value, 10) || 10;
+                job = sparseEigenSolver.prepareGraphJob(graph, graph.matrixType, mode, Math.max(1, k));
             }
-            
-            // Display results
-            this.displayEigenvalues(result.eigenvalues);
-            this.displayLaplacianMatrix(result.laplacian);
-            
         } catch (error) {
             console.error('Error calculating eigenvalues:', error);
             this.showError(`Error calculating eigenvalues: ${error.message}. Please try again.`);
+            return;
+        }
+
+        // Show loading state; the solver runs in the background
+        this.lastResult = null;
+        this.solverRevision = graph.revision;
+        if (!live) {
+            document.getElementById('invariants').hidden = true;
+            this.showLoading();
+        }
+        
+        backgroundSolver.solve(job, {
+            onProgress: (stage, done, total) => this.updateProgress(stage, done, total),
+            onResult: (result) => {
+                // Results for a graph that has since been edited are stale
+                if (graph.revision !== this.solverRevision) {
+                    this.showStaleResultNotice();
+                    return;
+                }
+                if (!result.eigenvalues || result.eigenvalues.length === 0) {
+                    this.showError('No eigenvalues calculated. Please check your graph structure.');
+                    return;
+                }
+                
+                // Display results
+                this.lastResult = result;
+                this.displayEigenvalues(result.eigenvalues, result.imaginaryParts, result.partial);
+                this.displayLaplacianMatrix(result.matrix, result.partial);
+                this.displaySpectrumPlot(result);
+                this.displayInvariants(result);
+            },
+            onError: (error) => {
+                console.error('Error calculating eigenvalues:', error);
+                this.showError(`Error calculating eigenvalues: ${error.message}. Please try again.`);
+            }
+        });
+    }
+
+    cancelCalculation() {
+        if (backgroundSolver.cancel()) {
+            document.getElementById('eigenvalues').innerHTML = '<p>Calculation cancelled.</p>';
+            this.announce('Calculation cancelled');
+        }
+    }
+
+    // Any structural edit during a run makes its result stale. With
+    // auto-recompute on, a new run is already scheduled.
+    discardStaleCalculation() {
+        if (backgroundSolver.isRunning() && graph.revision !== this.solverRevision) {
+            backgroundSolver.cancel();
+            if (!this.isAutoRecompute()) {
+                this.showStaleResultNotice();
+            }
         }
     }
 
-    displayEigenvalues(eigenvalues) {
+    isAutoRecompute() {
+        return document.getElementById('autoRecompute').checked;
+    }
+
+    // Recompute the spectrum shortly after the last structural edit.
+    // Dragging nodes does not change the matrices and is ignored.
+    scheduleRecompute() {
+        if (!this.isAutoRecompute()) return;
+        clearTimeout(this.recomputeTimer);
+        this.recomputeTimer = setTimeout(() => {
+            const computed = this.lastResult || backgroundSolver.isRunning() ? this.solverRevision : null;
+            if (computed === graph.revision) return;
+            if (graph.nodes.length === 0) {
+                this.clearResults();
+            } else {
+                this.calculateEigenvalues(true);
+            }
+        }, 300);
+    }
+
+    showStaleResultNotice() {
+        const container = document.getElementById('eigenvalues');
+        container.innerHTML = 
+            '<p>The graph changed during the calculation, so the result was discarded. Click "Calculate Eigenvalues" to recompute.</p>';
+        this.announce(container.textContent);
+    }
+
+    updateProgress(stage, done, total) {
+        const bar = document.getElementById('solverProgressBar');
+        if (!bar) return;
+        bar.value = total > 0 ? done / total : 0;
+        document.getElementById('solverStage').textContent = `${stage}: ${done} / ${total}`;
+    }
+
+    // Eigenvalues arrive sorted by the solver (by real part, then imaginary part).
+    // A partial spectrum is labelled by its position in the full one.
+    displayEigenvalues(eigenvalues, imaginaryParts = eigenvalues.map(() => 0), partial = null) {
         const container = document.getElementById('eigenvalues');
         
         if (eigenvalues.length === 0) {
             container.innerHTML = '<p>No eigenvalues calculated</p>';
+            this.drawComplexPlane([], []);
+            this.announce('No eigenvalues calculated');
             return;
         }
 
-        // Sort eigenvalues in ascending order
-        const sortedEigenvalues = [...eigenvalues].sort((a, b) => a - b);
+        const isComplex = imaginaryParts.some(im => im !== 0);
+        const offset = partial ? partial.offset : 0;
+        let html = partial
+            ? `<h4>Eigenvalues (${partial.k} ${partial.which} of ${partial.n}, ascending):</h4>`
+            : `<h4>Eigenvalues (${isComplex ? 'by real part' : 'ascending'}):</h4>`;
+        html += '<p class="results-hint">Click an eigenvalue (or press Enter on it) to color the graph by its eigenvector.</p>';
         
-        let html = '<h4>Eigenvalues (sorted by magnitude):</h4>';
-        
-        sortedEigenvalues.forEach((eigenvalue, index) => {
-            const rounded = Math.round(eigenvalue * 1000) / 1000;
+        eigenvalues.forEach((eigenvalue, index) => {
+            const formatted = eigenvalueCalculator.formatComplex(eigenvalue, imaginaryParts[index]);
             const color = this.getEigenvalueColor(eigenvalue);
+            const isLaplacian = ['laplacian', 'normalized', 'randomWalk'].includes(graph.matrixType);
+            const fiedler = index + offset === 1 && isLaplacian && !graph.isDirected ? ' <span class="fiedler-tag">Fiedler</span>' : '';
             html += `
-                <div class="eigenvalue-item" style="border-left-color: ${color}">
-                    <strong>λ${index + 1}:</strong> ${rounded}
+                <div class="eigenvalue-item selectable" data-index="${index}" tabindex="0" role="button" style="border-left-color: ${color}">
+                    <strong>λ${index + offset + 1}:</strong> ${formatted}${fiedler}
                 </div>
             `;
         });
 
+        // Distinct eigenvalues with their multiplicities (within the computed range)
+        const groups = eigenvalueCalculator.groupEigenvalues(eigenvalues, 1e-6, imaginaryParts);
+        html += '<h4 class="multiplicity-heading">Distinct eigenvalues:</h4>';
+        html += '<div class="multiplicity-list">';
+        groups.forEach(group => {
+            const formatted = eigenvalueCalculator.formatComplex(group.value, group.imaginary);
+            html += `<span class="multiplicity-item">${formatted}<sup>×${group.multiplicity}</sup></span>`;
+        });
+        html += '</div>';
+        
+        container.innerHTML = html;
+        this.drawComplexPlane(eigenvalues, imaginaryParts);
         
+        container.querySelectorAll('.eigenvalue-item.selectable').forEach(item => {
+            item.addEventListener('click', () => {
+                this.selectEigenvector(parseInt(item.dataset.index, 10));
+            });
+            item.addEventListener('keydown', (e) => {
+                if (e.key !== 'Enter' && e.key !== ' ') return;
+                e.preventDefault();
+                e.stopPropagation();
+                this.selectEigenvector(parseInt(item.dataset.index, 10));
+            });
+        });
+        this.announceEigenvalues(eigenvalues, imaginaryParts, partial);
+    }
+
+    // Short spoken summary of the results; the full list stays on the page
+    announceEigenvalues(eigenvalues, imaginaryParts, partial) {
+        const shown = 8;
+        const values = eigenvalues.slice(0, shown)
+            .map((eigenvalue, index) => eigenvalueCalculator.formatComplex(eigenvalue, imaginaryParts[index]));
+        const rest = eigenvalues.length > shown ? `, and ${eigenvalues.length - shown} more` : '';
+        const count = partial
+            ? `${partial.k} ${partial.which} of ${partial.n} eigenvalues`
+            : `${eigenvalues.length} eigenvalue${eigenvalues.length === 1 ? '' : 's'}`;
+        this.announce(`${count} of the ${graph.getMatrixTypes()[graph.matrixType]}: ${values.join(', ')}${rest}`);
+    }
+
+    // Color the canvas by the k-th eigenvector; clicking the active entry again clears it
+    selectEigenvector(index) {
+        const items = document.querySelectorAll('#eigenvalues .eigenvalue-item.selectable');
+        const item = items[index];
+        if (!this.lastResult || !item) return;
+
+        if (item.classList.contains('active') && graph.vertexColoring) {
+            item.classList.remove('active');
+            graph.clearVertexColoring();
+            return;
+        }
+        this.stopDiffusion();
+
+        const { eigenvalues, imaginaryParts, eigenvectors, nodeIds, partial } = this.lastResult;
+        const number = index + (partial ? partial.offset : 0) + 1;
+        const values = new Map();
+        nodeIds.forEach((nodeId, i) => values.set(nodeId, eigenvectors[index][i]));
+
+        // Complex eigenvectors are colored by their real part
+        const formatted = eigenvalueCalculator.formatComplex(eigenvalues[index], imaginaryParts[index]);
+        const prefix = imaginaryParts[index] !== 0 ? 'Re ' : '';
+        graph.setVertexColoring(values, `${prefix}v${number} (λ${number} = ${formatted})`);
+
+        items.forEach(other => other.classList.toggle('active', other === item));
+    }
+
+    // Graph facts derived from the spectrum; hover a row for its formula
+    displayInvariants(result) {
+        const container = document.getElementById('invariants');
+        const { items, notes } = spectralInvariants.compute(graph, result);
+        const escape = text => this.escapeHTML(text);
+
+        let html = '<h4>Spectral Invariants</h4>';
+        notes.forEach(note => {
+            html += `<p class="results-hint">${escape(note)}</p>`;
+        });
+        if (items.length > 0) {
+            html += '<div class="cluster-metrics invariant-list">';
+            items.forEach(item => {
+                const title = item.note ? `${item.formula}\n${item.note}` : item.formula;
+                const warning = item.key === 'components' && item.note !== 'matches getConnectedComponents' ? ' invariant-warning' : '';
+                html += `<div class="invariant-item${warning}" data-key="${item.key}" title="${escape(title)}">` +
+                    `<span>${item.label}</span><strong>${spectralInvariants.format(item.value)}</strong></div>`;
+            });
+            html += '</div>';
+        }
+
         container.innerHTML = html;
+        container.hidden = false;
+    }
+
+    // Complex spectra are plotted by their real parts; the complex plane shows the rest
+    displaySpectrumPlot(result) {
+        document.getElementById('spectrumPlot').hidden = false;
+        spectrumPlot.update(result.eigenvalues, result.partial ? result.partial.offset : 0);
+    }
+
+    // Plot eigenvalues as points in the complex plane (shown for directed graphs)
+    drawComplexPlane(eigenvalues, imaginaryParts) {
+        const container = document.getElementById('complexPlane');
+        container.hidden = !graph.isDirected || eigenvalues.length === 0;
+        if (container.hidden) return;
+
+        const canvas = document.getElementById('complexPlaneCanvas');
+        const ctx = canvas.getContext('2d');
+        const colors = graph.getColors();
+        const padding = 20;
+        
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        // Fit all points (and the origin) with equal scale on both axes
+        const reMin = Math.min(0, ...eigenvalues);
+        const reMax = Math.max(0, ...eigenvalues);
+        const imMax = Math.max(0.5, ...imaginaryParts.map(Math.abs));
+        const scale = Math.min(
+            (canvas.width - 2 * padding) / Math.max(reMax - reMin, 1),
+            (canvas.height - 2 * padding) / (2 * imMax)
+        );
+        const centerRe = (reMin + reMax) / 2;
+        const toX = re => canvas.width / 2 + (re - centerRe) * scale;
+        const toY = im => canvas.height / 2 - im * scale;
+
+        // Axes
+        ctx.strokeStyle = colors.textSecondary;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(0, toY(0));
+        ctx.lineTo(canvas.width, toY(0));
+        ctx.moveTo(toX(0), 0);
+        ctx.lineTo(toX(0), canvas.height);
+        ctx.stroke();
+
+        ctx.fillStyle = colors.textSecondary;
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'top';
+        ctx.fillText('Re', canvas.width - 4, toY(0) + 3);
+        ctx.textAlign = 'left';
+        ctx.fillText('Im', toX(0) + 4, 4);
+
+        // Eigenvalues
+        eigenvalues.forEach((re, k) => {
+            ctx.beginPath();
+            ctx.arc(toX(re), toY(imaginaryParts[k]), 4, 0, 2 * Math.PI);
+            ctx.fillStyle = imaginaryParts[k] !== 0 ? '#f093fb' : '#4facfe';
+            ctx.fill();
+        });
     }
 
     getEigenvalueColor(eigenvalue) {
@@ -283,20 +1908,79 @@ class GraphApp {
     }
 
 
-    displayLaplacianMatrix(matrix) {
+    spectralCluster() {
+        if (graph.nodes.length < 2) {
+            this.showError('Please add at least two nodes to cluster the graph.');
+            return;
+        }
+
+        const k = parseInt(document.getElementById('clusterCount').value, 10) || 2;
+
+        try {
+            const result = spectralClustering.cluster(graph, Math.max(2, k));
+            this.stopDiffusion();
+            graph.setClusterColoring(result.assignment, result.cutEdges);
+            document.querySelectorAll('#eigenvalues .eigenvalue-item.active').forEach(item => {
+                item.classList.remove('active');
+            });
+            this.displayClusterResults(result);
+        } catch (error) {
+            console.error('Error clustering graph:', error);
+            this.showError(`Error clustering graph: ${error.message}. Please try again.`);
+        }
+    }
+
+    displayClusterResults(result) {
+        const container = document.getElementById('clusterResults');
+        const format = value => Math.round(value * 1000) / 1000;
+
+        let html = `<h4>Spectral Clustering (k = ${result.clusters.length})</h4>`;
+        html += `<p class="results-hint">Method: ${result.method}</p>`;
+
+        result.clusters.forEach((cluster, index) => {
+            const labels = cluster.map(id => this.escapeHTML(graph.nodes.find(n => n.id === id).label)).join(', ');
+            html += `
+                <div class="eigenvalue-item" style="border-left-color: ${graph.getClusterColor(index)}">
+                    <strong>C${index + 1}</strong> (${cluster.length}): ${labels}
+                </div>
+            `;
+        });
+
+        html += `
+            <div class="cluster-metrics">
+                <div><span>Cut size</span><strong>${format(result.cutSize)}</strong></div>
+                <div><span>Ratio cut</span><strong>${format(result.ratioCut)}</strong></div>
+                <div><span>Normalized cut</span><strong>${format(result.normalizedCut)}</strong></div>
+                <div><span>λ₂</span><strong>${format(result.fiedlerValue)}</strong></div>
+            </div>
+        `;
+
+        container.innerHTML = html;
+    }
+
+    displayLaplacianMatrix(matrix, partial = null) {
         const container = document.getElementById('laplacianMatrix');
         
+        if (!matrix && partial) {
+            const method = partial.iterations > 0 ? `, ${partial.iterations} LOBPCG iterations` : '';
+            container.innerHTML = `<p>Sparse ${partial.n} × ${partial.n} matrix with ${partial.nnz} nonzeros${method}</p>`;
+            return;
+        }
         if (matrix.length === 0) {
             container.innerHTML = '<p>No matrix data available</p>';
             return;
         }
 
+        container.innerHTML = this.renderMatrixTable(matrix);
+    }
+
+    renderMatrixTable(matrix) {
         let html = '<table>';
         
         matrix.forEach((row, i) => {
             html += '<tr>';
             row.forEach((val, j) => {
-                const rounded = Math.round(val * 100) / 100;
+                const rounded = val === Infinity ? '∞' : Math.round(val * 100) / 100;
                 const diagonalClass = i === j ? ' diagonal' : '';
                 html += `<td class="${diagonalClass}">${rounded}</td>`;
             });
@@ -304,12 +1988,508 @@ class GraphApp {
         });
         
         html += '</table>';
+        return html;
+    }
+
+    // Effective resistances of the current graph, computed once per revision
+    getResistance() {
+        if (!this.resistanceCache || this.resistanceCache.revision !== graph.revision) {
+            this.resistanceCache = { revision: graph.revision, result: effectiveResistance.compute(graph) };
+        }
+        return this.resistanceCache.result;
+    }
+
+    formatResistance(value) {
+        return value === Infinity ? '∞' : String(Math.round(value * 10000) / 10000);
+    }
+
+    // Edits clear the edge shading and the measured value; bring them back
+    scheduleResistanceRefresh() {
+        if (!this.resistanceShading && !graph.measuredPair) return;
+        clearTimeout(this.resistanceTimer);
+        this.resistanceTimer = setTimeout(() => this.refreshResistance(), 300);
+    }
+
+    refreshResistance() {
+        const button = document.getElementById('shadeResistanceBtn');
+        try {
+            if (this.resistanceShading) {
+                const result = this.getResistance();
+                const values = new Map();
+                result.edges.forEach((edge, edgeId) => values.set(edgeId, edge.resistance));
+                graph.setEdgeShading(values, 'Effective resistance');
+            } else if (graph.edgeShading) {
+                graph.clearEdgeShading();
+            }
+            this.displayResistanceDetails();
+        } catch (error) {
+            this.resistanceShading = false;
+            document.getElementById('resistanceDetails').innerHTML = `<p class="results-hint">${this.escapeHTML(error.message)}</p>`;
+        }
+        button.classList.toggle('active', this.resistanceShading);
+        this.updateResistancePair();
+    }
+
+    // Resistance between the nodes picked in measure mode
+    updateResistancePair() {
+        const container = document.getElementById('resistancePair');
+        const pair = graph.measuredPair;
+        if (!pair) {
+            container.textContent = graph.mode === 'measure' && graph.selectedNode
+                ? `Node ${graph.selectedNode.label} selected; click a second node.`
+                : 'Use Measure mode and click two nodes.';
+            return;
+        }
+
+        try {
+            const resistance = effectiveResistance.between(this.getResistance(), pair.from, pair.to);
+            const from = graph.getNodeById(pair.from);
+            const to = graph.getNodeById(pair.to);
+            let text = `R(${from.label}, ${to.label}) = ${this.formatResistance(resistance)}`;
+            if (resistance === Infinity) {
+                text += ' (different components)';
+            }
+            graph.setMeasurementLabel(`R = ${this.formatResistance(resistance)}`);
+            container.textContent = text;
+        } catch (error) {
+            container.textContent = error.message;
+        }
+    }
+
+    // Per-edge values, Foster's theorem as a check, and L⁺ and R for small graphs
+    displayResistanceDetails() {
+        const container = document.getElementById('resistanceDetails');
+        if (!this.resistanceShading) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const result = this.getResistance();
+        const format = value => this.formatResistance(value);
+        const edges = graph.edges
+            .map(edge => Object.assign({ edge }, result.edges.get(edge.id)))
+            .sort((a, b) => b.resistance - a.resistance);
+        const weighted = graph.edges.some(edge => edge.weight !== 1);
+
+        let html = `<p class="results-hint">Σ w(e) R(e) = ${format(result.fosterSum)} = n − c = ${result.forestSize} (Foster's theorem)</p>`;
+        html += `<p class="results-hint">${weighted ? 'w(e) R(e)' : 'R(e)'} is the probability that e is in a random spanning tree.</p>`;
+        html += '<div class="resistance-edges">';
+        edges.slice(0, 15).forEach(({ edge, resistance, probability }) => {
+            const from = graph.getNodeById(edge.from);
+            const to = graph.getNodeById(edge.to);
+            const color = graph.getSequentialColor(resistance / graph.getEdgeShadingScale());
+            html += `
+                <div class="eigenvalue-item" style="border-left-color: ${color}">
+                    <strong>${this.escapeHTML(from.label)}–${this.escapeHTML(to.label)}:</strong> R = ${format(resistance)}${weighted ? `, P = ${format(probability)}` : ''}
+                </div>
+            `;
+        });
+        if (edges.length > 15) {
+            html += `<p class="results-hint">${edges.length - 15} more edges</p>`;
+        }
+        html += '</div>';
+
+        if (result.nodeIds.length <= 20) {
+            html += '<details class="resistance-matrices"><summary>L⁺ and R matrices</summary>';
+            html += '<h5>Pseudoinverse L⁺</h5><div class="matrix-content">' + this.renderMatrixTable(result.pseudoinverse) + '</div>';
+            html += '<h5>Effective resistance R</h5><div class="matrix-content">' + this.renderMatrixTable(result.resistance) + '</div>';
+            html += '</details>';
+        }
+
+        container.innerHTML = html;
+    }
+
+    // Graph B is edited with the tool selected for graph A; measuring and
+    // placing heat only apply to graph A. Edits of B are not in the undo history.
+    setupCompareCanvas() {
+        const compare = graphComparison.graph;
+        const editModes = ['addNode', 'addEdge', 'delete'];
+        const stopDragging = () => {
+            this.finishPan();
+            compare.nodes.forEach(node => node.isDragging = false);
+            this.compareCanvas.style.cursor = this.getCursorForMode(editModes.includes(graph.mode) ? graph.mode : null);
+        };
+
+        this.compareInput = new PointerInput(this.compareCanvas, {
+            down: (e) => {
+                const screen = this.getScreenPoint(compare, e);
+                const { x, y } = compare.screenToWorld(screen.x, screen.y);
+                const node = compare.getNodeAt(x, y);
+                if (this.startPan(compare, screen, e)) return true;
+                if (node && graph.mode === 'addNode') {
+                    node.isDragging = true;
+                    this.compareCanvas.style.cursor = 'grabbing';
+                } else if (!node) {
+                    this.panDrag = { target: compare, x: screen.x, y: screen.y, moved: false };
+                }
+                return false;
+            },
+            move: (e) => {
+                const screen = this.getScreenPoint(compare, e);
+                const { x, y } = compare.screenToWorld(screen.x, screen.y);
+                if (this.panDrag) {
+                    this.dragPan(screen);
+                }
+                const draggingNode = compare.nodes.find(node => node.isDragging);
+                if (draggingNode) {
+                    compare.moveNode(draggingNode.id, x, y);
+                }
+            },
+            up: stopDragging,
+            cancel: stopDragging,
+            tap: (e) => {
+                if (!editModes.includes(graph.mode)) return;
+                const { x, y } = this.getGraphPoint(compare, e);
+                if (compare.mode !== graph.mode) {
+                    compare.setMode(graph.mode);
+                }
+                compare.handleClick(x, y);
+                compare.draw();
+            },
+            // Graph B is not part of the undo history
+            longPress: (e) => {
+                stopDragging();
+                const { x, y } = this.getGraphPoint(compare, e);
+                const node = compare.getNodeAt(x, y);
+                const edge = node ? null : compare.getEdgeAt(x, y);
+                if (node) {
+                    compare.removeNode(node.id);
+                } else if (edge) {
+                    compare.removeEdge(edge.id);
+                }
+            },
+            hover: (e) => {
+                const { x, y } = this.getGraphPoint(compare, e);
+                compare.setHoveredNode(compare.getNodeAt(x, y));
+            },
+            leave: () => compare.setHoveredNode(null),
+            pinch: gesture => this.pinchView(compare, gesture)
+        });
+
+        this.compareCanvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.zoomWithWheel(compare, this.getScreenPoint(compare, e), e);
+        }, { passive: false });
+
+        compare.addChangeListener(() => this.scheduleComparison());
+    }
+
+    // Keep each canvas as large as it is displayed, at the device pixel ratio
+    setupCanvasResizing() {
+        const fit = () => {
+            [graph, graphComparison.graph].forEach(target => {
+                const canvas = target.getCanvas();
+                target.resize(canvas.clientWidth, canvas.clientHeight, window.devicePixelRatio || 1);
+            });
+        };
+        if (typeof ResizeObserver !== 'undefined') {
+            const observer = new ResizeObserver(fit);
+            observer.observe(this.canvas);
+            observer.observe(this.compareCanvas);
+        }
+        window.addEventListener('resize', fit);
+        fit();
+    }
+
+    // Start moving the view of target: pressing on the minimap centers the
+    // view there, the middle button drags it. Returns true when it started.
+    startPan(target, screen, e) {
+        const center = target.minimapToWorld(screen.x, screen.y);
+        if (center) {
+            target.centerOn(center.x, center.y);
+            this.panDrag = { target, minimap: true, moved: true };
+            return true;
+        }
+        if (e.button === 1) {
+            e.preventDefault();
+            this.panDrag = { target, x: screen.x, y: screen.y, moved: true };
+            return true;
+        }
+        return false;
+    }
+
+    dragPan(screen) {
+        const drag = this.panDrag;
+        if (drag.minimap) {
+            const center = drag.target.minimapToWorld(screen.x, screen.y);
+            if (center) drag.target.centerOn(center.x, center.y);
+            return;
+        }
+        // Small jitters while clicking do not pan
+        if (!drag.moved && Math.hypot(screen.x - drag.x, screen.y - drag.y) < 4) return;
+        drag.moved = true;
+        drag.target.panBy(screen.x - drag.x, screen.y - drag.y);
+        drag.x = screen.x;
+        drag.y = screen.y;
+        drag.target.getCanvas().style.cursor = 'grabbing';
+    }
+
+    finishPan() {
+        this.panDrag = null;
+    }
+
+    zoomWithWheel(target, screen, e) {
+        // Lines (Firefox) scroll much further per event than pixels
+        const delta = e.deltaMode === 1 ? e.deltaY * 20 : e.deltaY;
+        target.zoomAt(screen.x, screen.y, Math.exp(-delta * 0.0015));
+    }
+
+    // Show or hide graph B and the comparison results. An empty graph B
+    // starts as a copy of graph A.
+    setComparing(comparing) {
+        this.comparing = comparing;
+        document.querySelector('.graph-container').classList.toggle('comparing', comparing);
+        document.getElementById('comparePanel').hidden = !comparing;
+        document.querySelector('.graph-view-label').hidden = !comparing;
+        document.getElementById('compareControls').hidden = !comparing;
+        document.getElementById('comparisonResults').hidden = !comparing;
+        const button = document.getElementById('compareBtn');
+        button.classList.toggle('active', comparing);
+        button.textContent = comparing ? 'Close Comparison' : 'Compare Two Graphs';
+        if (!comparing) {
+            clearTimeout(this.comparisonTimer);
+            return;
+        }
+        if (graphComparison.graph.nodes.length === 0 && graph.nodes.length > 0) {
+            graphComparison.copyFrom(graph);
+        }
+        this.compareCanvas.style.cursor = this.getCursorForMode(graph.mode);
+        graphComparison.graph.draw();
+        this.displayComparison();
+    }
+
+    loadComparisonPreset(key) {
+        graphLayout.stop();
+        let preset;
+        graphHistory.record('Load comparison pair', () => {
+            preset = graphComparison.loadPreset(graph, key);
+        });
+        const select = document.getElementById('matrixType');
+        if (select.value !== preset.matrixType) {
+            select.value = preset.matrixType;
+            select.dispatchEvent(new Event('change'));
+        }
+        this.displayComparison();
+    }
+
+    // Compare again shortly after either graph or the matrix changes
+    scheduleComparison() {
+        if (!this.comparing) return;
+        clearTimeout(this.comparisonTimer);
+        this.comparisonTimer = setTimeout(() => this.displayComparison(), 300);
+    }
+
+    // Both spectra side by side with the cospectrality and isomorphism verdicts
+    displayComparison() {
+        clearTimeout(this.comparisonTimer);
+        const container = document.getElementById('comparisonResults');
+        let result;
+        try {
+            result = graphComparison.compare(graph);
+        } catch (error) {
+            container.innerHTML = `<h4>Comparison</h4><p class="results-hint">${this.escapeHTML(error.message)}</p>`;
+            return;
+        }
+
+        const matrixName = graph.getMatrixTypes()[result.matrixType];
+        const { isomorphism } = result;
+        const format = value => value ? eigenvalueCalculator.formatComplex(value.re, value.im, 4) : '–';
+        let html = '<h4>Comparison</h4>';
+        html += `
+            <div class="eigenvalue-item ${result.cospectral ? 'match' : 'mismatch'}">
+                <strong>${result.cospectral ? 'Cospectral' : 'Not cospectral'}</strong> for the ${matrixName}: ${result.reason}
+            </div>
+        `;
+        const isomorphismVerdict = isomorphism.isomorphic === null ? 'Isomorphism undecided'
+            : isomorphism.isomorphic ? 'Isomorphic' : 'Not isomorphic';
+        html += `
+            <div class="eigenvalue-item ${isomorphism.isomorphic ? 'match' : 'mismatch'}">
+                <strong>${isomorphismVerdict}</strong>: ${isomorphism.reason}
+            </div>
+        `;
+        if (result.cospectral && isomorphism.isomorphic === false) {
+            html += '<p class="results-hint">Same spectrum, different graphs: the spectrum does not determine the graph.</p>';
+        }
+        if (isomorphism.mapping && isomorphism.mapping.size <= 20) {
+            const pairs = Array.from(isomorphism.mapping, ([fromId, toId]) =>
+                `${this.escapeHTML(graph.getNodeById(fromId).label)}→${this.escapeHTML(graphComparison.graph.getNodeById(toId).label)}`);
+            html += `<p class="results-hint">A → B: ${pairs.join(', ')}</p>`;
+        }
+
+        html += '<div class="matrix-content"><table>';
+        html += '<tr><td class="diagonal">k</td><td class="diagonal">λₖ(A)</td><td class="diagonal">λₖ(B)</td><td class="diagonal">|Δ|</td></tr>';
+        result.rows.forEach(row => {
+            const differs = row.difference === null || row.difference > result.tolerance;
+            const difference = row.difference === null ? '–' : row.difference.toExponential(1);
+            html += `<tr><td>${row.k}</td><td>${format(row.a)}</td><td>${format(row.b)}</td><td class="${differs ? 'differs' : ''}">${difference}</td></tr>`;
+        });
+        html += '</table></div>';
+
+        container.innerHTML = html;
+    }
+
+    // Exact polynomial, integer eigenvalues and closed forms for the selected matrix
+    displayExactPolynomial() {
+        const container = document.getElementById('exactPolynomial');
+        let result;
+        try {
+            result = exactSpectrum.compute(graph);
+        } catch (error) {
+            this.exactRevision = null;
+            container.innerHTML = `<p class="results-hint">${this.escapeHTML(error.message)}</p>`;
+            return;
+        }
+        this.exactRevision = graph.revision;
+
+        const { coefficients, roots, remainder, quadratic, check, closedForm } = result;
+        const format = value => exactSpectrum.formatInteger(value);
+        let html = `<div class="exact-polynomial">p(x) = det(xI − M) = ${exactSpectrum.formatPolynomial(coefficients)}</div>`;
+        if (roots.length > 0) {
+            html += `<div class="exact-polynomial">= ${exactSpectrum.formatFactored(roots, remainder)}</div>`;
+        }
+
+        check.roots.forEach(root => {
+            const matches = root.found === root.multiplicity;
+            html += `
+                <div class="eigenvalue-item">
+                    <strong>λ = ${format(root.value)}</strong>${root.multiplicity > 1 ? ` (multiplicity ${root.multiplicity})` : ''}
+                    <span class="results-hint">${matches ? '✓ numeric spectrum agrees' : `✗ the numeric spectrum has it ${root.found} times`}</span>
+                </div>
+            `;
+        });
+        if (remainder.length > 1) {
+            const degree = remainder.length - 1;
+            html += `<p class="results-hint">The other ${degree} eigenvalue${degree > 1 ? 's are roots' : ' is the root'} of the factor of degree ${degree}, which has no integer roots.</p>`;
+            if (quadratic) {
+                html += `<div class="eigenvalue-item"><strong>λ = ${quadratic}</strong></div>`;
+            }
+        }
+
+        if (closedForm) {
+            const matches = closedForm.deviation < 1e-6;
+            html += `<p class="results-hint"><strong>${closedForm.name}:</strong> ${closedForm.formula}</p>`;
+            html += `<p class="results-hint">${matches
+                ? `✓ matches the numeric spectrum (largest difference ${closedForm.deviation.toExponential(1)})`
+                : '✗ does not match the numeric spectrum'}</p>`;
+        }
+
         container.innerHTML = html;
     }
 
+    clearExactPolynomial() {
+        this.exactRevision = null;
+        document.getElementById('exactPolynomial').innerHTML = '';
+    }
+
+    // Add one unit of heat to the clicked node (Shift+click removes one) and
+    // show the initial state
+    placeHeat(x, y, remove) {
+        const node = graph.getNodeAt(x, y);
+        if (!node) return;
+        diffusionSimulator.pause();
+        diffusionSimulator.addHeat(node.id, remove ? -1 : 1);
+        diffusionSimulator.time = 0;
+        this.refreshDiffusion();
+    }
+
+    // Color the canvas by the simulation at the current time
+    renderDiffusion() {
+        const info = document.getElementById('diffusionInfo');
+        try {
+            const state = diffusionSimulator.evaluate(graph);
+            graph.setVertexColoring(state.values, state.label, state.scale);
+            this.diffusionRevision = graph.revision;
+            document.querySelectorAll('#eigenvalues .eigenvalue-item.active').forEach(item => {
+                item.classList.remove('active');
+            });
+            info.textContent = this.describeDiffusion(state);
+        } catch (error) {
+            diffusionSimulator.pause();
+            if (this.diffusionRevision !== null) {
+                graph.clearVertexColoring();
+            }
+            this.diffusionRevision = null;
+            info.textContent = error.message;
+        }
+        this.updateDiffusionControls();
+    }
+
+    // Like renderDiffusion, but clears the canvas colors when no heat is placed
+    refreshDiffusion() {
+        if (diffusionSimulator.initial.size === 0) {
+            if (this.diffusionRevision !== null) {
+                graph.clearVertexColoring();
+            }
+            this.stopDiffusion();
+            return;
+        }
+        this.renderDiffusion();
+    }
+
+    // Distance to equilibrium next to the spectral bound on it
+    describeDiffusion(state) {
+        const model = diffusionSimulator.model;
+        const format = value => value < 1e-3 && value > 0 ? value.toExponential(2) : String(Math.round(value * 1000) / 1000);
+        if (diffusionSimulator.mode === 'heat') {
+            if (model.gap === 0) {
+                return `‖x(t) − x̄‖ = ${format(state.distance)}. No edges, so heat does not spread.`;
+            }
+            return `‖x(t) − x̄‖ = ${format(state.distance)} ≤ e^(−λ₂t)‖x(0) − x̄‖ = ${format(state.bound)}, ` +
+                `λ₂ = ${format(model.gap)} (time constant 1/λ₂ = ${format(1 / model.gap)})`;
+        }
+        const bound = state.bound === null ? '' : `, decaying like (α|μ₂|)^k = ${format(model.rate)}^k`;
+        return `Distance to the stationary distribution (total variation): ${format(state.distance)}${bound}`;
+    }
+
+    // Slider range and labels for the current mode and time
+    updateDiffusionControls() {
+        const slider = document.getElementById('diffusionTime');
+        const model = diffusionSimulator.model;
+        if (model && this.diffusionRevision !== null) {
+            slider.max = model.duration;
+            slider.step = diffusionSimulator.mode === 'heat' ? model.duration / 500 : 1;
+        }
+        slider.value = diffusionSimulator.time;
+        slider.disabled = this.diffusionRevision === null;
+        document.getElementById('diffusionTimeLabel').textContent = diffusionSimulator.mode === 'heat'
+            ? diffusionSimulator.formatTime(diffusionSimulator.time)
+            : `${Math.round(diffusionSimulator.time)} steps`;
+        document.getElementById('diffusionPlayBtn').textContent = diffusionSimulator.isPlaying() ? 'Pause' : 'Play';
+        document.getElementById('diffusionPlayBtn').disabled = this.diffusionRevision === null;
+        if (diffusionSimulator.initial.size === 0) {
+            document.getElementById('diffusionInfo').textContent = 'Use Place Heat and click nodes to set the initial state.';
+        }
+    }
+
+    toggleDiffusionPlayback() {
+        if (diffusionSimulator.isPlaying()) {
+            diffusionSimulator.pause();
+            this.updateDiffusionControls();
+            return;
+        }
+        try {
+            diffusionSimulator.play(graph, () => this.renderDiffusion(), () => this.updateDiffusionControls());
+            this.updateDiffusionControls();
+        } catch (error) {
+            document.getElementById('diffusionInfo').textContent = error.message;
+        }
+    }
+
+    // Another coloring takes over the canvas; the placed heat is kept
+    stopDiffusion() {
+        diffusionSimulator.pause();
+        this.diffusionRevision = null;
+        this.updateDiffusionControls();
+    }
+
     showLoading() {
         const container = document.getElementById('eigenvalues');
-        container.innerHTML = '<div style="text-align: center; padding: 20px;"><div style="display: inline-block; width: 20px; height: 20px; border: 2px solid #f3f3f3; border-top: 2px solid #667eea; border-radius: 50%; animation: spin 1s linear infinite;"></div><p style="margin-top: 10px;">Calculating eigenvalues...</p></div>';
+        container.innerHTML = '<div style="text-align: center; padding: 20px;"><div style="display: inline-block; width: 20px; height: 20px; border: 2px solid #f3f3f3; border-top: 2px solid #667eea; border-radius: 50%; animation: spin 1s linear infinite;"></div><p style="margin-top: 10px;">Calculating eigenvalues...</p>' +
+            '<p id="solverStage" class="results-hint"></p><progress id="solverProgressBar" class="solver-progress" max="1" value="0"></progress>' +
+            '<button id="cancelCalculationBtn" class="btn btn-secondary">Cancel</button></div>';
+        document.getElementById('cancelCalculationBtn').addEventListener('click', () => {
+            this.cancelCalculation();
+        });
         
         // Add CSS animation if not already present
         if (!document.getElementById('loadingStyles')) {
@@ -325,14 +2505,28 @@ class GraphApp {
         }
     }
 
+    // Node labels, file names and error messages can come from a shared link or
+    // an imported file, so anything not written by the app is escaped
+    escapeHTML(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
     showError(message) {
+        document.getElementById('invariants').hidden = true;
         const container = document.getElementById('eigenvalues');
-        container.innerHTML = `<div style="color: #ff6b6b; padding: 15px; background: #ffe6e6; border-radius: 6px; border-left: 4px solid #ff6b6b;">${message}</div>`;
+        container.innerHTML = `<div style="color: #ff6b6b; padding: 15px; background: #ffe6e6; border-radius: 6px; border-left: 4px solid #ff6b6b;">${this.escapeHTML(message)}</div>`;
+        this.announce(container.textContent.trim(), true);
     }
 
     clearResults() {
+        this.lastResult = null;
         document.getElementById('eigenvalues').innerHTML = '<p>Click "Calculate Eigenvalues" to see results</p>';
         document.getElementById('laplacianMatrix').innerHTML = '<p>No graph data available</p>';
+        document.getElementById('clusterResults').innerHTML = '';
+        document.getElementById('complexPlane').hidden = true;
+        document.getElementById('spectrumPlot').hidden = true;
+        document.getElementById('invariants').hidden = true;
+        spectrumPlot.clear();
     }
 }
 
@@ -0,0 +1,173 @@
+// Spectral partitioning and k-way spectral clustering
+class SpectralClustering {
+    constructor(calculator) {
+        this.calculator = calculator;
+        this.maxIterations = 100;
+    }
+
+    // Cluster the graph into k parts.
+    // k = 2 splits by the sign of the Fiedler vector; k > 2 runs k-means on the
+    // rows of the first k Laplacian eigenvectors. Returns the assignment
+    // (Map nodeId -> cluster index), the clusters themselves and the cut metrics.
+    cluster(graph, k = 2) {
+        const n = graph.nodes.length;
+        if (n === 0) return null;
+        if (graph.isDirected) {
+            throw new Error('Spectral clustering needs an undirected graph');
+        }
+        k = Math.max(1, Math.min(k, n));
+
+        // Normalized variants give normalized spectral clustering; every other
+        // matrix type falls back to the combinatorial Laplacian
+        const matrixType = ['normalized', 'randomWalk'].includes(graph.matrixType) ? graph.matrixType : 'laplacian';
+        const { eigenvalues, eigenvectors, nodeIds } = this.calculator.calculateGraphEigenvalues(graph, matrixType);
+        let labels;
+        let method;
+
+        // If the graph already falls apart into exactly k pieces, those are the clusters
+        const components = graph.getConnectedComponents();
+        if (components.length === k) {
+            const componentOf = new Map();
+            components.forEach((component, index) => {
+                component.forEach(node => componentOf.set(node.id, index));
+            });
+            labels = nodeIds.map(id => componentOf.get(id));
+            method = 'connected components';
+        } else if (k === 2) {
+            labels = eigenvectors[1].map(value => value >= 0 ? 0 : 1);
+            method = 'sign of Fiedler vector';
+        } else {
+            const points = nodeIds.map((_, i) => eigenvectors.slice(0, k).map(vector => vector[i]));
+            labels = this.kMeans(points, k);
+            method = `k-means on first ${k} eigenvectors`;
+        }
+
+        labels = this.relabel(labels);
+        const assignment = new Map();
+        nodeIds.forEach((id, i) => assignment.set(id, labels[i]));
+
+        const clusterCount = Math.max(...labels) + 1;
+        const clusters = Array(clusterCount).fill().map(() => []);
+        nodeIds.forEach((id, i) => clusters[labels[i]].push(id));
+
+        return {
+            k,
+            method,
+            assignment,
+            clusters,
+            fiedlerValue: eigenvalues.length > 1 ? eigenvalues[1] : 0,
+            ...this.cutMetrics(graph, assignment, clusterCount)
+        };
+    }
+
+    // Lloyd's k-means with deterministic farthest-point initialization
+    kMeans(points, k) {
+        const n = points.length;
+        const distance = (a, b) => a.reduce((sum, val, i) => sum + (val - b[i]) ** 2, 0);
+
+        // Start from the point farthest from the origin, then repeatedly add the
+        // point farthest from all chosen centroids
+        const origin = points[0].map(() => 0);
+        let first = 0;
+        for (let i = 1; i < n; i++) {
+            if (distance(points[i], origin) > distance(points[first], origin)) first = i;
+        }
+        const centroids = [[...points[first]]];
+        while (centroids.length < k) {
+            let best = 0;
+            let bestDistance = -1;
+            for (let i = 0; i < n; i++) {
+                const d = Math.min(...centroids.map(c => distance(points[i], c)));
+                if (d > bestDistance) {
+                    bestDistance = d;
+                    best = i;
+                }
+            }
+            centroids.push([...points[best]]);
+        }
+
+        let labels = Array(n).fill(-1);
+        for (let iter = 0; iter < this.maxIterations; iter++) {
+            // Assign each point to its nearest centroid
+            let changed = false;
+            for (let i = 0; i < n; i++) {
+                let nearest = 0;
+                for (let c = 1; c < k; c++) {
+                    if (distance(points[i], centroids[c]) < distance(points[i], centroids[nearest])) {
+                        nearest = c;
+                    }
+                }
+                if (labels[i] !== nearest) {
+                    labels[i] = nearest;
+                    changed = true;
+                }
+            }
+            if (!changed) break;
+
+            // Move centroids to the mean of their points (empty clusters keep theirs)
+            for (let c = 0; c < k; c++) {
+                const members = points.filter((_, i) => labels[i] === c);
+                if (members.length === 0) continue;
+                centroids[c] = centroids[c].map((_, dim) =>
+                    members.reduce((sum, point) => sum + point[dim], 0) / members.length
+                );
+            }
+        }
+
+        return labels;
+    }
+
+    // Renumber labels by first appearance so results are stable and contiguous
+    relabel(labels) {
+        const mapping = new Map();
+        return labels.map(label => {
+            if (!mapping.has(label)) mapping.set(label, mapping.size);
+            return mapping.get(label);
+        });
+    }
+
+    // Cut size, ratio cut and normalized cut of a partition (weighted by edge weight)
+    cutMetrics(graph, assignment, clusterCount) {
+        const cutEdges = [];
+        let cutSize = 0;
+        const clusterCut = Array(clusterCount).fill(0);
+        const clusterSize = Array(clusterCount).fill(0);
+        const clusterVolume = Array(clusterCount).fill(0);
+
+        assignment.forEach(cluster => clusterSize[cluster]++);
+
+        for (const edge of graph.edges) {
+            const from = assignment.get(edge.from);
+            const to = assignment.get(edge.to);
+            clusterVolume[from] += edge.weight;
+            clusterVolume[to] += edge.weight;
+            if (from !== to) {
+                cutEdges.push(edge.id);
+                cutSize += edge.weight;
+                clusterCut[from] += edge.weight;
+                clusterCut[to] += edge.weight;
+            }
+        }
+
+        let ratioCut = 0;
+        let normalizedCut = 0;
+        for (let c = 0; c < clusterCount; c++) {
+            ratioCut += clusterCut[c] / clusterSize[c];
+            // An edgeless cluster contributes nothing it could cut
+            if (clusterVolume[c] > 0) {
+                normalizedCut += clusterCut[c] / clusterVolume[c];
+            }
+        }
+
+        return {
+            cutEdges,
+            cutSize,
+            ratioCut,
+            normalizedCut,
+            clusterSize
+        };
+    }
+}
+
+// Initialize spectral clustering
+const spectralClustering = new SpectralClustering(eigenvalueCalculator);
@@ -0,0 +1,302 @@
+// Side-by-side comparison of two graphs
+//
+// Graph A is the main `graph`; graph B lives on its own canvas. Two graphs
+// are cospectral when their matrices have the same eigenvalues, which does
+// not make them isomorphic: the presets are classic pairs that share a
+// spectrum but are different graphs. Isomorphism is decided separately by
+// a backtracking search over node mappings.
+class GraphComparison {
+    constructor(calculator, exact) {
+        this.calculator = calculator;
+        this.exact = exact;
+        this.graph = new Graph('compareCanvas', { nodes: 'compareNodeCount', edges: 'compareEdgeCount' });
+        this.maxNodes = 400; // both spectra are computed with the dense solver
+        this.searchLimit = 1000000; // candidate checks before the isomorphism search gives up
+    }
+
+    // Pairs of graphs given as edge lists on nodes 0..n-1
+    getPresets() {
+        return {
+            saltire: {
+                name: 'K₁,₄ and C₄ ∪ K₁ (adjacency)',
+                matrixType: 'adjacency',
+                a: { n: 5, edges: [[0, 1], [0, 2], [0, 3], [0, 4]] },
+                b: { n: 5, edges: [[0, 1], [1, 2], [2, 3], [3, 0]] }
+            },
+            adjacency6: {
+                name: 'Connected pair on 6 nodes (adjacency)',
+                matrixType: 'adjacency',
+                a: { n: 6, edges: [[0, 1], [0, 2], [0, 3], [0, 4], [0, 5], [1, 4], [2, 3]] },
+                b: { n: 6, edges: [[0, 2], [0, 3], [0, 5], [1, 2], [1, 3], [1, 4], [2, 3]] }
+            },
+            laplacian6: {
+                name: 'Connected pair on 6 nodes (Laplacian)',
+                matrixType: 'laplacian',
+                a: { n: 6, edges: [[0, 2], [0, 3], [0, 4], [0, 5], [1, 4], [1, 5], [2, 3]] },
+                b: { n: 6, edges: [[0, 2], [0, 4], [0, 5], [1, 2], [1, 4], [1, 5], [2, 3]] }
+            },
+            signless5: {
+                name: 'Connected pair on 5 nodes (signless Laplacian)',
+                matrixType: 'signless',
+                a: { n: 5, edges: [[0, 1], [0, 2], [0, 3], [0, 4], [1, 2], [1, 3], [1, 4]] },
+                b: { n: 5, edges: [[0, 1], [0, 2], [0, 3], [0, 4], [1, 2], [1, 3], [2, 3]] }
+            },
+            petersen: {
+                name: 'Petersen graph relabeled (isomorphic)',
+                matrixType: 'laplacian',
+                a: { n: 10, edges: this.petersenEdges() },
+                // Node i of A is node (3i + 1) mod 10 of B
+                b: { n: 10, edges: this.petersenEdges().map(([from, to]) => [(3 * from + 1) % 10, (3 * to + 1) % 10]) }
+            }
+        };
+    }
+
+    petersenEdges() {
+        const edges = [];
+        for (let i = 0; i < 5; i++) {
+            edges.push([i, (i + 1) % 5], [i, i + 5], [5 + i, 5 + (i + 2) % 5]);
+        }
+        return edges;
+    }
+
+    // Load a preset into both graphs, nodes on a circle; returns the preset
+    loadPreset(graphA, key) {
+        const preset = this.getPresets()[key];
+        if (!preset) {
+            throw new Error(`Unknown comparison preset: ${key}`);
+        }
+        const load = (target, spec) => {
+            const nodes = graphGenerator.circlePositions(spec.n);
+            target.loadGraph(nodes, spec.edges.map(([from, to]) => ({ from, to })), false);
+        };
+        load(graphA, preset.a);
+        load(this.graph, preset.b);
+        return preset;
+    }
+
+    // Copy graph A (nodes, positions, edges and settings) into graph B
+    copyFrom(source) {
+        const index = source.getNodeIndex();
+        this.graph.loadGraph(
+            source.nodes.map(node => ({ x: node.x, y: node.y, label: node.label })),
+            source.edges.map(edge => ({ from: index.get(edge.from), to: index.get(edge.to), weight: edge.weight })),
+            source.isDirected
+        );
+    }
+
+    // Exchange the contents of graph A and graph B
+    swap(graphA) {
+        const snapshot = target => {
+            const index = target.getNodeIndex();
+            return {
+                nodes: target.nodes.map(node => ({ x: node.x, y: node.y, label: node.label })),
+                edges: target.edges.map(edge => ({ from: index.get(edge.from), to: index.get(edge.to), weight: edge.weight })),
+                isDirected: target.isDirected
+            };
+        };
+        const a = snapshot(graphA);
+        const b = snapshot(this.graph);
+        graphA.loadGraph(b.nodes, b.edges, b.isDirected);
+        this.graph.loadGraph(a.nodes, a.edges, a.isDirected);
+    }
+
+    // Spectra of both graphs under one matrix, their differences, and the
+    // cospectrality and isomorphism verdicts:
+    // { matrixType, rows: [{ k, a, b, difference }], maxDifference, tolerance,
+    //   cospectral, exact, reason, isomorphism }
+    compare(graphA, matrixType = graphA.matrixType) {
+        const graphB = this.graph;
+        if (graphA.nodes.length === 0 || graphB.nodes.length === 0) {
+            throw new Error('Both graphs need at least one node');
+        }
+        if (Math.max(graphA.nodes.length, graphB.nodes.length) > this.maxNodes) {
+            throw new Error(`Comparison is limited to ${this.maxNodes} nodes per graph`);
+        }
+        // B follows the settings of A so both spectra are of the same kind
+        if (graphB.isDirected !== graphA.isDirected) graphB.setDirected(graphA.isDirected);
+        if (graphB.degreeType !== graphA.degreeType) graphB.setDegreeType(graphA.degreeType);
+
+        const a = this.sortedSpectrum(graphA, matrixType);
+        const b = this.sortedSpectrum(graphB, matrixType);
+        const rows = [];
+        for (let k = 0; k < Math.max(a.length, b.length); k++) {
+            const difference = a[k] && b[k] ? Math.hypot(a[k].re - b[k].re, a[k].im - b[k].im) : null;
+            rows.push({ k: k + 1, a: a[k] || null, b: b[k] || null, difference });
+        }
+        const maxDifference = rows.reduce((max, row) => row.difference === null ? Infinity : Math.max(max, row.difference), 0);
+        const scale = Math.max(1, ...a.concat(b).map(value => Math.hypot(value.re, value.im)));
+
+        const tolerance = 1e-8 * scale;
+        let cospectral = maxDifference <= tolerance;
+        let reason = a.length !== b.length
+            ? `different numbers of nodes (${a.length} and ${b.length})`
+            : cospectral ? 'the eigenvalues agree to within rounding' : `the eigenvalues differ by up to ${maxDifference.toPrecision(3)}`;
+
+        // Integer matrices can be settled exactly by their characteristic polynomials
+        const exact = a.length === b.length ? this.exactlyCospectral(graphA, graphB, matrixType) : null;
+        if (exact !== null) {
+            cospectral = exact;
+            reason = exact ? 'the characteristic polynomials are identical' : 'the characteristic polynomials differ';
+        }
+
+        return { matrixType, rows, maxDifference, tolerance, cospectral, exact, reason, isomorphism: this.isomorphism(graphA, graphB) };
+    }
+
+    // Eigenvalues as { re, im }, sorted by real then imaginary part
+    sortedSpectrum(target, matrixType) {
+        const { eigenvalues, imaginaryParts } = this.calculator.calculateGraphEigenvalues(target, matrixType);
+        return eigenvalues
+            .map((re, k) => ({ re, im: imaginaryParts[k] }))
+            .sort((x, y) => x.re - y.re || x.im - y.im);
+    }
+
+    // True or false when both matrices are integer, null when that is unknown
+    exactlyCospectral(graphA, graphB, matrixType) {
+        try {
+            const polynomialA = this.exact.characteristicPolynomial(this.exact.integerMatrix(graphA, matrixType));
+            const polynomialB = this.exact.characteristicPolynomial(this.exact.integerMatrix(graphB, matrixType));
+            return polynomialA.every((coefficient, k) => coefficient === polynomialB[k]);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Out- and in-neighbours with edge weights, by node index; undirected
+    // edges appear in both directions
+    neighborhoods(target) {
+        const index = target.getNodeIndex();
+        const n = target.nodes.length;
+        const out = Array(n).fill().map(() => new Map());
+        const into = Array(n).fill().map(() => new Map());
+        target.edges.forEach(edge => {
+            const i = index.get(edge.from);
+            const j = index.get(edge.to);
+            out[i].set(j, edge.weight);
+            into[j].set(i, edge.weight);
+            if (!target.isDirected) {
+                out[j].set(i, edge.weight);
+                into[i].set(j, edge.weight);
+            }
+        });
+        return { out, into };
+    }
+
+    // Color refinement (1-dimensional Weisfeiler–Leman) run on both graphs
+    // with shared color names, so equal colors mean equal local structure.
+    // Isomorphic graphs always end with the same color counts.
+    refineColors(structures) {
+        const describe = (neighbors, colors) => Array.from(neighbors, ([j, weight]) => `${colors[j]}:${weight}`).sort().join(',');
+        let colors = structures.map(({ out }) => out.map(() => 0));
+        let classes = 1;
+        for (let round = 0; round < 1000; round++) {
+            const names = new Map();
+            const next = structures.map(({ out, into }, g) => out.map((neighbors, i) => {
+                const key = `${colors[g][i]}|${describe(neighbors, colors[g])}|${describe(into[i], colors[g])}`;
+                if (!names.has(key)) names.set(key, names.size);
+                return names.get(key);
+            }));
+            colors = next;
+            if (names.size === classes) break;
+            classes = names.size;
+        }
+        return colors;
+    }
+
+    // Whether the graphs are isomorphic, with a node mapping when they are:
+    // { isomorphic: true | false | null (gave up), reason, mapping: Map(idA -> idB) }
+    isomorphism(graphA, graphB) {
+        const n = graphA.nodes.length;
+        if (graphA.isDirected !== graphB.isDirected) {
+            return { isomorphic: false, reason: 'one graph is directed and the other is not', mapping: null };
+        }
+        if (n !== graphB.nodes.length) {
+            return { isomorphic: false, reason: `different numbers of nodes (${n} and ${graphB.nodes.length})`, mapping: null };
+        }
+        if (graphA.edges.length !== graphB.edges.length) {
+            return { isomorphic: false, reason: `different numbers of edges (${graphA.edges.length} and ${graphB.edges.length})`, mapping: null };
+        }
+
+        const a = this.neighborhoods(graphA);
+        const b = this.neighborhoods(graphB);
+        const [colorsA, colorsB] = this.refineColors([a, b]);
+        const histogram = colors => colors.slice().sort((x, y) => x - y).join(',');
+        if (histogram(colorsA) !== histogram(colorsB)) {
+            const degrees = structure => structure.out.map(neighbors => neighbors.size).sort((x, y) => x - y).join(',');
+            const reason = degrees(a) !== degrees(b)
+                ? 'the degree sequences differ'
+                : 'color refinement (degrees of neighbours, their neighbours, …) tells them apart';
+            return { isomorphic: false, reason, mapping: null };
+        }
+
+        // Map A's nodes in an order where each one has as many already mapped
+        // neighbours as possible, rarest colors first
+        const classSize = new Map();
+        colorsA.forEach(color => classSize.set(color, (classSize.get(color) || 0) + 1));
+        const order = [];
+        const placed = Array(n).fill(false);
+        const links = Array(n).fill(0);
+        for (let step = 0; step < n; step++) {
+            let best = -1;
+            for (let i = 0; i < n; i++) {
+                if (placed[i]) continue;
+                if (best === -1 || links[i] > links[best] ||
+                    (links[i] === links[best] && classSize.get(colorsA[i]) < classSize.get(colorsA[best]))) {
+                    best = i;
+                }
+            }
+            placed[best] = true;
+            order.push(best);
+            a.out[best].forEach((weight, j) => links[j]++);
+            a.into[best].forEach((weight, j) => links[j]++);
+        }
+
+        const map = Array(n).fill(-1); // A index -> B index
+        const used = Array(n).fill(false);
+        let checks = 0;
+        // Mapped neighbours of v must go to neighbours of c with the same weight,
+        // and c may have no other mapped neighbours
+        const consistent = (v, c) => {
+            for (const [from, to] of [[a.out, b.out], [a.into, b.into]]) {
+                let count = 0;
+                for (const [u, weight] of from[v]) {
+                    if (map[u] === -1) continue;
+                    if (to[c].get(map[u]) !== weight) return false;
+                    count++;
+                }
+                let countB = 0;
+                for (const w of to[c].keys()) {
+                    if (used[w]) countB++;
+                }
+                if (count !== countB) return false;
+            }
+            return true;
+        };
+        const search = position => {
+            if (position === n) return true;
+            const v = order[position];
+            for (let c = 0; c < n; c++) {
+                if (used[c] || colorsB[c] !== colorsA[v]) continue;
+                if (++checks > this.searchLimit) return false;
+                if (!consistent(v, c)) continue;
+                map[v] = c;
+                used[c] = true;
+                if (search(position + 1)) return true;
+                map[v] = -1;
+                used[c] = false;
+            }
+            return false;
+        };
+
+        if (search(0)) {
+            const mapping = new Map(graphA.nodes.map((node, i) => [node.id, graphB.nodes[map[i]].id]));
+            return { isomorphic: true, reason: 'found a mapping that preserves every edge', mapping };
+        }
+        if (checks > this.searchLimit) {
+            return { isomorphic: null, reason: `the search stopped after ${this.searchLimit} steps`, mapping: null };
+        }
+        return { isomorphic: false, reason: 'no node mapping preserves the edges', mapping: null };
+    }
+}
+
+// Initialize graph comparison
+const graphComparison = new GraphComparison(eigenvalueCalculator, exactSpectrum);
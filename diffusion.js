@@ -0,0 +1,231 @@
+// Heat diffusion and random walks on the graph
+//
+// Heat: x(t) = exp(−tL) x(0) = Σₖ e^(−λₖ t) (vₖ · x(0)) vₖ from the
+// eigen-decomposition of the Laplacian, so any time t is one evaluation.
+// Every component of x(t) − x̄ decays at least as fast as e^(−λ₂ t).
+//
+// Random walk / PageRank: p(k+1) = α p(k) P + (1 − α)/n with P = D⁻¹A built
+// from the same adjacency matrix; dangling nodes jump uniformly. With α = 1
+// it is the plain random walk.
+class DiffusionSimulator {
+    constructor(calculator) {
+        this.calculator = calculator;
+        this.mode = 'heat'; // 'heat' or 'randomWalk'
+        this.damping = 0.85; // PageRank α
+        this.initial = new Map(); // nodeId -> initial heat (or walk mass before normalizing)
+        this.time = 0; // t for heat, number of steps for the walk
+        this.model = null; // cached per graph revision, see prepare()
+        this.animation = null; // { frame, last, onFrame, onDone }
+        this.maxNodes = 400; // both modes use dense matrices on the main thread
+    }
+
+    getModes() {
+        return {
+            heat: 'Heat diffusion exp(−tL)',
+            randomWalk: 'Random walk / PageRank'
+        };
+    }
+
+    setMode(mode) {
+        if (!this.getModes()[mode]) {
+            throw new Error(`Unknown diffusion mode: ${mode}`);
+        }
+        this.mode = mode;
+        this.time = 0;
+    }
+
+    setDamping(damping) {
+        if (!(damping >= 0 && damping <= 1)) {
+            throw new Error('The damping factor must be between 0 and 1');
+        }
+        this.damping = damping;
+    }
+
+    addHeat(nodeId, amount = 1) {
+        const value = (this.initial.get(nodeId) || 0) + amount;
+        if (value > 0) {
+            this.initial.set(nodeId, value);
+        } else {
+            this.initial.delete(nodeId);
+        }
+    }
+
+    clearHeat() {
+        this.initial.clear();
+        this.time = 0;
+    }
+
+    // Decomposition or transition matrix for the current graph, recomputed
+    // only when the graph, the mode or the damping changes
+    prepare(graph) {
+        const key = `${graph.revision}/${this.mode}/${this.damping}`;
+        if (this.model && this.model.key === key) return this.model;
+
+        if (graph.nodes.length > this.maxNodes) {
+            throw new Error(`Diffusion is limited to graphs with ${this.maxNodes} nodes`);
+        }
+        const nodeIds = graph.nodes.map(node => node.id);
+        let model;
+        if (this.mode === 'heat') {
+            if (graph.isDirected) {
+                throw new Error('Heat diffusion needs an undirected graph');
+            }
+            const { eigenvalues, eigenvectors } = this.calculator.symmetricEigen(graph.getLaplacianMatrix());
+            // The slowest decaying mode is the smallest positive eigenvalue (λ₂ when connected)
+            const gap = eigenvalues.find(value => value > 0) || 0;
+            model = { eigenvalues, eigenvectors, gap, duration: gap > 0 ? Math.min(100, Math.max(2, 4 / gap)) : 10 };
+        } else {
+            const adjacency = graph.getAdjacencyMatrix();
+            const outDegree = adjacency.map(row => row.reduce((sum, value) => sum + value, 0));
+            const rate = this.damping * this.secondEigenvalueModulus(graph, adjacency, outDegree);
+            const steps = rate > 0 && rate < 1 ? Math.ceil(Math.log(1e-3) / Math.log(rate)) : 50;
+            model = { adjacency, outDegree, rate, duration: Math.max(10, Math.min(200, steps)) };
+            model.stationary = this.stationary(model, nodeIds.length);
+        }
+        this.model = Object.assign(model, { key, nodeIds });
+        return this.model;
+    }
+
+    // Second largest |eigenvalue| of P = D⁻¹A for undirected graphs, via the
+    // symmetric matrix D^-1/2 A D^-1/2 which has the same spectrum. It sets
+    // how fast the plain walk mixes; directed walks report 1 (no bound).
+    secondEigenvalueModulus(graph, adjacency, degree) {
+        const n = adjacency.length;
+        if (graph.isDirected || n < 2 || degree.some(value => value === 0)) return 1;
+        const symmetric = adjacency.map((row, i) => row.map((value, j) => value / Math.sqrt(degree[i] * degree[j])));
+        const { eigenvalues } = this.calculator.symmetricEigen(symmetric);
+        // The top eigenvalue is 1; a repeated 1 means the graph is disconnected
+        return Math.max(Math.abs(eigenvalues[0]), Math.abs(eigenvalues[n - 2]));
+    }
+
+    // One step p -> α p P + (1 − α)/n, spreading the mass of dangling nodes evenly
+    walkStep(model, p) {
+        const n = p.length;
+        const next = Array(n).fill(0);
+        let dangling = 0;
+        for (let i = 0; i < n; i++) {
+            if (model.outDegree[i] === 0) {
+                dangling += p[i];
+                continue;
+            }
+            for (let j = 0; j < n; j++) {
+                if (model.adjacency[i][j] !== 0) {
+                    next[j] += p[i] * model.adjacency[i][j] / model.outDegree[i];
+                }
+            }
+        }
+        const spread = (this.damping * dangling + (1 - this.damping)) / n;
+        return next.map(value => this.damping * value + spread);
+    }
+
+    // Stationary distribution (PageRank vector) by power iteration
+    stationary(model, n) {
+        let p = Array(n).fill(1 / n);
+        for (let iteration = 0; iteration < 1000; iteration++) {
+            const next = this.walkStep(model, p);
+            const change = next.reduce((sum, value, i) => sum + Math.abs(value - p[i]), 0);
+            p = next;
+            if (change < 1e-12) break;
+        }
+        return p;
+    }
+
+    // Node values at the current time plus the distance to equilibrium:
+    // { values: Map(nodeId -> value), label, scale, distance, bound }
+    evaluate(graph) {
+        const model = this.prepare(graph);
+        const n = model.nodeIds.length;
+        const x0 = model.nodeIds.map(id => this.initial.get(id) || 0);
+        const total = x0.reduce((sum, value) => sum + value, 0);
+        if (total === 0) {
+            throw new Error('Place heat on at least one node first');
+        }
+
+        let x;
+        let equilibrium;
+        let distance;
+        let bound;
+        let scale = null;
+        if (this.mode === 'heat') {
+            const t = this.time;
+            const coefficients = model.eigenvectors.map(vector => this.calculator.dotProduct(vector, x0));
+            x = Array(n).fill(0);
+            equilibrium = Array(n).fill(0);
+            model.eigenvalues.forEach((value, k) => {
+                const factor = Math.exp(-value * t) * coefficients[k];
+                model.eigenvectors[k].forEach((component, i) => {
+                    x[i] += factor * component;
+                    if (value === 0) equilibrium[i] += coefficients[k] * component;
+                });
+            });
+            const norm = v => Math.sqrt(v.reduce((sum, value) => sum + value * value, 0));
+            distance = norm(x.map((value, i) => value - equilibrium[i]));
+            bound = Math.exp(-model.gap * t) * norm(x0.map((value, i) => value - equilibrium[i]));
+            scale = Math.max(...x0);
+        } else {
+            // Distributions already stepped through are kept, so scrubbing the
+            // time slider back and forth does not repeat the walk
+            const start = x0.map(value => value / total);
+            const startKey = start.join(',');
+            if (!model.walk || model.walk.startKey !== startKey) {
+                model.walk = { startKey, steps: [start] };
+            }
+            const steps = model.walk.steps;
+            while (steps.length <= Math.round(this.time)) {
+                steps.push(this.walkStep(model, steps[steps.length - 1]));
+            }
+            x = steps[Math.round(this.time)];
+            // Total variation distance to the stationary distribution
+            distance = x.reduce((sum, value, i) => sum + Math.abs(value - model.stationary[i]), 0) / 2;
+            bound = model.rate < 1 ? Math.pow(model.rate, Math.round(this.time)) : null;
+        }
+
+        const values = new Map(model.nodeIds.map((id, i) => [id, x[i]]));
+        const label = this.mode === 'heat'
+            ? `Heat at t = ${this.formatTime(this.time)}`
+            : `Walk probability after ${Math.round(this.time)} steps`;
+        return { values, label, scale, distance, bound };
+    }
+
+    formatTime(time) {
+        return (Math.round(time * 100) / 100).toString();
+    }
+
+    // Advance time until the end of the run; onFrame is called after every step
+    play(graph, onFrame, onDone = null) {
+        this.pause();
+        const duration = this.prepare(graph).duration;
+        if (this.time >= duration) {
+            this.time = 0;
+        }
+        // A full run takes about six seconds
+        const speed = duration / 6000;
+        const tick = (now) => {
+            const elapsed = this.animation.last === null ? 0 : now - this.animation.last;
+            this.animation.last = now;
+            this.time = Math.min(duration, this.time + elapsed * speed);
+            onFrame();
+            if (this.time < duration) {
+                this.animation.frame = requestAnimationFrame(tick);
+            } else {
+                this.animation = null;
+                if (onDone) onDone();
+            }
+        };
+        this.animation = { frame: requestAnimationFrame(tick), last: null };
+    }
+
+    pause() {
+        if (this.animation) {
+            cancelAnimationFrame(this.animation.frame);
+            this.animation = null;
+        }
+    }
+
+    isPlaying() {
+        return this.animation !== null;
+    }
+}
+
+// Initialize diffusion simulator
+const diffusionSimulator = new DiffusionSimulator(eigenvalueCalculator);
@@ -3,369 +3,799 @@ class EigenvalueCalculator {
     constructor() {
         this.tolerance = 1e-10;
         this.maxIterations = 1000;
+        this.onProgress = null; // (stage, done, total) callback, used by the worker
     }
 
-    // Power iteration method for finding the largest eigenvalue
-    powerIteration(matrix, maxIterations = 1000) {
-        const n = matrix.length;
-        let vector = Array(n).fill().map(() => Math.random());
-        
-        // Normalize initial vector
-        let norm = Math.sqrt(vector.reduce((sum, val) => sum + val * val, 0));
-        vector = vector.map(val => val / norm);
-        
-        let eigenvalue = 0;
-        
-        for (let iter = 0; iter < maxIterations; iter++) {
-            // Multiply matrix by vector
-            const newVector = Array(n).fill(0);
-            for (let i = 0; i < n; i++) {
-                for (let j = 0; j < n; j++) {
-                    newVector[i] += matrix[i][j] * vector[j];
-                }
-            }
-            
-            // Calculate eigenvalue (Rayleigh quotient)
-            eigenvalue = this.dotProduct(vector, newVector);
-            
-            // Normalize new vector
-            norm = Math.sqrt(newVector.reduce((sum, val) => sum + val * val, 0));
-            if (norm < this.tolerance) break;
-            
-            vector = newVector.map(val => val / norm);
-            
-            // Check convergence
-            if (iter > 0 && Math.abs(eigenvalue - this.previousEigenvalue) < this.tolerance) {
-                break;
-            }
-            this.previousEigenvalue = eigenvalue;
+    reportProgress(stage, done, total) {
+        if (this.onProgress) {
+            this.onProgress(stage, done, total);
         }
-        
-        return { eigenvalue, eigenvector: vector };
     }
 
-    // QR decomposition for finding all eigenvalues
-    qrDecomposition(matrix) {
+    // Eigenvalues of a real symmetric matrix, ascending, with repeats kept
+    calculateEigenvalues(matrix) {
+        return this.symmetricEigen(matrix).eigenvalues;
+    }
+
+    // Full eigen-decomposition of a real symmetric matrix.
+    // Householder tridiagonalization followed by implicit-shift QL (tred2/tql2).
+    // Returns eigenvalues in ascending order and the matching orthonormal
+    // eigenvectors as eigenvectors[k][i] = component i of the k-th vector.
+    symmetricEigen(matrix) {
         const n = matrix.length;
-        let A = matrix.map(row => [...row]); // Copy matrix
-        let Q = Array(n).fill().map(() => Array(n).fill(0));
-        let R = Array(n).fill().map(() => Array(n).fill(0));
-        
-        // Initialize Q as identity matrix
-        for (let i = 0; i < n; i++) {
-            Q[i][i] = 1;
+        if (n === 0) return { eigenvalues: [], eigenvectors: [] };
+
+        // Work on the symmetric part so tiny asymmetries from rounding are harmless
+        const V = Array(n).fill().map((_, i) =>
+            Array(n).fill().map((_, j) => (matrix[i][j] + matrix[j][i]) / 2)
+        );
+        const d = Array(n).fill(0);
+        const e = Array(n).fill(0);
+
+        this.tridiagonalize(V, d, e);
+        this.tridiagonalQL(V, d, e);
+
+        // Sort eigenpairs in ascending order of eigenvalue
+        const order = d.map((_, k) => k).sort((a, b) => d[a] - d[b]);
+        const scale = Math.max(1, ...d.map(Math.abs));
+        const eigenvalues = order.map(k => Math.abs(d[k]) < this.tolerance * scale ? 0 : d[k]);
+        const eigenvectors = order.map(k => this.canonicalSign(V.map(row => row[k])));
+
+        return { eigenvalues, eigenvectors };
+    }
+
+    // Householder reduction to tridiagonal form (in place).
+    // On return d holds the diagonal, e the subdiagonal in e[1..n-1],
+    // and V the accumulated orthogonal transformation.
+    tridiagonalize(V, d, e) {
+        const n = V.length;
+
+        for (let j = 0; j < n; j++) {
+            d[j] = V[n - 1][j];
         }
-        
-        for (let k = 0; k < n; k++) {
-            // Calculate Householder vector
-            let norm = 0;
-            for (let i = k; i < n; i++) {
-                norm += A[i][k] * A[i][k];
-            }
-            norm = Math.sqrt(norm);
-            
-            if (norm < this.tolerance) continue;
-            
-            const sign = A[k][k] >= 0 ? 1 : -1;
-            const alpha = -sign * norm;
-            const v = Array(n).fill(0);
-            v[k] = A[k][k] - alpha;
-            
-            for (let i = k + 1; i < n; i++) {
-                v[i] = A[i][k];
+
+        for (let i = n - 1; i > 0; i--) {
+            this.reportProgress('Householder reduction', n - 1 - i, n - 1);
+            // Scale to avoid under/overflow
+            let scale = 0;
+            let h = 0;
+            for (let k = 0; k < i; k++) {
+                scale += Math.abs(d[k]);
             }
-            
-            // Normalize v
-            const vNorm = Math.sqrt(v.reduce((sum, val) => sum + val * val, 0));
-            if (vNorm > this.tolerance) {
-                for (let i = 0; i < n; i++) {
-                    v[i] /= vNorm;
+
+            if (scale === 0) {
+                e[i] = d[i - 1];
+                for (let j = 0; j < i; j++) {
+                    d[j] = V[i - 1][j];
+                    V[i][j] = 0;
+                    V[j][i] = 0;
                 }
-            }
-            
-            // Apply Householder transformation
-            for (let j = k; j < n; j++) {
-                let dot = 0;
-                for (let i = k; i < n; i++) {
-                    dot += v[i] * A[i][j];
+            } else {
+                // Generate Householder vector
+                for (let k = 0; k < i; k++) {
+                    d[k] /= scale;
+                    h += d[k] * d[k];
                 }
-                for (let i = k; i < n; i++) {
-                    A[i][j] -= 2 * v[i] * dot;
+                let f = d[i - 1];
+                let g = Math.sqrt(h);
+                if (f > 0) g = -g;
+                e[i] = scale * g;
+                h -= f * g;
+                d[i - 1] = f - g;
+                for (let j = 0; j < i; j++) {
+                    e[j] = 0;
                 }
-            }
-            
-            // Update Q
-            for (let j = 0; j < n; j++) {
-                let dot = 0;
-                for (let i = k; i < n; i++) {
-                    dot += v[i] * Q[i][j];
+
+                // Apply similarity transformation to remaining columns
+                for (let j = 0; j < i; j++) {
+                    f = d[j];
+                    V[j][i] = f;
+                    g = e[j] + V[j][j] * f;
+                    for (let k = j + 1; k <= i - 1; k++) {
+                        g += V[k][j] * d[k];
+                        e[k] += V[k][j] * f;
+                    }
+                    e[j] = g;
+                }
+                f = 0;
+                for (let j = 0; j < i; j++) {
+                    e[j] /= h;
+                    f += e[j] * d[j];
+                }
+                const hh = f / (h + h);
+                for (let j = 0; j < i; j++) {
+                    e[j] -= hh * d[j];
                 }
-                for (let i = k; i < n; i++) {
-                    Q[i][j] -= 2 * v[i] * dot;
+                for (let j = 0; j < i; j++) {
+                    f = d[j];
+                    g = e[j];
+                    for (let k = j; k <= i - 1; k++) {
+                        V[k][j] -= (f * e[k] + g * d[k]);
+                    }
+                    d[j] = V[i - 1][j];
+                    V[i][j] = 0;
                 }
             }
+            d[i] = h;
         }
-        
-        // Extract R matrix
-        for (let i = 0; i < n; i++) {
-            for (let j = i; j < n; j++) {
-                R[i][j] = A[i][j];
+
+        // Accumulate transformations
+        for (let i = 0; i < n - 1; i++) {
+            V[n - 1][i] = V[i][i];
+            V[i][i] = 1;
+            const h = d[i + 1];
+            if (h !== 0) {
+                for (let k = 0; k <= i; k++) {
+                    d[k] = V[k][i + 1] / h;
+                }
+                for (let j = 0; j <= i; j++) {
+                    let g = 0;
+                    for (let k = 0; k <= i; k++) {
+                        g += V[k][i + 1] * V[k][j];
+                    }
+                    for (let k = 0; k <= i; k++) {
+                        V[k][j] -= g * d[k];
+                    }
+                }
+            }
+            for (let k = 0; k <= i; k++) {
+                V[k][i + 1] = 0;
             }
         }
-        
-        return { Q, R };
+        for (let j = 0; j < n; j++) {
+            d[j] = V[n - 1][j];
+            V[n - 1][j] = 0;
+        }
+        V[n - 1][n - 1] = 1;
+        e[0] = 0;
     }
 
-    // QR algorithm for finding all eigenvalues
-    qrAlgorithm(matrix, maxIterations = 1000) {
-        let A = matrix.map(row => [...row]); // Copy matrix
-        const n = matrix.length;
-        const eigenvalues = [];
-        
-        for (let iter = 0; iter < maxIterations; iter++) {
-            // Check for convergence (2x2 blocks on diagonal)
-            let converged = true;
-            for (let i = 0; i < n - 1; i++) {
-                if (Math.abs(A[i + 1][i]) > this.tolerance) {
-                    converged = false;
-                    break;
-                }
+    // Implicit-shift QL iteration on the tridiagonal matrix (d, e).
+    // Overwrites d with the eigenvalues and V with the eigenvectors (as columns).
+    tridiagonalQL(V, d, e) {
+        const n = V.length;
+        const eps = Math.pow(2, -52);
+
+        for (let i = 1; i < n; i++) {
+            e[i - 1] = e[i];
+        }
+        e[n - 1] = 0;
+
+        let f = 0;
+        let tst1 = 0;
+        for (let l = 0; l < n; l++) {
+            this.reportProgress('QL sweeps', l, n);
+            // Find small subdiagonal element
+            tst1 = Math.max(tst1, Math.abs(d[l]) + Math.abs(e[l]));
+            let m = l;
+            while (m < n) {
+                if (Math.abs(e[m]) <= eps * tst1) break;
+                m++;
             }
-            
-            if (converged) {
-                // Extract eigenvalues from diagonal
-                for (let i = 0; i < n; i++) {
-                    eigenvalues.push(A[i][i]);
-                }
-                break;
+
+            // If m === l, d[l] is already an eigenvalue; otherwise iterate
+            if (m > l) {
+                let iter = 0;
+                do {
+                    if (++iter > this.maxIterations) {
+                        throw new Error('Eigenvalue iteration did not converge');
+                    }
+
+                    // Compute implicit shift
+                    let g = d[l];
+                    let p = (d[l + 1] - g) / (2 * e[l]);
+                    let r = Math.hypot(p, 1);
+                    if (p < 0) r = -r;
+                    d[l] = e[l] / (p + r);
+                    d[l + 1] = e[l] * (p + r);
+                    const dl1 = d[l + 1];
+                    let h = g - d[l];
+                    for (let i = l + 2; i < n; i++) {
+                        d[i] -= h;
+                    }
+                    f += h;
+
+                    // Implicit QL transformation
+                    p = d[m];
+                    let c = 1;
+                    let c2 = c;
+                    let c3 = c;
+                    const el1 = e[l + 1];
+                    let s = 0;
+                    let s2 = 0;
+                    for (let i = m - 1; i >= l; i--) {
+                        c3 = c2;
+                        c2 = c;
+                        s2 = s;
+                        g = c * e[i];
+                        h = c * p;
+                        r = Math.hypot(p, e[i]);
+                        e[i + 1] = s * r;
+                        s = e[i] / r;
+                        c = p / r;
+                        p = c * d[i] - s * g;
+                        d[i + 1] = h + s * (c * g + s * d[i]);
+
+                        // Accumulate transformation
+                        for (let k = 0; k < n; k++) {
+                            h = V[k][i + 1];
+                            V[k][i + 1] = s * V[k][i] + c * h;
+                            V[k][i] = c * V[k][i] - s * h;
+                        }
+                    }
+                    p = -s * s2 * c3 * el1 * e[l] / dl1;
+                    e[l] = s * p;
+                    d[l] = c * p;
+                } while (Math.abs(e[l]) > eps * tst1);
             }
-            
-            // Perform QR decomposition
-            const { Q, R } = this.qrDecomposition(A);
-            
-            // Update A = R * Q
-            A = this.matrixMultiply(R, Q);
+            d[l] += f;
+            e[l] = 0;
         }
-        
-        // If no convergence, extract diagonal elements anyway
-        if (eigenvalues.length === 0) {
-            for (let i = 0; i < n; i++) {
-                eigenvalues.push(A[i][i]);
+    }
+
+    // Flip a vector so its largest-magnitude component is positive,
+    // making the returned eigenvectors deterministic
+    canonicalSign(vector) {
+        let pivot = 0;
+        for (let i = 1; i < vector.length; i++) {
+            if (Math.abs(vector[i]) > Math.abs(vector[pivot]) + this.tolerance) {
+                pivot = i;
             }
         }
-        
-        return eigenvalues.sort((a, b) => a - b); // Sort in ascending order
+        return vector[pivot] < 0 ? vector.map(val => -val) : vector;
     }
 
-    // Simplified eigenvalue calculation for small matrices
-    calculateEigenvalues(matrix) {
+    // Eigen-decomposition of a matrix M that becomes symmetric under a diagonal
+    // similarity: B = S M S^-1 with S = diag(scaling). Eigenvalues are those of B;
+    // eigenvectors are mapped back as v = S^-1 u and renormalized.
+    // Used for the random-walk Laplacian, where scaling is sqrt(degree).
+    symmetrizableEigen(matrix, scaling) {
         const n = matrix.length;
-        
-        if (n === 0) return [];
-        if (n === 1) return [matrix[0][0]];
-        
-        // For small matrices, use analytical solutions
-        if (n === 2) {
-            return this.eigenvalues2x2(matrix);
-        } else if (n === 3) {
-            return this.eigenvalues3x3(matrix);
-        }
-        
-        // For larger matrices, use a more reliable method
-        return this.findAllEigenvalues(matrix);
+        const symmetric = Array(n).fill().map((_, i) =>
+            Array(n).fill().map((_, j) => scaling[i] * matrix[i][j] / scaling[j])
+        );
+        
+        const { eigenvalues, eigenvectors } = this.symmetricEigen(symmetric);
+        const mapped = eigenvectors.map(vector => {
+            const v = vector.map((val, i) => val / scaling[i]);
+            const norm = Math.sqrt(this.dotProduct(v, v));
+            return this.canonicalSign(v.map(val => val / norm));
+        });
+        
+        return { eigenvalues, eigenvectors: mapped };
     }
 
-    // Find all eigenvalues using deflation and power iteration
-    findAllEigenvalues(matrix) {
+    // Eigen-decomposition of a general (non-symmetric) real matrix.
+    // Reduces to upper Hessenberg form, runs the shifted double-step QR
+    // algorithm and back-substitutes for the eigenvectors (orthes/hqr2).
+    // Eigenvalues are sorted by real part, then imaginary part; complex ones
+    // come in conjugate pairs. imaginaryParts[k] is the imaginary part of
+    // eigenvalues[k], and eigenvectors / eigenvectorsImaginary hold the real
+    // and imaginary parts of the matching unit eigenvectors.
+    generalEigen(matrix) {
         const n = matrix.length;
-        const eigenvalues = [];
-        
-        // For small matrices, use a simpler approach
-        if (n <= 4) {
-            return this.simpleEigenvalueMethod(matrix);
+        if (n === 0) {
+            return { eigenvalues: [], imaginaryParts: [], eigenvectors: [], eigenvectorsImaginary: [] };
         }
-        
-        let A = matrix.map(row => [...row]); // Copy matrix
-        
-        for (let i = 0; i < n; i++) {
-            // Find the largest eigenvalue using power iteration
-            const result = this.powerIteration(A, 100);
-            const eigenvalue = result.eigenvalue;
-            eigenvalues.push(eigenvalue);
-            
-            // Deflate the matrix by removing the found eigenvalue
-            if (i < n - 1) {
-                A = this.deflateMatrix(A, eigenvalue, result.eigenvector);
+
+        const H = matrix.map(row => [...row]);
+        const V = Array(n).fill().map(() => Array(n).fill(0));
+        const d = Array(n).fill(0);
+        const e = Array(n).fill(0);
+
+        this.hessenberg(H, V);
+        this.hessenbergQR(H, V, d, e);
+
+        // Column k of V is the eigenvector for a real eigenvalue; for a complex
+        // pair (e[k] > 0) columns k and k + 1 hold its real and imaginary parts
+        const pairs = [];
+        for (let k = 0; k < n; k++) {
+            const column = V.map(row => row[k]);
+            if (e[k] === 0) {
+                pairs.push({ re: d[k], im: 0, vectorRe: column, vectorIm: Array(n).fill(0) });
+            } else if (e[k] > 0) {
+                const next = V.map(row => row[k + 1]);
+                pairs.push({ re: d[k], im: e[k], vectorRe: column, vectorIm: next });
+                pairs.push({ re: d[k + 1], im: e[k + 1], vectorRe: column, vectorIm: next.map(val => -val) });
+                k++;
             }
         }
-        
-        return eigenvalues.sort((a, b) => a - b);
+
+        const scale = Math.max(1, ...pairs.map(pair => Math.hypot(pair.re, pair.im)));
+        const snap = value => Math.abs(value) < 1e-9 * scale ? 0 : value;
+        pairs.forEach(pair => {
+            pair.re = snap(pair.re);
+            pair.im = snap(pair.im);
+            this.normalizeComplexVector(pair);
+        });
+        pairs.sort((a, b) => (Math.abs(a.re - b.re) > 1e-9 * scale ? a.re - b.re : a.im - b.im));
+
+        return {
+            eigenvalues: pairs.map(pair => pair.re),
+            imaginaryParts: pairs.map(pair => pair.im),
+            eigenvectors: pairs.map(pair => pair.vectorRe),
+            eigenvectorsImaginary: pairs.map(pair => pair.vectorIm)
+        };
     }
 
-    // Simple eigenvalue method for small matrices
-    simpleEigenvalueMethod(matrix) {
-        const n = matrix.length;
-        const eigenvalues = [];
-        
-        // Use characteristic polynomial for small matrices
-        if (n === 2) {
-            return this.eigenvalues2x2(matrix);
-        } else if (n === 3) {
-            return this.eigenvalues3x3(matrix);
-        } else if (n === 4) {
-            return this.eigenvalues4x4(matrix);
+    // Scale a complex vector to unit length and rotate its phase so the
+    // largest-magnitude component is real and positive
+    normalizeComplexVector(pair) {
+        const { vectorRe, vectorIm } = pair;
+        let norm = 0;
+        let pivot = 0;
+        for (let i = 0; i < vectorRe.length; i++) {
+            const modulus = Math.hypot(vectorRe[i], vectorIm[i]);
+            norm += modulus * modulus;
+            if (modulus > Math.hypot(vectorRe[pivot], vectorIm[pivot]) + this.tolerance) pivot = i;
         }
-        
-        return [];
-    }
+        norm = Math.sqrt(norm) || 1;
 
-    // Eigenvalues for 4x4 matrix using characteristic polynomial
-    eigenvalues4x4(matrix) {
-        // For 4x4, we'll use a simplified approach
-        // Find eigenvalues by solving det(A - λI) = 0
-        const eigenvalues = [];
-        
-        // Use power iteration to find largest eigenvalue
-        const result1 = this.powerIteration(matrix, 200);
-        eigenvalues.push(result1.eigenvalue);
-        
-        // Use deflation to find remaining eigenvalues
-        let A = this.deflateMatrix(matrix, result1.eigenvalue, result1.eigenvector);
-        const result2 = this.powerIteration(A, 200);
-        eigenvalues.push(result2.eigenvalue);
-        
-        A = this.deflateMatrix(A, result2.eigenvalue, result2.eigenvector);
-        const result3 = this.powerIteration(A, 200);
-        eigenvalues.push(result3.eigenvalue);
-        
-        A = this.deflateMatrix(A, result3.eigenvalue, result3.eigenvector);
-        const result4 = this.powerIteration(A, 200);
-        eigenvalues.push(result4.eigenvalue);
-        
-        return eigenvalues.sort((a, b) => a - b);
+        // Multiply by conj(c) / |c| where c is the pivot component
+        const modulus = Math.hypot(vectorRe[pivot], vectorIm[pivot]) || 1;
+        const cosPhase = vectorRe[pivot] / modulus;
+        const sinPhase = -vectorIm[pivot] / modulus;
+        pair.vectorRe = vectorRe.map((re, i) => (re * cosPhase - vectorIm[i] * sinPhase) / norm);
+        pair.vectorIm = vectorIm.map((im, i) => (vectorRe[i] * sinPhase + im * cosPhase) / norm);
     }
 
-    // Deflate matrix by removing one eigenvalue
-    deflateMatrix(matrix, eigenvalue, eigenvector) {
-        const n = matrix.length;
-        const deflated = Array(n).fill().map(() => Array(n).fill(0));
-        
-        // Create outer product of eigenvector
-        for (let i = 0; i < n; i++) {
-            for (let j = 0; j < n; j++) {
-                deflated[i][j] = eigenvector[i] * eigenvector[j];
+    // Orthogonal reduction to upper Hessenberg form (in place).
+    // V receives the accumulated transformation.
+    hessenberg(H, V) {
+        const n = H.length;
+        const ort = Array(n).fill(0);
+        const high = n - 1;
+
+        for (let m = 1; m <= high - 1; m++) {
+            this.reportProgress('Hessenberg reduction', m - 1, high - 1);
+            // Scale column
+            let scale = 0;
+            for (let i = m; i <= high; i++) {
+                scale += Math.abs(H[i][m - 1]);
             }
+            if (scale === 0) continue;
+
+            // Compute Householder transformation
+            let h = 0;
+            for (let i = high; i >= m; i--) {
+                ort[i] = H[i][m - 1] / scale;
+                h += ort[i] * ort[i];
+            }
+            let g = Math.sqrt(h);
+            if (ort[m] > 0) g = -g;
+            h -= ort[m] * g;
+            ort[m] -= g;
+
+            // Apply similarity transformation H = (I - u u'/h) H (I - u u'/h)
+            for (let j = m; j < n; j++) {
+                let f = 0;
+                for (let i = high; i >= m; i--) {
+                    f += ort[i] * H[i][j];
+                }
+                f /= h;
+                for (let i = m; i <= high; i++) {
+                    H[i][j] -= f * ort[i];
+                }
+            }
+            for (let i = 0; i <= high; i++) {
+                let f = 0;
+                for (let j = high; j >= m; j--) {
+                    f += ort[j] * H[i][j];
+                }
+                f /= h;
+                for (let j = m; j <= high; j++) {
+                    H[i][j] -= f * ort[j];
+                }
+            }
+            ort[m] = scale * ort[m];
+            H[m][m - 1] = scale * g;
         }
-        
-        // Subtract eigenvalue * outer product from original matrix
+
+        // Accumulate transformations
         for (let i = 0; i < n; i++) {
             for (let j = 0; j < n; j++) {
-                deflated[i][j] = matrix[i][j] - eigenvalue * deflated[i][j];
+                V[i][j] = i === j ? 1 : 0;
+            }
+        }
+        for (let m = high - 1; m >= 1; m--) {
+            if (H[m][m - 1] === 0) continue;
+            for (let i = m + 1; i <= high; i++) {
+                ort[i] = H[i][m - 1];
+            }
+            for (let j = m; j <= high; j++) {
+                let g = 0;
+                for (let i = m; i <= high; i++) {
+                    g += ort[i] * V[i][j];
+                }
+                // Double division avoids possible underflow
+                g = (g / ort[m]) / H[m][m - 1];
+                for (let i = m; i <= high; i++) {
+                    V[i][j] += g * ort[i];
+                }
             }
         }
-        
-        return deflated;
     }
 
-    // Calculate eigenvalues for small matrices (2x2, 3x3)
-    smallMatrixEigenvalues(matrix) {
-        const n = matrix.length;
-        
-        if (n === 2) {
-            return this.eigenvalues2x2(matrix);
-        } else if (n === 3) {
-            return this.eigenvalues3x3(matrix);
+    // Complex division (xr + i xi) / (yr + i yi)
+    complexDivide(xr, xi, yr, yi) {
+        if (Math.abs(yr) > Math.abs(yi)) {
+            const r = yi / yr;
+            const den = yr + r * yi;
+            return [(xr + r * xi) / den, (xi - r * xr) / den];
         }
-        
-        return [];
+        const r = yr / yi;
+        const den = yi + r * yr;
+        return [(r * xr + xi) / den, (r * xi - xr) / den];
     }
 
-    // Eigenvalues for 2x2 matrix
-    eigenvalues2x2(matrix) {
-        const a = matrix[0][0];
-        const b = matrix[0][1];
-        const c = matrix[1][0];
-        const d = matrix[1][1];
-        
-        const trace = a + d;
-        const det = a * d - b * c;
-        
-        const discriminant = trace * trace - 4 * det;
-        
-        if (discriminant < 0) {
-            // Complex eigenvalues - return real parts
-            const realPart = trace / 2;
-            return [realPart, realPart];
+    // Shifted double-step QR on an upper Hessenberg matrix, followed by
+    // back-substitution for the eigenvectors. Fills d (real parts) and
+    // e (imaginary parts) and overwrites V with the eigenvectors.
+    hessenbergQR(H, V, d, e) {
+        const nn = H.length;
+        let n = nn - 1;
+        const low = 0;
+        const high = nn - 1;
+        const eps = Math.pow(2, -52);
+        let exshift = 0;
+        let p = 0, q = 0, r = 0, s = 0, z = 0, t, w, x, y;
+
+        // Matrix norm for convergence tests
+        let norm = 0;
+        for (let i = 0; i < nn; i++) {
+            for (let j = Math.max(i - 1, 0); j < nn; j++) {
+                norm += Math.abs(H[i][j]);
+            }
         }
-        
-        const sqrtDisc = Math.sqrt(discriminant);
-        const lambda1 = (trace + sqrtDisc) / 2;
-        const lambda2 = (trace - sqrtDisc) / 2;
-        
-        return [lambda1, lambda2].sort((a, b) => b - a);
-    }
 
-    // Eigenvalues for 3x3 matrix using characteristic polynomial
-    eigenvalues3x3(matrix) {
-        const a = matrix[0][0];
-        const b = matrix[0][1];
-        const c = matrix[0][2];
-        const d = matrix[1][0];
-        const e = matrix[1][1];
-        const f = matrix[1][2];
-        const g = matrix[2][0];
-        const h = matrix[2][1];
-        const i = matrix[2][2];
-        
-        // Characteristic polynomial: λ³ - trace·λ² + (sum of minors)·λ - det = 0
-        const trace = a + e + i;
-        const sumOfMinors = (a * e - b * d) + (a * i - c * g) + (e * i - f * h);
-        const det = a * (e * i - f * h) - b * (d * i - f * g) + c * (d * h - e * g);
-        
-        // Use Cardano's formula for cubic equation
-        const p = sumOfMinors - trace * trace / 3;
-        const q = det - trace * sumOfMinors / 3 + 2 * trace * trace * trace / 27;
-        
-        const discriminant = (q / 2) * (q / 2) + (p / 3) * (p / 3) * (p / 3);
-        
-        if (discriminant > 0) {
-            // One real root, two complex
-            const u = Math.cbrt(-q / 2 + Math.sqrt(discriminant));
-            const v = Math.cbrt(-q / 2 - Math.sqrt(discriminant));
-            const realRoot = u + v - trace / 3;
-            return [realRoot, realRoot, realRoot];
-        } else if (discriminant === 0) {
-            // Three real roots, two equal
-            const u = Math.cbrt(-q / 2);
-            const root1 = 2 * u - trace / 3;
-            const root2 = -u - trace / 3;
-            return [root1, root2, root2].sort((a, b) => b - a);
-        } else {
-            // Three distinct real roots
-            const r = Math.sqrt(-p / 3);
-            const theta = Math.acos(-q / (2 * r * r * r));
-            const root1 = 2 * r * Math.cos(theta / 3) - trace / 3;
-            const root2 = 2 * r * Math.cos((theta + 2 * Math.PI) / 3) - trace / 3;
-            const root3 = 2 * r * Math.cos((theta + 4 * Math.PI) / 3) - trace / 3;
-            return [root1, root2, root3].sort((a, b) => b - a);
+        // Outer loop over eigenvalue index
+        let iter = 0;
+        while (n >= low) {
+            this.reportProgress('QR iterations', nn - 1 - n, nn);
+            // Look for single small sub-diagonal element
+            let l = n;
+            while (l > low) {
+                s = Math.abs(H[l - 1][l - 1]) + Math.abs(H[l][l]);
+                if (s === 0) s = norm;
+                if (H[l][l - 1] === 0 || Math.abs(H[l][l - 1]) < eps * s) break;
+                l--;
+            }
+
+            if (l === n) {
+                // One root found
+                H[n][n] += exshift;
+                d[n] = H[n][n];
+                e[n] = 0;
+                n--;
+                iter = 0;
+            } else if (l === n - 1) {
+                // Two roots found
+                w = H[n][n - 1] * H[n - 1][n];
+                p = (H[n - 1][n - 1] - H[n][n]) / 2;
+                q = p * p + w;
+                z = Math.sqrt(Math.abs(q));
+                H[n][n] += exshift;
+                H[n - 1][n - 1] += exshift;
+                x = H[n][n];
+
+                if (q >= 0) {
+                    // Real pair
+                    z = p >= 0 ? p + z : p - z;
+                    d[n - 1] = x + z;
+                    d[n] = d[n - 1];
+                    if (z !== 0) d[n] = x - w / z;
+                    e[n - 1] = 0;
+                    e[n] = 0;
+                    x = H[n][n - 1];
+                    s = Math.abs(x) + Math.abs(z);
+                    p = x / s;
+                    q = z / s;
+                    r = Math.sqrt(p * p + q * q);
+                    p /= r;
+                    q /= r;
+
+                    // Row modification
+                    for (let j = n - 1; j < nn; j++) {
+                        z = H[n - 1][j];
+                        H[n - 1][j] = q * z + p * H[n][j];
+                        H[n][j] = q * H[n][j] - p * z;
+                    }
+                    // Column modification
+                    for (let i = 0; i <= n; i++) {
+                        z = H[i][n - 1];
+                        H[i][n - 1] = q * z + p * H[i][n];
+                        H[i][n] = q * H[i][n] - p * z;
+                    }
+                    // Accumulate transformations
+                    for (let i = low; i <= high; i++) {
+                        z = V[i][n - 1];
+                        V[i][n - 1] = q * z + p * V[i][n];
+                        V[i][n] = q * V[i][n] - p * z;
+                    }
+                } else {
+                    // Complex pair
+                    d[n - 1] = x + p;
+                    d[n] = x + p;
+                    e[n - 1] = z;
+                    e[n] = -z;
+                }
+                n -= 2;
+                iter = 0;
+            } else {
+                // No convergence yet: form shift
+                x = H[n][n];
+                y = 0;
+                w = 0;
+                if (l < n) {
+                    y = H[n - 1][n - 1];
+                    w = H[n][n - 1] * H[n - 1][n];
+                }
+
+                // Wilkinson's original ad hoc shift
+                if (iter === 10) {
+                    exshift += x;
+                    for (let i = low; i <= n; i++) {
+                        H[i][i] -= x;
+                    }
+                    s = Math.abs(H[n][n - 1]) + Math.abs(H[n - 1][n - 2]);
+                    x = y = 0.75 * s;
+                    w = -0.4375 * s * s;
+                }
+
+                // MATLAB's ad hoc shift
+                if (iter === 30) {
+                    s = (y - x) / 2;
+                    s = s * s + w;
+                    if (s > 0) {
+                        s = Math.sqrt(s);
+                        if (y < x) s = -s;
+                        s = x - w / ((y - x) / 2 + s);
+                        for (let i = low; i <= n; i++) {
+                            H[i][i] -= s;
+                        }
+                        exshift += s;
+                        x = y = w = 0.964;
+                    }
+                }
+
+                if (++iter > this.maxIterations) {
+                    throw new Error('Eigenvalue iteration did not converge');
+                }
+
+                // Look for two consecutive small sub-diagonal elements
+                let m = n - 2;
+                while (m >= l) {
+                    z = H[m][m];
+                    r = x - z;
+                    s = y - z;
+                    p = (r * s - w) / H[m + 1][m] + H[m][m + 1];
+                    q = H[m + 1][m + 1] - z - r - s;
+                    r = H[m + 2][m + 1];
+                    s = Math.abs(p) + Math.abs(q) + Math.abs(r);
+                    p /= s;
+                    q /= s;
+                    r /= s;
+                    if (m === l) break;
+                    if (Math.abs(H[m][m - 1]) * (Math.abs(q) + Math.abs(r)) <
+                        eps * (Math.abs(p) * (Math.abs(H[m - 1][m - 1]) + Math.abs(z) + Math.abs(H[m + 1][m + 1])))) {
+                        break;
+                    }
+                    m--;
+                }
+
+                for (let i = m + 2; i <= n; i++) {
+                    H[i][i - 2] = 0;
+                    if (i > m + 2) H[i][i - 3] = 0;
+                }
+
+                // Double QR step involving rows l:n and columns m:n
+                for (let k = m; k <= n - 1; k++) {
+                    const notLast = k !== n - 1;
+                    if (k !== m) {
+                        p = H[k][k - 1];
+                        q = H[k + 1][k - 1];
+                        r = notLast ? H[k + 2][k - 1] : 0;
+                        x = Math.abs(p) + Math.abs(q) + Math.abs(r);
+                        if (x === 0) continue;
+                        p /= x;
+                        q /= x;
+                        r /= x;
+                    }
+
+                    s = Math.sqrt(p * p + q * q + r * r);
+                    if (p < 0) s = -s;
+                    if (s === 0) continue;
+
+                    if (k !== m) {
+                        H[k][k - 1] = -s * x;
+                    } else if (l !== m) {
+                        H[k][k - 1] = -H[k][k - 1];
+                    }
+                    p += s;
+                    x = p / s;
+                    y = q / s;
+                    z = r / s;
+                    q /= p;
+                    r /= p;
+
+                    // Row modification
+                    for (let j = k; j < nn; j++) {
+                        p = H[k][j] + q * H[k + 1][j];
+                        if (notLast) {
+                            p += r * H[k + 2][j];
+                            H[k + 2][j] -= p * z;
+                        }
+                        H[k][j] -= p * x;
+                        H[k + 1][j] -= p * y;
+                    }
+                    // Column modification
+                    for (let i = 0; i <= Math.min(n, k + 3); i++) {
+                        p = x * H[i][k] + y * H[i][k + 1];
+                        if (notLast) {
+                            p += z * H[i][k + 2];
+                            H[i][k + 2] -= p * r;
+                        }
+                        H[i][k] -= p;
+                        H[i][k + 1] -= p * q;
+                    }
+                    // Accumulate transformations
+                    for (let i = low; i <= high; i++) {
+                        p = x * V[i][k] + y * V[i][k + 1];
+                        if (notLast) {
+                            p += z * V[i][k + 2];
+                            V[i][k + 2] -= p * r;
+                        }
+                        V[i][k] -= p;
+                        V[i][k + 1] -= p * q;
+                    }
+                }
+            }
         }
-    }
 
-    // Helper function for matrix multiplication
-    matrixMultiply(A, B) {
-        const rows = A.length;
-        const cols = B[0].length;
-        const result = Array(rows).fill().map(() => Array(cols).fill(0));
-        
-        for (let i = 0; i < rows; i++) {
-            for (let j = 0; j < cols; j++) {
-                for (let k = 0; k < A[0].length; k++) {
-                    result[i][j] += A[i][k] * B[k][j];
+        // Back-substitute to find vectors of the upper triangular form
+        if (norm === 0) return;
+
+        for (n = nn - 1; n >= 0; n--) {
+            p = d[n];
+            q = e[n];
+
+            if (q === 0) {
+                // Real vector
+                let l = n;
+                H[n][n] = 1;
+                for (let i = n - 1; i >= 0; i--) {
+                    w = H[i][i] - p;
+                    r = 0;
+                    for (let j = l; j <= n; j++) {
+                        r += H[i][j] * H[j][n];
+                    }
+                    if (e[i] < 0) {
+                        z = w;
+                        s = r;
+                    } else {
+                        l = i;
+                        if (e[i] === 0) {
+                            H[i][n] = w !== 0 ? -r / w : -r / (eps * norm);
+                        } else {
+                            // Solve real equations
+                            x = H[i][i + 1];
+                            y = H[i + 1][i];
+                            q = (d[i] - p) * (d[i] - p) + e[i] * e[i];
+                            t = (x * s - z * r) / q;
+                            H[i][n] = t;
+                            H[i + 1][n] = Math.abs(x) > Math.abs(z) ? (-r - w * t) / x : (-s - y * t) / z;
+                        }
+
+                        // Overflow control
+                        t = Math.abs(H[i][n]);
+                        if ((eps * t) * t > 1) {
+                            for (let j = i; j <= n; j++) {
+                                H[j][n] /= t;
+                            }
+                        }
+                    }
+                }
+            } else if (q < 0) {
+                // Complex vector; last component imaginary so matrix is triangular
+                let l = n - 1;
+                if (Math.abs(H[n][n - 1]) > Math.abs(H[n - 1][n])) {
+                    H[n - 1][n - 1] = q / H[n][n - 1];
+                    H[n - 1][n] = -(H[n][n] - p) / H[n][n - 1];
+                } else {
+                    [H[n - 1][n - 1], H[n - 1][n]] = this.complexDivide(0, -H[n - 1][n], H[n - 1][n - 1] - p, q);
+                }
+                H[n][n - 1] = 0;
+                H[n][n] = 1;
+
+                for (let i = n - 2; i >= 0; i--) {
+                    let ra = 0;
+                    let sa = 0;
+                    for (let j = l; j <= n; j++) {
+                        ra += H[i][j] * H[j][n - 1];
+                        sa += H[i][j] * H[j][n];
+                    }
+                    w = H[i][i] - p;
+
+                    if (e[i] < 0) {
+                        z = w;
+                        r = ra;
+                        s = sa;
+                    } else {
+                        l = i;
+                        if (e[i] === 0) {
+                            [H[i][n - 1], H[i][n]] = this.complexDivide(-ra, -sa, w, q);
+                        } else {
+                            // Solve complex equations
+                            x = H[i][i + 1];
+                            y = H[i + 1][i];
+                            let vr = (d[i] - p) * (d[i] - p) + e[i] * e[i] - q * q;
+                            const vi = (d[i] - p) * 2 * q;
+                            if (vr === 0 && vi === 0) {
+                                vr = eps * norm * (Math.abs(w) + Math.abs(q) + Math.abs(x) + Math.abs(y) + Math.abs(z));
+                            }
+                            [H[i][n - 1], H[i][n]] = this.complexDivide(
+                                x * r - z * ra + q * sa, x * s - z * sa - q * ra, vr, vi
+                            );
+                            if (Math.abs(x) > Math.abs(z) + Math.abs(q)) {
+                                H[i + 1][n - 1] = (-ra - w * H[i][n - 1] + q * H[i][n]) / x;
+                                H[i + 1][n] = (-sa - w * H[i][n] - q * H[i][n - 1]) / x;
+                            } else {
+                                [H[i + 1][n - 1], H[i + 1][n]] = this.complexDivide(
+                                    -r - y * H[i][n - 1], -s - y * H[i][n], z, q
+                                );
+                            }
+                        }
+
+                        // Overflow control
+                        t = Math.max(Math.abs(H[i][n - 1]), Math.abs(H[i][n]));
+                        if ((eps * t) * t > 1) {
+                            for (let j = i; j <= n; j++) {
+                                H[j][n - 1] /= t;
+                                H[j][n] /= t;
+                            }
+                        }
+                    }
                 }
             }
         }
-        
-        return result;
+
+        // Back transformation to get eigenvectors of the original matrix
+        for (let j = nn - 1; j >= low; j--) {
+            for (let i = low; i <= high; i++) {
+                z = 0;
+                for (let k = low; k <= Math.min(j, high); k++) {
+                    z += V[i][k] * H[k][j];
+                }
+                V[i][j] = z;
+            }
+        }
+    }
+
+    // Group a sorted spectrum into distinct values with their multiplicities.
+    // Pass imaginaryParts to group complex eigenvalues by both parts.
+    groupEigenvalues(eigenvalues, tolerance = 1e-6, imaginaryParts = null) {
+        const groups = [];
+        eigenvalues.forEach((value, k) => {
+            const imaginary = imaginaryParts ? imaginaryParts[k] : 0;
+            const last = groups[groups.length - 1];
+            const scale = last ? Math.max(1, Math.hypot(last.value, last.imaginary)) : 1;
+            if (last && Math.hypot(value - last.value, imaginary - last.imaginary) <= tolerance * scale) {
+                last.multiplicity++;
+            } else {
+                groups.push({ value, imaginary, multiplicity: 1 });
+            }
+        });
+        return groups;
+    }
+
+    // Format a possibly complex eigenvalue as a + bi
+    formatComplex(real, imaginary, precision = 3) {
+        const factor = Math.pow(10, precision);
+        const re = Math.round(real * factor) / factor;
+        const im = Math.round(imaginary * factor) / factor;
+        if (im === 0) return `${re}`;
+        const sign = im < 0 ? '−' : '+';
+        return `${re} ${sign} ${Math.abs(im)}i`;
     }
 
     // Helper function for dot product
@@ -383,18 +813,55 @@ class EigenvalueCalculator {
     }
 
     // Calculate and display eigenvalues for a graph
-    calculateGraphEigenvalues(graph) {
-        if (graph.nodes.length === 0) {
-            return { eigenvalues: [], laplacian: [] };
+    // eigenvectors[k][i] is the component of the k-th eigenvector at nodeIds[i]
+    // (its real part when the eigenvalue is complex, see imaginaryParts)
+    calculateGraphEigenvalues(graph, matrixType = graph.matrixType) {
+        return this.solveGraphJob(this.prepareGraphJob(graph, matrixType));
+    }
+
+    // Everything the solver needs from the graph, as plain data that can be
+    // posted to a worker
+    prepareGraphJob(graph, matrixType = graph.matrixType) {
+        const matrix = graph.nodes.length === 0 ? [] : graph.getMatrix(matrixType);
+        let scaling = null;
+        if (!graph.isDirected && matrixType === 'randomWalk') {
+            // D^1/2 (I - D^-1 A) D^-1/2 is the symmetric normalized Laplacian
+            const degree = graph.getDegreeMatrix();
+            scaling = degree.map((row, i) => row[i] > 0 ? Math.sqrt(row[i]) : 1);
+        }
+        return {
+            matrix,
+            matrixType,
+            isDirected: graph.isDirected,
+            scaling,
+            nodeIds: graph.nodes.map(node => node.id)
+        };
+    }
+
+    solveGraphJob(job) {
+        if (job.sparse) {
+            // Partial spectrum of a large graph, see sparse.js
+            return sparseEigenSolver.solveGraphJob(job);
+        }
+        const { matrix, matrixType, nodeIds } = job;
+        if (matrix.length === 0) {
+            return { eigenvalues: [], imaginaryParts: [], eigenvectors: [], matrix: [], matrixType, nodeIds: [] };
         }
         
-        const laplacian = graph.getLaplacianMatrix();
-        console.log('Laplacian matrix:', laplacian);
-        
-        const eigenvalues = this.calculateEigenvalues(laplacian);
-        console.log('Calculated eigenvalues:', eigenvalues);
+        let decomposition;
+        if (job.isDirected) {
+            // Directed matrices are not symmetric and may have complex spectra
+            decomposition = this.generalEigen(matrix);
+        } else if (job.scaling) {
+            decomposition = this.symmetrizableEigen(matrix, job.scaling);
+        } else {
+            decomposition = this.symmetricEigen(matrix);
+        }
         
-        return { eigenvalues, laplacian };
+        const { eigenvalues, eigenvectors } = decomposition;
+        const imaginaryParts = decomposition.imaginaryParts || eigenvalues.map(() => 0);
+
+        return { eigenvalues, imaginaryParts, eigenvectors, matrix, matrixType, nodeIds };
     }
 }
 
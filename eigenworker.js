@@ -0,0 +1,29 @@
+// Web Worker that runs the eigensolvers off the UI thread.
+//
+// Receives { id, job } with a job from EigenvalueCalculator.prepareGraphJob
+// or SparseEigenSolver.prepareGraphJob
+// and answers with { type: 'progress' | 'result' | 'error', id, ... }.
+importScripts('eigenvalue.js', 'sparse.js');
+
+let currentId = null;
+let lastProgress = 0;
+
+// Progress messages are throttled; the UI only needs a few per second
+eigenvalueCalculator.onProgress = (stage, done, total) => {
+    const now = Date.now();
+    if (now - lastProgress < 50) return;
+    lastProgress = now;
+    postMessage({ type: 'progress', id: currentId, stage, done, total });
+};
+
+self.onmessage = (e) => {
+    const { id, job } = e.data;
+    currentId = id;
+    lastProgress = 0;
+    try {
+        const result = eigenvalueCalculator.solveGraphJob(job);
+        postMessage({ type: 'result', id, result });
+    } catch (error) {
+        postMessage({ type: 'error', id, message: error.message });
+    }
+};
@@ -0,0 +1,180 @@
+// Export of computed results (matrix, spectrum) and of the drawing
+class ResultExporter {
+    // Text formats for the matrix and the spectrum
+    getFormats() {
+        return {
+            csv: { name: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+            latex: { name: 'LaTeX', extension: 'tex', mimeType: 'application/x-tex' },
+            markdown: { name: 'Markdown', extension: 'md', mimeType: 'text/markdown' }
+        };
+    }
+
+    // Full precision: the shortest representation that round-trips the double
+    formatNumber(value) {
+        return Object.is(value, -0) ? '0' : String(value);
+    }
+
+    exportMatrix(matrix, labels, format) {
+        switch (format) {
+            case 'csv': return this.matrixToCSV(matrix, labels);
+            case 'latex': return this.matrixToLaTeX(matrix);
+            case 'markdown': return this.matrixToMarkdown(matrix, labels);
+            default: throw new Error(`Unknown format: ${format}`);
+        }
+    }
+
+    exportSpectrum(eigenvalues, imaginaryParts, format) {
+        switch (format) {
+            case 'csv': return this.spectrumToCSV(eigenvalues, imaginaryParts);
+            case 'latex': return this.spectrumToLaTeX(eigenvalues, imaginaryParts);
+            case 'markdown': return this.spectrumToMarkdown(eigenvalues, imaginaryParts);
+            default: throw new Error(`Unknown format: ${format}`);
+        }
+    }
+
+    // Quote a CSV field when it contains a separator, quote or newline
+    csvField(value) {
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    matrixToCSV(matrix, labels) {
+        const header = ['', ...labels].map(label => this.csvField(label)).join(',');
+        const rows = matrix.map((row, i) =>
+            [this.csvField(labels[i]), ...row.map(value => this.formatNumber(value))].join(',')
+        );
+        return [header, ...rows].join('\n') + '\n';
+    }
+
+    matrixToLaTeX(matrix) {
+        const rows = matrix.map(row => '    ' + row.map(value => this.formatNumber(value)).join(' & ') + ' \\\\');
+        return ['\\begin{bmatrix}', ...rows, '\\end{bmatrix}'].join('\n') + '\n';
+    }
+
+    matrixToMarkdown(matrix, labels) {
+        const escape = label => String(label).replace(/\|/g, '\\|');
+        const lines = [
+            '| | ' + labels.map(escape).join(' | ') + ' |',
+            '|---|' + labels.map(() => '---:').join('|') + '|',
+            ...matrix.map((row, i) =>
+                `| **${escape(labels[i])}** | ` + row.map(value => this.formatNumber(value)).join(' | ') + ' |'
+            )
+        ];
+        return lines.join('\n') + '\n';
+    }
+
+    // Complex spectra get a separate imaginary-part column
+    hasImaginary(imaginaryParts) {
+        return imaginaryParts.some(value => value !== 0);
+    }
+
+    spectrumToCSV(eigenvalues, imaginaryParts) {
+        const complex = this.hasImaginary(imaginaryParts);
+        const lines = [complex ? 'k,real,imaginary' : 'k,eigenvalue'];
+        eigenvalues.forEach((value, k) => {
+            const fields = [k + 1, this.formatNumber(value)];
+            if (complex) fields.push(this.formatNumber(imaginaryParts[k]));
+            lines.push(fields.join(','));
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    spectrumToLaTeX(eigenvalues, imaginaryParts) {
+        const complex = this.hasImaginary(imaginaryParts);
+        const lines = [
+            complex ? '\\begin{tabular}{rrr}' : '\\begin{tabular}{rr}',
+            '\\hline',
+            complex ? '$k$ & $\\mathrm{Re}\\,\\lambda_k$ & $\\mathrm{Im}\\,\\lambda_k$ \\\\' : '$k$ & $\\lambda_k$ \\\\',
+            '\\hline'
+        ];
+        eigenvalues.forEach((value, k) => {
+            const fields = [k + 1, this.formatNumber(value)];
+            if (complex) fields.push(this.formatNumber(imaginaryParts[k]));
+            lines.push(fields.join(' & ') + ' \\\\');
+        });
+        lines.push('\\hline', '\\end{tabular}');
+        return lines.join('\n') + '\n';
+    }
+
+    spectrumToMarkdown(eigenvalues, imaginaryParts) {
+        const complex = this.hasImaginary(imaginaryParts);
+        const lines = complex
+            ? ['| k | Re λ_k | Im λ_k |', '|---:|---:|---:|']
+            : ['| k | λ_k |', '|---:|---:|'];
+        eigenvalues.forEach((value, k) => {
+            const fields = [k + 1, this.formatNumber(value)];
+            if (complex) fields.push(this.formatNumber(imaginaryParts[k]));
+            lines.push('| ' + fields.join(' | ') + ' |');
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    // PNG of the canvas on an opaque background (the canvas itself is transparent)
+    canvasToPNG(graph, callback) {
+        const source = document.getElementById('graphCanvas');
+        const output = document.createElement('canvas');
+        output.width = source.width;
+        output.height = source.height;
+        const ctx = output.getContext('2d');
+        ctx.fillStyle = graph.getColors().background;
+        ctx.fillRect(0, 0, output.width, output.height);
+        ctx.drawImage(source, 0, 0);
+        output.toBlob(callback, 'image/png');
+    }
+
+    // Vector drawing built from the same node and edge styles Graph.draw uses,
+    // framing the whole graph whatever part of it the canvas shows
+    graphToSVG(graph) {
+        const frame = graph.getContentBounds(20) || Object.assign({ x: 0, y: 0 }, graph.getViewSize());
+        const colors = graph.getColors();
+        const escape = value => String(value)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        const round = value => Math.round(value * 100) / 100;
+        const lines = [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${round(frame.width)}" height="${round(frame.height)}" viewBox="${round(frame.x)} ${round(frame.y)} ${round(frame.width)} ${round(frame.height)}">`,
+            `  <rect x="${round(frame.x)}" y="${round(frame.y)}" width="${round(frame.width)}" height="${round(frame.height)}" fill="${colors.background}"/>`
+        ];
+
+        // Edges and arrowheads
+        graph.edges.forEach(edge => {
+            const segment = graph.getEdgeSegment(edge);
+            if (!segment) return;
+            const style = graph.getEdgeStyle(edge, colors);
+            const dash = style.dash.length ? ` stroke-dasharray="${style.dash.join(' ')}"` : '';
+            lines.push(`  <line x1="${round(segment.x1)}" y1="${round(segment.y1)}" x2="${round(segment.x2)}" y2="${round(segment.y2)}" stroke="${style.color}" stroke-width="${style.width}"${dash}/>`);
+            if (edge.directed) {
+                const points = graph.getArrowPoints(segment, style.width).map(p => `${round(p.x)},${round(p.y)}`).join(' ');
+                lines.push(`  <polygon points="${points}" fill="${style.color}"/>`);
+            }
+        });
+
+        // Edge weight labels
+        graph.edges.forEach(edge => {
+            const segment = graph.getEdgeSegment(edge);
+            if (!segment) return;
+            const midX = round((segment.x1 + segment.x2) / 2);
+            const midY = round((segment.y1 + segment.y2) / 2);
+            const text = graph.formatWeight(edge.weight);
+            const width = text.length * 6 + 8;
+            lines.push(`  <rect x="${midX - width / 2}" y="${midY - 8}" width="${width}" height="16" fill="${colors.edgeLabelBackground}"/>`);
+            lines.push(`  <text x="${midX}" y="${midY}" font-family="Arial" font-size="11" fill="${colors.textSecondary}" text-anchor="middle" dominant-baseline="central">${escape(text)}</text>`);
+        });
+
+        // Nodes and labels
+        graph.nodes.forEach(node => {
+            const style = graph.getNodeStyle(node, colors);
+            const dash = style.dash.length ? ` stroke-dasharray="${style.dash.join(' ')}"` : '';
+            lines.push(`  <circle cx="${round(node.x)}" cy="${round(node.y)}" r="${node.radius}" fill="${style.fill}" stroke="${style.stroke}" stroke-width="${style.lineWidth}"${dash}/>`);
+            lines.push(`  <text x="${round(node.x)}" y="${round(node.y)}" font-family="Arial" font-size="14" font-weight="bold" fill="${style.textColor}" text-anchor="middle" dominant-baseline="central">${escape(node.label)}</text>`);
+            if (node.isPinned) {
+                lines.push(`  <circle cx="${round(node.x - node.radius + 4)}" cy="${round(node.y - node.radius + 4)}" r="5" fill="${colors.pin}" stroke="${colors.background}" stroke-width="1.5"/>`);
+            }
+        });
+
+        lines.push('</svg>');
+        return lines.join('\n') + '\n';
+    }
+}
+
+// Initialize result exporter
+const resultExporter = new ResultExporter();
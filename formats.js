@@ -0,0 +1,801 @@
+// Import and export of graphs in standard text formats
+//
+// Every parser returns the same intermediate form:
+//   { directed, nodes: [{ label, x?, y? }], edges: [{ from, to, weight? }] }
+// where from/to index into nodes. Graph.loadGraph builds the model from it.
+
+// Malformed input, with the 1-based line it was found on (if known)
+class GraphFormatError extends Error {
+    constructor(message, line = null) {
+        super(line !== null ? `Line ${line}: ${message}` : message);
+        this.name = 'GraphFormatError';
+        this.line = line;
+    }
+}
+
+class GraphFormats {
+    // Formats offered for import and export, keyed by format id
+    getFormats() {
+        return {
+            json: { name: 'JSON', extension: 'json', mimeType: 'application/json' },
+            edgeList: { name: 'Edge list', extension: 'txt', mimeType: 'text/plain' },
+            adjacency: { name: 'Adjacency matrix', extension: 'adj', mimeType: 'text/plain' },
+            dot: { name: 'DOT (Graphviz)', extension: 'dot', mimeType: 'text/vnd.graphviz' },
+            graphml: { name: 'GraphML', extension: 'graphml', mimeType: 'application/graphml+xml' },
+            graph6: { name: 'graph6', extension: 'g6', mimeType: 'text/plain' },
+            sparse6: { name: 'sparse6', extension: 's6', mimeType: 'text/plain' }
+        };
+    }
+
+    // Pick a format from the file extension, falling back to the content
+    detectFormat(fileName, text) {
+        const extension = (fileName.split('.').pop() || '').toLowerCase();
+        const byExtension = {
+            json: 'json',
+            edges: 'edgeList', edgelist: 'edgeList', csv: 'edgeList', txt: 'edgeList',
+            adj: 'adjacency', mat: 'adjacency',
+            dot: 'dot', gv: 'dot',
+            graphml: 'graphml', xml: 'graphml',
+            g6: 'graph6', s6: 'sparse6'
+        };
+        if (byExtension[extension]) return byExtension[extension];
+
+        const trimmed = text.replace(/^>>(graph6|sparse6)<<:?/, '').trim();
+        if (trimmed.startsWith('{')) return 'json';
+        if (trimmed.startsWith('<')) return 'graphml';
+        if (/^(strict\s+)?(di)?graph\b/i.test(trimmed)) return 'dot';
+        if (trimmed.startsWith(':')) return 'sparse6';
+        if (/^[?-~]+$/.test(trimmed.split('\n')[0]) && !/\s/.test(trimmed)) return 'graph6';
+
+        // Our edge list export starts with its direction, which a matrix never has
+        if (/^#\s*(un)?directed\b/i.test(trimmed)) return 'edgeList';
+
+        // A square block of numbers is an adjacency matrix; anything else an edge list
+        const rows = this.contentLines(text).map(line => line.text.split(/[\s,]+/));
+        if (rows.length > 0 && rows.every(row => row.length === rows.length && row.every(v => !isNaN(Number(v))))) {
+            return 'adjacency';
+        }
+        return 'edgeList';
+    }
+
+    parse(text, format) {
+        switch (format) {
+            case 'json': return this.parseJSON(text);
+            case 'edgeList': return this.parseEdgeList(text);
+            case 'adjacency': return this.parseAdjacency(text);
+            case 'dot': return this.parseDOT(text);
+            case 'graphml': return this.parseGraphML(text);
+            case 'graph6': return this.parseGraph6(text);
+            case 'sparse6': return this.parseSparse6(text);
+            default: throw new GraphFormatError(`Unknown format: ${format}`);
+        }
+    }
+
+    serialize(graph, format) {
+        switch (format) {
+            case 'json': return this.toJSON(graph);
+            case 'edgeList': return this.toEdgeList(graph);
+            case 'adjacency': return this.toAdjacency(graph);
+            case 'dot': return this.toDOT(graph);
+            case 'graphml': return this.toGraphML(graph);
+            case 'graph6': return this.toGraph6(graph);
+            case 'sparse6': return this.toSparse6(graph);
+            default: throw new GraphFormatError(`Unknown format: ${format}`);
+        }
+    }
+
+    // Parse text and load it into the graph; nodes without coordinates are laid out on a circle
+    importInto(graph, text, format) {
+        const data = this.parse(text, format);
+        const needsLayout = data.nodes.some(node => typeof node.x !== 'number' || typeof node.y !== 'number');
+        const positions = needsLayout ? graphGenerator.spread(graphGenerator.circlePositions(data.nodes.length)) : null;
+        const nodes = data.nodes.map((node, i) => ({
+            label: node.label,
+            x: needsLayout ? positions[i].x : node.x,
+            y: needsLayout ? positions[i].y : node.y
+        }));
+        graph.loadGraph(nodes, data.edges, data.directed);
+        return data;
+    }
+
+    // Non-empty, non-comment lines with their 1-based line numbers
+    contentLines(text) {
+        return text.split(/\r?\n/)
+            .map((raw, index) => ({ text: raw.trim(), line: index + 1 }))
+            .filter(line => line.text !== '' && !line.text.startsWith('#') && !line.text.startsWith('%'));
+    }
+
+    // Names used for nodes in text formats: labels if they are unique tokens, else ids.
+    // The edge list splits on whitespace and commas and skips # and % comment lines.
+    getExportNames(graph) {
+        const labels = graph.nodes.map(node => String(node.label).replace(/[\s,]+/g, '_'));
+        const unique = new Set(labels).size === labels.length && labels.every(label => label !== '' && !/^[#%]/.test(label));
+        return unique ? labels : graph.nodes.map(node => String(node.id + 1));
+    }
+
+    // Edges as index pairs into graph.nodes
+    getIndexedEdges(graph) {
+        const indexOf = new Map(graph.nodes.map((node, i) => [node.id, i]));
+        return graph.edges
+            .filter(edge => indexOf.has(edge.from) && indexOf.has(edge.to))
+            .map(edge => ({ from: indexOf.get(edge.from), to: indexOf.get(edge.to), weight: edge.weight }));
+    }
+
+    // --- JSON ---
+
+    parseJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            // Engines word (and place) the error differently; find it ourselves
+            this.scanJSON(text);
+            throw new GraphFormatError(`Invalid JSON (${error.message})`);
+        }
+        if (!data || !Array.isArray(data.nodes) || !Array.isArray(data.edges)) {
+            throw new GraphFormatError('JSON must contain "nodes" and "edges" arrays');
+        }
+
+        const indexOf = new Map();
+        const nodes = data.nodes.map((node, i) => {
+            const id = node.id !== undefined ? node.id : i;
+            if (indexOf.has(id)) {
+                throw new GraphFormatError(`Duplicate node id ${JSON.stringify(id)} in nodes[${i}]`, this.lineOfEntry(text, 'nodes', i));
+            }
+            indexOf.set(id, i);
+            return {
+                label: node.label !== undefined ? node.label : i + 1,
+                x: typeof node.x === 'number' ? node.x : undefined,
+                y: typeof node.y === 'number' ? node.y : undefined
+            };
+        });
+        const edges = data.edges.map((edge, i) => {
+            if (!indexOf.has(edge.from) || !indexOf.has(edge.to)) {
+                throw new GraphFormatError(`edges[${i}] refers to an unknown node`, this.lineOfEntry(text, 'edges', i));
+            }
+            const weight = edge.weight !== undefined ? Number(edge.weight) : 1;
+            if (!(weight > 0)) {
+                throw new GraphFormatError(`edges[${i}] has an invalid weight ${JSON.stringify(edge.weight)}`, this.lineOfEntry(text, 'edges', i));
+            }
+            return { from: indexOf.get(edge.from), to: indexOf.get(edge.to), weight };
+        });
+
+        return { directed: Boolean(data.directed), nodes, edges };
+    }
+
+    // Check the JSON syntax without JSON.parse: throws a GraphFormatError with
+    // the line of the first error, else returns the offsets of the entries of
+    // the arrays in the top-level object, e.g. { nodes: [...], edges: [...] }
+    scanJSON(text) {
+        const entries = {};
+        const string = /"(?:[^"\\\u0000-\u001f]|\\(?:["\\/bfnrt]|u[0-9a-fA-F]{4}))*"/y;
+        const literal = /true|false|null|-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+        let pos = 0;
+
+        const found = () => pos < text.length ? `found ${JSON.stringify(text[pos])}` : 'found the end of the file';
+        const fail = message => {
+            throw new GraphFormatError(`Invalid JSON: ${message}`, text.slice(0, pos).split('\n').length);
+        };
+        const skipSpace = () => {
+            while (pos < text.length && ' \t\n\r'.includes(text[pos])) pos++;
+        };
+        const match = pattern => {
+            pattern.lastIndex = pos;
+            const result = pattern.exec(text);
+            if (result) pos = pattern.lastIndex;
+            return result ? result[0] : null;
+        };
+        // depth 0 is the top-level value; key names the member being read at depth 1
+        const value = (depth, key) => {
+            skipSpace();
+            if (text[pos] === '{') {
+                pos++;
+                skipSpace();
+                if (text[pos] === '}') {
+                    pos++;
+                    return;
+                }
+                for (;;) {
+                    skipSpace();
+                    const name = text[pos] === '"' ? match(string) : null;
+                    if (name === null) fail(`expected a property name, ${found()}`);
+                    skipSpace();
+                    if (text[pos] !== ':') fail(`expected ":", ${found()}`);
+                    pos++;
+                    value(depth + 1, JSON.parse(name));
+                    skipSpace();
+                    if (text[pos] === '}') {
+                        pos++;
+                        return;
+                    }
+                    if (text[pos] !== ',') fail(`expected "," or "}", ${found()}`);
+                    pos++;
+                }
+            }
+            if (text[pos] === '[') {
+                pos++;
+                skipSpace();
+                if (text[pos] === ']') {
+                    pos++;
+                    return;
+                }
+                const offsets = depth === 1 ? (entries[key] = []) : null;
+                for (;;) {
+                    skipSpace();
+                    if (offsets) offsets.push(pos);
+                    value(depth + 1, null);
+                    skipSpace();
+                    if (text[pos] === ']') {
+                        pos++;
+                        return;
+                    }
+                    if (text[pos] !== ',') fail(`expected "," or "]", ${found()}`);
+                    pos++;
+                }
+            }
+            if (text[pos] === '"') {
+                if (match(string) === null) fail('unterminated string or invalid escape');
+                return;
+            }
+            if (match(literal) === null) fail(`expected a value, ${found()}`);
+        };
+
+        value(0, null);
+        skipSpace();
+        if (pos < text.length) fail(`unexpected ${JSON.stringify(text[pos])} after the end of the data`);
+        return entries;
+    }
+
+    // 1-based line of entry index of the top-level array key, or null
+    lineOfEntry(text, key, index) {
+        const offsets = this.scanJSON(text)[key];
+        return offsets && offsets[index] !== undefined ? text.slice(0, offsets[index]).split('\n').length : null;
+    }
+
+    toJSON(graph) {
+        return JSON.stringify({
+            directed: graph.isDirected,
+            nodes: graph.nodes.map(node => ({
+                id: node.id,
+                label: node.label,
+                x: Math.round(node.x * 100) / 100,
+                y: Math.round(node.y * 100) / 100
+            })),
+            edges: graph.edges.map(edge => ({ from: edge.from, to: edge.to, weight: edge.weight }))
+        }, null, 2);
+    }
+
+    // --- Edge list: "source target [weight]" per line, single token = isolated node ---
+
+    parseEdgeList(text) {
+        const directed = /^\s*#\s*directed\b/im.test(text);
+        const nodes = [];
+        const indexOf = new Map();
+        const nodeIndex = label => {
+            if (!indexOf.has(label)) {
+                indexOf.set(label, nodes.length);
+                nodes.push({ label });
+            }
+            return indexOf.get(label);
+        };
+
+        const edges = [];
+        for (const { text: content, line } of this.contentLines(text)) {
+            const tokens = content.split(/[\s,]+/);
+            if (tokens.length > 3) {
+                throw new GraphFormatError(`expected "source target [weight]", found ${tokens.length} fields`, line);
+            }
+            if (tokens.length === 1) {
+                nodeIndex(tokens[0]);
+                continue;
+            }
+            const weight = tokens.length === 3 ? Number(tokens[2]) : 1;
+            if (!(weight > 0)) {
+                throw new GraphFormatError(`invalid weight "${tokens[2]}"`, line);
+            }
+            edges.push({ from: nodeIndex(tokens[0]), to: nodeIndex(tokens[1]), weight });
+        }
+
+        return { directed, nodes, edges };
+    }
+
+    toEdgeList(graph) {
+        const names = this.getExportNames(graph);
+        const lines = [graph.isDirected ? '# directed' : '# undirected'];
+        const connected = new Set();
+        this.getIndexedEdges(graph).forEach(edge => {
+            connected.add(edge.from).add(edge.to);
+            lines.push(`${names[edge.from]} ${names[edge.to]}${edge.weight !== 1 ? ' ' + edge.weight : ''}`);
+        });
+        names.forEach((name, i) => {
+            if (!connected.has(i)) lines.push(name);
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    // --- Adjacency matrix: one row per line, entries separated by spaces or commas ---
+
+    parseAdjacency(text) {
+        const rows = this.contentLines(text);
+        const n = rows.length;
+        const matrix = rows.map(({ text: content, line }) => {
+            const entries = content.split(/[\s,]+/);
+            if (entries.length !== n) {
+                throw new GraphFormatError(`expected ${n} entries for a ${n}×${n} matrix, found ${entries.length}`, line);
+            }
+            return entries.map(entry => {
+                const value = Number(entry);
+                if (isNaN(value)) {
+                    throw new GraphFormatError(`"${entry}" is not a number`, line);
+                }
+                if (value < 0) {
+                    throw new GraphFormatError(`negative entry "${entry}" is not a valid edge weight`, line);
+                }
+                return value;
+            });
+        });
+
+        rows.forEach(({ line }, i) => {
+            if (matrix[i][i] !== 0) {
+                throw new GraphFormatError(`diagonal entry ${matrix[i][i]} would be a self-loop`, line);
+            }
+        });
+
+        const directed = matrix.some((row, i) => row.some((value, j) => value !== matrix[j][i]));
+        const edges = [];
+        for (let i = 0; i < n; i++) {
+            for (let j = directed ? 0 : i + 1; j < n; j++) {
+                if (matrix[i][j] !== 0) edges.push({ from: i, to: j, weight: matrix[i][j] });
+            }
+        }
+        return { directed, nodes: Array(n).fill().map((_, i) => ({ label: i + 1 })), edges };
+    }
+
+    toAdjacency(graph) {
+        return graph.getAdjacencyMatrix().map(row => row.join(' ')).join('\n') + '\n';
+    }
+
+    // --- DOT ---
+
+    // Split DOT source into tokens, tracking the line of each
+    tokenizeDOT(text) {
+        const tokens = [];
+        let line = 1;
+        let i = 0;
+        while (i < text.length) {
+            const ch = text[i];
+            if (ch === '\n') {
+                line++;
+                i++;
+            } else if (/\s/.test(ch)) {
+                i++;
+            } else if (text.startsWith('//', i) || (ch === '#' && (i === 0 || text[i - 1] === '\n'))) {
+                while (i < text.length && text[i] !== '\n') i++;
+            } else if (text.startsWith('/*', i)) {
+                const end = text.indexOf('*/', i + 2);
+                if (end === -1) throw new GraphFormatError('unterminated comment', line);
+                line += text.slice(i, end).split('\n').length - 1;
+                i = end + 2;
+            } else if (ch === '"') {
+                let value = '';
+                const startLine = line;
+                i++;
+                while (i < text.length && text[i] !== '"') {
+                    if (text[i] === '\\' && text[i + 1] === '"') {
+                        value += '"';
+                        i += 2;
+                    } else {
+                        if (text[i] === '\n') line++;
+                        value += text[i++];
+                    }
+                }
+                if (i >= text.length) throw new GraphFormatError('unterminated string', startLine);
+                i++;
+                tokens.push({ type: 'id', value, line: startLine });
+            } else if (text.startsWith('--', i) || text.startsWith('->', i)) {
+                tokens.push({ type: 'edgeop', value: text.substr(i, 2), line });
+                i += 2;
+            } else if ('{}[]=;,:'.includes(ch)) {
+                tokens.push({ type: ch, value: ch, line });
+                i++;
+            } else if (/[\w.\-]/.test(ch)) {
+                let value = '';
+                while (i < text.length && /[\w.\-]/.test(text[i]) && !text.startsWith('--', i) && !text.startsWith('->', i)) {
+                    value += text[i++];
+                }
+                tokens.push({ type: 'id', value, line });
+            } else {
+                throw new GraphFormatError(`unexpected character "${ch}"`, line);
+            }
+        }
+        return tokens;
+    }
+
+    parseDOT(text) {
+        const tokens = this.tokenizeDOT(text);
+        let pos = 0;
+        const peek = () => tokens[pos];
+        const lastLine = () => (tokens.length ? tokens[tokens.length - 1].line : 1);
+        const expect = type => {
+            const token = tokens[pos];
+            if (!token || token.type !== type) {
+                throw new GraphFormatError(`expected "${type}"${token ? `, found "${token.value}"` : ''}`, token ? token.line : lastLine());
+            }
+            pos++;
+            return token;
+        };
+
+        if (peek() && peek().type === 'id' && peek().value.toLowerCase() === 'strict') pos++;
+        const kind = expect('id');
+        if (!['graph', 'digraph'].includes(kind.value.toLowerCase())) {
+            throw new GraphFormatError(`expected "graph" or "digraph", found "${kind.value}"`, kind.line);
+        }
+        const directed = kind.value.toLowerCase() === 'digraph';
+        if (peek() && peek().type === 'id') pos++;
+        expect('{');
+
+        const nodes = [];
+        const indexOf = new Map();
+        const edges = [];
+        const nodeIndex = name => {
+            if (!indexOf.has(name)) {
+                indexOf.set(name, nodes.length);
+                nodes.push({ label: name });
+            }
+            return indexOf.get(name);
+        };
+
+        // Optional [a=b, c=d] attribute list
+        const parseAttributes = () => {
+            const attributes = {};
+            while (peek() && peek().type === '[') {
+                pos++;
+                while (peek() && peek().type !== ']') {
+                    const key = expect('id');
+                    expect('=');
+                    attributes[key.value] = { value: expect('id').value, line: key.line };
+                    if (peek() && (peek().type === ',' || peek().type === ';')) pos++;
+                }
+                expect(']');
+            }
+            return attributes;
+        };
+
+        while (peek() && peek().type !== '}') {
+            const token = expect('id');
+            const keyword = token.value.toLowerCase();
+
+            if (['graph', 'node', 'edge'].includes(keyword) && peek() && peek().type === '[') {
+                parseAttributes(); // default attributes are ignored
+            } else if (peek() && peek().type === '=') {
+                pos++;
+                expect('id'); // graph attribute such as rankdir=LR
+            } else if (peek() && peek().type === 'edgeop') {
+                // Edge chain a -- b -- c [attrs]
+                const chain = [token];
+                while (peek() && peek().type === 'edgeop') {
+                    const op = expect('edgeop');
+                    if ((op.value === '->') !== directed) {
+                        throw new GraphFormatError(`"${op.value}" is not allowed in a ${directed ? 'digraph' : 'graph'}`, op.line);
+                    }
+                    chain.push(expect('id'));
+                }
+                const attributes = parseAttributes();
+                const weight = attributes.weight ? Number(attributes.weight.value) : 1;
+                if (!(weight > 0)) {
+                    throw new GraphFormatError(`invalid weight "${attributes.weight.value}"`, attributes.weight.line);
+                }
+                for (let k = 0; k < chain.length - 1; k++) {
+                    edges.push({ from: nodeIndex(chain[k].value), to: nodeIndex(chain[k + 1].value), weight });
+                }
+            } else {
+                // Node statement a [label="..", pos="x,y"]
+                const node = nodes[nodeIndex(token.value)];
+                const attributes = parseAttributes();
+                if (attributes.label) node.label = attributes.label.value;
+                if (attributes.pos) {
+                    const [x, y] = attributes.pos.value.replace('!', '').split(',').map(Number);
+                    if (isNaN(x) || isNaN(y)) {
+                        throw new GraphFormatError(`invalid position "${attributes.pos.value}"`, attributes.pos.line);
+                    }
+                    node.x = x;
+                    node.y = y;
+                }
+            }
+            if (peek() && peek().type === ';') pos++;
+        }
+        expect('}');
+
+        return { directed, nodes, edges };
+    }
+
+    toDOT(graph) {
+        const op = graph.isDirected ? '->' : '--';
+        const quote = value => `"${String(value).replace(/"/g, '\\"')}"`;
+        const lines = [`${graph.isDirected ? 'digraph' : 'graph'} G {`];
+        graph.nodes.forEach(node => {
+            const pos = `${Math.round(node.x)},${Math.round(node.y)}!`;
+            lines.push(`    n${node.id} [label=${quote(node.label)}, pos=${quote(pos)}];`);
+        });
+        graph.edges.forEach(edge => {
+            const weight = edge.weight !== 1 ? ` [weight=${edge.weight}]` : '';
+            lines.push(`    n${edge.from} ${op} n${edge.to}${weight};`);
+        });
+        lines.push('}');
+        return lines.join('\n') + '\n';
+    }
+
+    // --- GraphML ---
+
+    // 1-based line of the index-th occurrence of <tagName in the source
+    lineOfTag(text, tagName, index) {
+        const pattern = new RegExp(`<(\\w+:)?${tagName}\\b`, 'g');
+        let match;
+        let count = 0;
+        while ((match = pattern.exec(text)) !== null) {
+            if (count++ === index) return text.slice(0, match.index).split('\n').length;
+        }
+        return null;
+    }
+
+    parseGraphML(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        const parserError = doc.getElementsByTagName('parsererror')[0];
+        if (parserError) {
+            const match = /line(?: number)? (\d+)/i.exec(parserError.textContent) || /^\s*(\d+):\d+/.exec(parserError.textContent);
+            throw new GraphFormatError(`Invalid XML: ${parserError.textContent.trim().split('\n')[0]}`, match ? Number(match[1]) : null);
+        }
+
+        const graphElement = doc.getElementsByTagName('graph')[0];
+        if (!graphElement) {
+            throw new GraphFormatError('no <graph> element found');
+        }
+        const directed = graphElement.getAttribute('edgedefault') === 'directed';
+
+        // Map <key> ids to attribute names (x, y, label, weight)
+        const keyNames = {};
+        Array.from(doc.getElementsByTagName('key')).forEach(key => {
+            keyNames[key.getAttribute('id')] = key.getAttribute('attr.name') || key.getAttribute('id');
+        });
+        const readData = element => {
+            const data = {};
+            Array.from(element.children).filter(child => child.localName === 'data').forEach(child => {
+                data[keyNames[child.getAttribute('key')] || child.getAttribute('key')] = child.textContent.trim();
+            });
+            return data;
+        };
+
+        const nodes = [];
+        const indexOf = new Map();
+        Array.from(doc.getElementsByTagName('node')).forEach((element, i) => {
+            const id = element.getAttribute('id');
+            if (id === null) {
+                throw new GraphFormatError('<node> without an id', this.lineOfTag(text, 'node', i));
+            }
+            const data = readData(element);
+            indexOf.set(id, nodes.length);
+            nodes.push({
+                label: data.label !== undefined ? data.label : id,
+                x: data.x !== undefined ? Number(data.x) : undefined,
+                y: data.y !== undefined ? Number(data.y) : undefined
+            });
+        });
+
+        const edges = Array.from(doc.getElementsByTagName('edge')).map((element, i) => {
+            const source = element.getAttribute('source');
+            const target = element.getAttribute('target');
+            if (!indexOf.has(source) || !indexOf.has(target)) {
+                throw new GraphFormatError(`<edge> refers to unknown node "${indexOf.has(source) ? target : source}"`, this.lineOfTag(text, 'edge', i));
+            }
+            const data = readData(element);
+            const weight = data.weight !== undefined ? Number(data.weight) : 1;
+            if (!(weight > 0)) {
+                throw new GraphFormatError(`invalid weight "${data.weight}"`, this.lineOfTag(text, 'edge', i));
+            }
+            return { from: indexOf.get(source), to: indexOf.get(target), weight };
+        });
+
+        return { directed, nodes, edges };
+    }
+
+    toGraphML(graph) {
+        const escape = value => String(value)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+            '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+            '  <key id="x" for="node" attr.name="x" attr.type="double"/>',
+            '  <key id="y" for="node" attr.name="y" attr.type="double"/>',
+            '  <key id="weight" for="edge" attr.name="weight" attr.type="double"/>',
+            `  <graph id="G" edgedefault="${graph.isDirected ? 'directed' : 'undirected'}">`
+        ];
+        graph.nodes.forEach(node => {
+            lines.push(`    <node id="n${node.id}">`);
+            lines.push(`      <data key="label">${escape(node.label)}</data>`);
+            lines.push(`      <data key="x">${Math.round(node.x * 100) / 100}</data>`);
+            lines.push(`      <data key="y">${Math.round(node.y * 100) / 100}</data>`);
+            lines.push('    </node>');
+        });
+        graph.edges.forEach(edge => {
+            lines.push(`    <edge source="n${edge.from}" target="n${edge.to}">`);
+            lines.push(`      <data key="weight">${edge.weight}</data>`);
+            lines.push('    </edge>');
+        });
+        lines.push('  </graph>', '</graphml>');
+        return lines.join('\n') + '\n';
+    }
+
+    // --- graph6 / sparse6 (undirected, unweighted; see McKay's formats.txt) ---
+
+    // First non-empty line without the optional >>graph6<< / >>sparse6<< header
+    readSixLine(text, format) {
+        const lines = this.contentLines(text);
+        if (lines.length === 0) {
+            throw new GraphFormatError(`empty ${format} input`);
+        }
+        const { text: raw, line } = lines[0];
+        return { data: raw.replace(/^>>(graph6|sparse6)<</, ''), line };
+    }
+
+    // 6-bit values of printable characters 63..126
+    decodeSixBits(data, line) {
+        return Array.from(data).map(ch => {
+            const value = ch.charCodeAt(0) - 63;
+            if (value < 0 || value > 63) {
+                throw new GraphFormatError(`invalid character "${ch}"`, line);
+            }
+            return value;
+        });
+    }
+
+    // Read the vertex count N(n); returns [n, number of 6-bit values used]
+    decodeSize(values, line) {
+        if (values.length === 0) throw new GraphFormatError('missing vertex count', line);
+        if (values[0] !== 63) return [values[0], 1];
+        if (values.length > 1 && values[1] === 63) {
+            if (values.length < 8) throw new GraphFormatError('truncated vertex count', line);
+            return [values.slice(2, 8).reduce((n, v) => n * 64 + v, 0), 8];
+        }
+        if (values.length < 4) throw new GraphFormatError('truncated vertex count', line);
+        return [values.slice(1, 4).reduce((n, v) => n * 64 + v, 0), 4];
+    }
+
+    encodeSize(n) {
+        const chars = (value, count) => Array(count).fill().map((_, i) =>
+            String.fromCharCode(63 + ((value >> (6 * (count - 1 - i))) & 63))
+        ).join('');
+        if (n <= 62) return String.fromCharCode(63 + n);
+        if (n <= 258047) return '~' + chars(n, 3);
+        return '~~' + chars(n, 6);
+    }
+
+    encodeBits(bits) {
+        while (bits.length % 6 !== 0) bits.push(0);
+        let text = '';
+        for (let i = 0; i < bits.length; i += 6) {
+            text += String.fromCharCode(63 + bits.slice(i, i + 6).reduce((value, bit) => value * 2 + bit, 0));
+        }
+        return text;
+    }
+
+    // Simple undirected structure required by graph6/sparse6
+    checkSixCompatible(graph, format) {
+        if (graph.isDirected) {
+            throw new GraphFormatError(`${format} only supports undirected graphs`);
+        }
+        if (graph.edges.some(edge => edge.weight !== 1)) {
+            throw new GraphFormatError(`${format} only supports unweighted graphs`);
+        }
+    }
+
+    parseGraph6(text) {
+        const { data, line } = this.readSixLine(text, 'graph6');
+        const values = this.decodeSixBits(data, line);
+        const [n, offset] = this.decodeSize(values, line);
+        const bitCount = n * (n - 1) / 2;
+        const needed = Math.ceil(bitCount / 6);
+        if (values.length - offset !== needed) {
+            throw new GraphFormatError(`expected ${needed} data characters for ${n} vertices, found ${values.length - offset}`, line);
+        }
+
+        const edges = [];
+        let k = 0;
+        for (let j = 1; j < n; j++) {
+            for (let i = 0; i < j; i++, k++) {
+                const bit = (values[offset + Math.floor(k / 6)] >> (5 - k % 6)) & 1;
+                if (bit) edges.push({ from: i, to: j });
+            }
+        }
+        return { directed: false, nodes: Array(n).fill().map((_, i) => ({ label: i + 1 })), edges };
+    }
+
+    toGraph6(graph) {
+        this.checkSixCompatible(graph, 'graph6');
+        const n = graph.nodes.length;
+        const adjacency = graph.getAdjacencyMatrix();
+        const bits = [];
+        for (let j = 1; j < n; j++) {
+            for (let i = 0; i < j; i++) bits.push(adjacency[i][j] !== 0 ? 1 : 0);
+        }
+        return this.encodeSize(n) + this.encodeBits(bits) + '\n';
+    }
+
+    parseSparse6(text) {
+        const { data, line } = this.readSixLine(text, 'sparse6');
+        if (!data.startsWith(':')) {
+            throw new GraphFormatError('sparse6 data must start with ":"', line);
+        }
+        const values = this.decodeSixBits(data.slice(1), line);
+        const [n, offset] = this.decodeSize(values, line);
+        let k = 1;
+        while ((1 << k) < n) k++;
+
+        // Read the data as a stream of bits
+        const bits = [];
+        values.slice(offset).forEach(value => {
+            for (let b = 5; b >= 0; b--) bits.push((value >> b) & 1);
+        });
+
+        const edges = [];
+        const seen = new Set();
+        let v = 0;
+        let pos = 0;
+        while (pos + 1 + k <= bits.length) {
+            const b = bits[pos++];
+            let x = 0;
+            for (let i = 0; i < k; i++) x = x * 2 + bits[pos++];
+            if (b === 1) v++;
+            if (x >= n || v >= n) break;
+            if (x > v) {
+                v = x;
+            } else {
+                const key = x + '-' + v;
+                if (x !== v && !seen.has(key)) {
+                    seen.add(key);
+                    edges.push({ from: x, to: v });
+                }
+            }
+        }
+        return { directed: false, nodes: Array(n).fill().map((_, i) => ({ label: i + 1 })), edges };
+    }
+
+    toSparse6(graph) {
+        this.checkSixCompatible(graph, 'sparse6');
+        const n = graph.nodes.length;
+        let k = 1;
+        while ((1 << k) < n) k++;
+        const encode = x => Array(k).fill().map((_, i) => (x >> (k - 1 - i)) & 1);
+
+        // Edges as (larger, smaller) endpoint pairs in increasing order
+        const edges = this.getIndexedEdges(graph)
+            .map(edge => [Math.max(edge.from, edge.to), Math.min(edge.from, edge.to)])
+            .sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+        const bits = [];
+        let current = 0;
+        edges.forEach(([v, u]) => {
+            if (v === current) {
+                bits.push(0, ...encode(u));
+            } else if (v === current + 1) {
+                current = v;
+                bits.push(1, ...encode(u));
+            } else {
+                current = v;
+                bits.push(1, ...encode(v), 0, ...encode(u));
+            }
+        });
+
+        // Padding must not be readable as an extra edge
+        const padding = (6 - bits.length % 6) % 6;
+        if (k < 6 && n === (1 << k) && padding >= k && current < n - 1) {
+            bits.push(0);
+        }
+        while (bits.length % 6 !== 0) bits.push(1);
+
+        return ':' + this.encodeSize(n) + this.encodeBits(bits) + '\n';
+    }
+}
+
+// Initialize graph formats
+const graphFormats = new GraphFormats();
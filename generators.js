@@ -0,0 +1,449 @@
+// Built-in generators for standard graph families
+class GraphGenerator {
+    constructor() {
+        this.maxNodes = 200;
+    }
+
+    // Families offered in the Generate menu with their parameter inputs
+    getFamilies() {
+        return {
+            path: { name: 'Path P(n)', params: [{ key: 'n', label: 'n', value: 6, min: 1 }] },
+            cycle: { name: 'Cycle C(n)', params: [{ key: 'n', label: 'n', value: 6, min: 3 }] },
+            complete: { name: 'Complete K(n)', params: [{ key: 'n', label: 'n', value: 6, min: 1 }] },
+            completeBipartite: {
+                name: 'Complete bipartite K(m,n)',
+                params: [{ key: 'm', label: 'm', value: 3, min: 1 }, { key: 'n', label: 'n', value: 3, min: 1 }]
+            },
+            star: { name: 'Star S(n)', params: [{ key: 'n', label: 'leaves', value: 6, min: 1 }] },
+            wheel: { name: 'Wheel W(n)', params: [{ key: 'n', label: 'rim nodes', value: 6, min: 3 }] },
+            grid: {
+                name: 'Grid',
+                params: [{ key: 'rows', label: 'rows', value: 4, min: 1 }, { key: 'cols', label: 'columns', value: 4, min: 1 }]
+            },
+            torus: {
+                name: 'Torus',
+                params: [{ key: 'rows', label: 'rows', value: 4, min: 3 }, { key: 'cols', label: 'columns', value: 4, min: 3 }]
+            },
+            hypercube: { name: 'Hypercube Q(d)', params: [{ key: 'd', label: 'dimension', value: 3, min: 1, max: 7 }] },
+            petersen: { name: 'Petersen graph', params: [] },
+            binaryTree: { name: 'Binary tree', params: [{ key: 'depth', label: 'depth', value: 3, min: 0, max: 7 }] },
+            erdosRenyi: {
+                name: 'Erdős–Rényi G(n,p)',
+                params: [
+                    { key: 'n', label: 'n', value: 10, min: 1 },
+                    { key: 'p', label: 'p', value: 0.3, min: 0, max: 1, step: 0.05 },
+                    { key: 'seed', label: 'seed', value: 1, min: 0 }
+                ]
+            },
+            randomRegular: {
+                name: 'Random regular',
+                params: [
+                    { key: 'n', label: 'n', value: 10, min: 1 },
+                    { key: 'd', label: 'degree', value: 3, min: 0 },
+                    { key: 'seed', label: 'seed', value: 1, min: 0 }
+                ]
+            },
+            barabasiAlbert: {
+                name: 'Barabási–Albert',
+                params: [
+                    { key: 'n', label: 'n', value: 12, min: 1 },
+                    { key: 'm', label: 'edges per node', value: 2, min: 1 },
+                    { key: 'seed', label: 'seed', value: 1, min: 0 }
+                ]
+            }
+        };
+    }
+
+    // Build a family into the graph, replacing its contents
+    generate(graph, family, params) {
+        const builders = {
+            path: () => this.path(params.n),
+            cycle: () => this.cycle(params.n),
+            complete: () => this.complete(params.n),
+            completeBipartite: () => this.completeBipartite(params.m, params.n),
+            star: () => this.star(params.n),
+            wheel: () => this.wheel(params.n),
+            grid: () => this.grid(params.rows, params.cols),
+            torus: () => this.torus(params.rows, params.cols),
+            hypercube: () => this.hypercube(params.d),
+            petersen: () => this.petersen(),
+            binaryTree: () => this.binaryTree(params.depth),
+            erdosRenyi: () => this.erdosRenyi(params.n, params.p, params.seed),
+            randomRegular: () => this.randomRegular(params.n, params.d, params.seed),
+            barabasiAlbert: () => this.barabasiAlbert(params.n, params.m, params.seed)
+        };
+        if (!builders[family]) {
+            throw new Error(`Unknown graph family: ${family}`);
+        }
+
+        this.validateParams(family, params);
+        const { nodes, edges } = builders[family]();
+        if (nodes.length > this.maxNodes) {
+            throw new Error(`Too many nodes (${nodes.length}); the limit is ${this.maxNodes}`);
+        }
+        graph.loadGraph(this.spread(nodes), edges.map(([from, to]) => ({ from, to })), false);
+    }
+
+    // Check parameters against the ranges declared in getFamilies()
+    validateParams(family, params) {
+        for (const param of this.getFamilies()[family].params) {
+            const value = params[param.key];
+            if (typeof value !== 'number' || !isFinite(value)) {
+                throw new Error(`Parameter "${param.label}" must be a number`);
+            }
+            if (param.step === undefined && !Number.isInteger(value)) {
+                throw new Error(`Parameter "${param.label}" must be a whole number`);
+            }
+            if (param.min !== undefined && value < param.min) {
+                throw new Error(`Parameter "${param.label}" must be at least ${param.min}`);
+            }
+            if (param.max !== undefined && value > param.max) {
+                throw new Error(`Parameter "${param.label}" must be at most ${param.max}`);
+            }
+        }
+    }
+
+    // Seeded pseudo-random generator (mulberry32) returning floats in [0, 1)
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // World area used to lay graphs out: the visible canvas, grown for
+    // nodeCount nodes so that each keeps about as much room as in a
+    // 30-node graph on a 600x400 canvas
+    getBounds(nodeCount = 0) {
+        const { width, height } = graph.getViewSize();
+        const factor = Math.max(1, Math.sqrt(nodeCount * 8000 / (width * height)));
+        return { width: width * factor, height: height * factor, margin: 40 };
+    }
+
+    // Scale positions (array or Map of {x, y}) about the center of the
+    // canvas until the typical distance to the nearest neighbor is at least
+    // spacing, so large graphs grow past the visible area instead of
+    // overlapping. The median is taken over at most 200 sampled nodes; if it
+    // is zero up to rounding (nodes placed on top of each other, as spectral
+    // layouts do with symmetric nodes) scaling cannot separate them.
+    spread(positions, spacing = 60) {
+        const points = Array.isArray(positions) ? positions : [...positions.values()];
+        const n = points.length;
+        if (n < 2) return positions;
+        const stride = Math.max(1, Math.floor(n / 200));
+        const nearest = [];
+        for (let i = 0; i < n; i += stride) {
+            let best = Infinity;
+            for (let j = 0; j < n; j++) {
+                if (j !== i) best = Math.min(best, Math.hypot(points[i].x - points[j].x, points[i].y - points[j].y));
+            }
+            nearest.push(best);
+        }
+        nearest.sort((a, b) => a - b);
+        const median = nearest[Math.floor(nearest.length / 2)];
+        if (!(median > 1e-6 * spacing) || median >= spacing) return positions;
+
+        const factor = Math.min(spacing / median, 50);
+        const { width, height } = this.getBounds();
+        const scale = p => Object.assign({}, p, {
+            x: width / 2 + (p.x - width / 2) * factor,
+            y: height / 2 + (p.y - height / 2) * factor
+        });
+        return Array.isArray(positions)
+            ? positions.map(scale)
+            : new Map([...positions].map(([id, p]) => [id, scale(p)]));
+    }
+
+    // n points evenly spaced on a circle around the canvas center
+    circlePositions(n, radiusScale = 1, startAngle = -Math.PI / 2) {
+        const { width, height, margin } = this.getBounds();
+        const radius = (Math.min(width, height) / 2 - margin) * radiusScale;
+        return Array(n).fill().map((_, i) => ({
+            x: width / 2 + (n === 1 ? 0 : radius * Math.cos(startAngle + 2 * Math.PI * i / n)),
+            y: height / 2 + (n === 1 ? 0 : radius * Math.sin(startAngle + 2 * Math.PI * i / n))
+        }));
+    }
+
+    // rows x cols lattice filling the canvas
+    gridPositions(rows, cols) {
+        const { width, height, margin } = this.getBounds();
+        const stepX = cols > 1 ? (width - 2 * margin) / (cols - 1) : 0;
+        const stepY = rows > 1 ? (height - 2 * margin) / (rows - 1) : 0;
+        const positions = [];
+        for (let r = 0; r < rows; r++) {
+            for (let c = 0; c < cols; c++) {
+                positions.push({
+                    x: cols > 1 ? margin + c * stepX : width / 2,
+                    y: rows > 1 ? margin + r * stepY : height / 2
+                });
+            }
+        }
+        return positions;
+    }
+
+    path(n) {
+        const { width, height, margin } = this.getBounds();
+        const step = n > 1 ? (width - 2 * margin) / (n - 1) : 0;
+        const nodes = Array(n).fill().map((_, i) => ({ x: n > 1 ? margin + i * step : width / 2, y: height / 2 }));
+        const edges = [];
+        for (let i = 0; i < n - 1; i++) edges.push([i, i + 1]);
+        return { nodes, edges };
+    }
+
+    cycle(n) {
+        const edges = [];
+        for (let i = 0; i < n; i++) edges.push([i, (i + 1) % n]);
+        return { nodes: this.circlePositions(n), edges };
+    }
+
+    complete(n) {
+        const edges = [];
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) edges.push([i, j]);
+        }
+        return { nodes: this.circlePositions(n), edges };
+    }
+
+    // Two columns: m nodes on the left, n on the right
+    completeBipartite(m, n) {
+        const { width, height, margin } = this.getBounds();
+        const column = (count, x) => Array(count).fill().map((_, i) => ({
+            x,
+            y: count > 1 ? margin + i * (height - 2 * margin) / (count - 1) : height / 2
+        }));
+        const nodes = [...column(m, width / 3), ...column(n, 2 * width / 3)];
+        const edges = [];
+        for (let i = 0; i < m; i++) {
+            for (let j = 0; j < n; j++) edges.push([i, m + j]);
+        }
+        return { nodes, edges };
+    }
+
+    // Center node 0 joined to n leaves
+    star(n) {
+        const { width, height } = this.getBounds();
+        const nodes = [{ x: width / 2, y: height / 2 }, ...this.circlePositions(n)];
+        const edges = Array(n).fill().map((_, i) => [0, i + 1]);
+        return { nodes, edges };
+    }
+
+    // Hub node 0 joined to every node of the rim cycle C(n)
+    wheel(n) {
+        const { nodes, edges } = this.star(n);
+        for (let i = 0; i < n; i++) edges.push([i + 1, (i + 1) % n + 1]);
+        return { nodes, edges };
+    }
+
+    grid(rows, cols) {
+        const edges = [];
+        for (let r = 0; r < rows; r++) {
+            for (let c = 0; c < cols; c++) {
+                const index = r * cols + c;
+                if (c + 1 < cols) edges.push([index, index + 1]);
+                if (r + 1 < rows) edges.push([index, index + cols]);
+            }
+        }
+        return { nodes: this.gridPositions(rows, cols), edges };
+    }
+
+    // Grid with wrap-around edges in both directions
+    torus(rows, cols) {
+        const edges = [];
+        for (let r = 0; r < rows; r++) {
+            for (let c = 0; c < cols; c++) {
+                const index = r * cols + c;
+                edges.push([index, r * cols + (c + 1) % cols]);
+                edges.push([index, ((r + 1) % rows) * cols + c]);
+            }
+        }
+        return { nodes: this.gridPositions(rows, cols), edges };
+    }
+
+    // Vertices are d-bit strings; each bit shifts the node along its own direction
+    hypercube(d) {
+        const n = 1 << d;
+        const { width, height, margin } = this.getBounds();
+        const directions = Array(d).fill().map((_, bit) => ({
+            x: Math.cos(Math.PI * bit / d),
+            y: Math.sin(Math.PI * bit / d)
+        }));
+        const raw = Array(n).fill().map((_, v) => directions.reduce((point, dir, bit) => {
+            if (v & (1 << bit)) {
+                point.x += dir.x;
+                point.y += dir.y;
+            }
+            return point;
+        }, { x: 0, y: 0 }));
+
+        // Scale the projection to fill the canvas
+        const minX = Math.min(...raw.map(p => p.x));
+        const maxX = Math.max(...raw.map(p => p.x));
+        const minY = Math.min(...raw.map(p => p.y));
+        const maxY = Math.max(...raw.map(p => p.y));
+        const nodes = raw.map(p => ({
+            x: maxX > minX ? margin + (p.x - minX) / (maxX - minX) * (width - 2 * margin) : width / 2,
+            y: maxY > minY ? margin + (p.y - minY) / (maxY - minY) * (height - 2 * margin) : height / 2
+        }));
+
+        const edges = [];
+        for (let v = 0; v < n; v++) {
+            for (let bit = 0; bit < d; bit++) {
+                const u = v ^ (1 << bit);
+                if (u > v) edges.push([v, u]);
+            }
+        }
+        return { nodes, edges };
+    }
+
+    // Outer pentagon 0-4, inner pentagram 5-9, spokes i -- i + 5
+    petersen() {
+        const nodes = [...this.circlePositions(5), ...this.circlePositions(5, 0.45)];
+        const edges = [];
+        for (let i = 0; i < 5; i++) {
+            edges.push([i, (i + 1) % 5]);
+            edges.push([5 + i, 5 + (i + 2) % 5]);
+            edges.push([i, i + 5]);
+        }
+        return { nodes, edges };
+    }
+
+    // Complete binary tree, laid out level by level
+    binaryTree(depth) {
+        const { width, height, margin } = this.getBounds();
+        const n = (1 << (depth + 1)) - 1;
+        const nodes = [];
+        const edges = [];
+        for (let v = 0; v < n; v++) {
+            const level = Math.floor(Math.log2(v + 1));
+            const position = v + 1 - (1 << level);
+            const slots = 1 << level;
+            nodes.push({
+                x: margin + (position + 0.5) * (width - 2 * margin) / slots,
+                y: depth > 0 ? margin + level * (height - 2 * margin) / depth : height / 2
+            });
+            if (v > 0) edges.push([Math.floor((v - 1) / 2), v]);
+        }
+        return { nodes, edges };
+    }
+
+    // Each of the n(n-1)/2 possible edges is present independently with probability p
+    erdosRenyi(n, p, seed) {
+        const random = this.createRandom(seed);
+        const edges = [];
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                if (random() < p) edges.push([i, j]);
+            }
+        }
+        return { nodes: this.circlePositions(n), edges };
+    }
+
+    // Random d-regular graph. Dense graphs (d > (n - 1) / 2) are the
+    // complement of a random (n - 1 - d)-regular one, which pairs far more easily.
+    randomRegular(n, d, seed) {
+        if (d >= n) {
+            throw new Error('Degree must be smaller than the number of nodes');
+        }
+        if ((n * d) % 2 !== 0) {
+            throw new Error('n × degree must be even for a regular graph to exist');
+        }
+
+        if (2 * d > n - 1) {
+            const sparse = this.randomRegular(n, n - 1 - d, seed);
+            const present = new Set(sparse.edges.map(([a, b]) => Math.min(a, b) * n + Math.max(a, b)));
+            const edges = [];
+            for (let i = 0; i < n; i++) {
+                for (let j = i + 1; j < n; j++) {
+                    if (!present.has(i * n + j)) edges.push([i, j]);
+                }
+            }
+            return { nodes: sparse.nodes, edges };
+        }
+
+        const random = this.createRandom(seed);
+        for (let attempt = 0; attempt < 100; attempt++) {
+            const edges = this.pairStubs(n, d, random);
+            if (edges) return { nodes: this.circlePositions(n), edges };
+        }
+        throw new Error('Could not build a random regular graph; try another seed');
+    }
+
+    // Steger–Wormald pairing: join two random free stubs at a time and reject
+    // only a pair that would make a loop or a multi-edge. Returns the edges,
+    // or null when the remaining stubs cannot be paired.
+    pairStubs(n, d, random) {
+        const stubs = [];
+        for (let v = 0; v < n; v++) {
+            for (let k = 0; k < d; k++) stubs.push(v);
+        }
+        const key = (a, b) => a < b ? a * n + b : b * n + a;
+        const adjacent = new Set();
+        const edges = [];
+        let rejected = 0;
+
+        while (stubs.length > 0) {
+            let i;
+            let j;
+            if (rejected < 50) {
+                i = Math.floor(random() * stubs.length);
+                j = Math.floor(random() * (stubs.length - 1));
+                if (j >= i) j++;
+                if (stubs[i] === stubs[j] || adjacent.has(key(stubs[i], stubs[j]))) {
+                    rejected++;
+                    continue;
+                }
+            } else {
+                // Near the end most pairs clash: pick among the suitable ones directly
+                const pairs = [];
+                for (let p = 0; p < stubs.length; p++) {
+                    for (let q = p + 1; q < stubs.length; q++) {
+                        if (stubs[p] !== stubs[q] && !adjacent.has(key(stubs[p], stubs[q]))) pairs.push([p, q]);
+                    }
+                }
+                if (pairs.length === 0) return null;
+                [i, j] = pairs[Math.floor(random() * pairs.length)];
+            }
+            rejected = 0;
+            adjacent.add(key(stubs[i], stubs[j]));
+            edges.push([stubs[i], stubs[j]]);
+            // Remove both stubs, the later one first, by moving the last stub into place
+            for (const index of [Math.max(i, j), Math.min(i, j)]) {
+                stubs[index] = stubs[stubs.length - 1];
+                stubs.pop();
+            }
+        }
+        return edges;
+    }
+
+    // Preferential attachment: start from K(m+1), then each new node links to
+    // m distinct existing nodes chosen with probability proportional to degree
+    barabasiAlbert(n, m, seed) {
+        if (m >= n) {
+            throw new Error('Edges per node must be smaller than the number of nodes');
+        }
+
+        const random = this.createRandom(seed);
+        const edges = this.complete(m + 1).edges;
+        // Each endpoint appears once per incident edge, so sampling is degree-weighted
+        const endpoints = edges.flat();
+
+        for (let v = m + 1; v < n; v++) {
+            const targets = new Set();
+            while (targets.size < m) {
+                targets.add(endpoints[Math.floor(random() * endpoints.length)]);
+            }
+            targets.forEach(target => {
+                edges.push([target, v]);
+                endpoints.push(target, v);
+            });
+        }
+        return { nodes: this.circlePositions(n), edges };
+    }
+}
+
+// Initialize graph generator
+const graphGenerator = new GraphGenerator();
@@ -1,58 +1,185 @@
 // Graph manipulation and visualization logic
 class Graph {
-    constructor() {
+    // counterIds names the elements showing the node and edge counts; with no
+    // canvasId the graph is detached (never drawn), e.g. an induced subgraph
+    constructor(canvasId = 'graphCanvas', counterIds = { nodes: 'nodeCount', edges: 'edgeCount' }) {
+        this.canvasId = canvasId;
+        this.counterIds = counterIds;
         this.nodes = [];
         this.edges = [];
         this.nodeIdCounter = 0;
         this.edgeIdCounter = 0;
         this.selectedNode = null;
-        this.mode = 'addNode'; // 'addNode', 'addEdge', 'delete'
+        this.selection = new Set(); // ids of the nodes picked with Shift+click or a box
+        this.selectionBox = null; // { x1, y1, x2, y2 } while a box is being dragged
+        this.mode = 'addNode'; // 'addNode', 'addEdge', 'delete', 'measure', 'heat', 'select'
         this.isDirected = false; // false for undirected, true for directed
+        this.degreeType = 'out'; // 'out' or 'in': degree used by directed Laplacians
+        this.matrixType = 'laplacian'; // see getMatrixTypes()
+        this.vertexColoring = null; // { values: Map(nodeId -> value), label, scale }
+        this.clusterColoring = null; // { assignment: Map(nodeId -> cluster), cutEdges: Set(edgeId) }
+        this.edgeShading = null; // { values: Map(edgeId -> value), label }
+        this.measuredPair = null; // { from, to, label }: two nodes picked in measure mode
+        this.hoveredNode = null;
+        this.focusedNode = null; // id of the node with keyboard focus, see focusNode()
+        this.showFocus = false; // the focus ring is drawn only while the canvas has focus
+        this.view = { x: 0, y: 0, scale: 1 }; // world point at the top-left corner of the canvas, and zoom
+        this.pixelRatio = 1; // canvas pixels per CSS pixel, see resize()
+        this.minScale = 0.05;
+        this.maxScale = 4;
+        this.changeListeners = []; // called after every edit, see notifyChange()
+        this.revision = 0; // bumped on every change that can affect the matrices
+        this.nodeIndexCache = null; // { nodes, length, index }, see getNodeIndex()
+        this.edgeKeyCache = null; // { edges, length, keys }, see hasEdgeKey()
+    }
+
+    getCanvas() {
+        return this.canvasId ? document.getElementById(this.canvasId) : null;
     }
 
     addNode(x, y) {
-        // Ensure node stays within canvas boundaries
-        const canvas = document.getElementById('graphCanvas');
-        const margin = 25; // Keep nodes away from edges
-        const boundedX = Math.max(margin, Math.min(x, canvas.width - margin));
-        const boundedY = Math.max(margin, Math.min(y, canvas.height - margin));
-        
-        const node = {
-            id: this.nodeIdCounter++,
-            x: boundedX,
-            y: boundedY,
+        const node = this.createNode(x, y);
+        this.nodes.push(node);
+        this.updateNodeConnectivity();
+        this.updateUI();
+        return node;
+    }
+
+    // Build a node object with the next id at world position (x, y)
+    createNode(x, y, label) {
+        const id = this.nodeIdCounter++;
+        return {
+            id: id,
+            x: x,
+            y: y,
             radius: 20,
-            label: this.nodeIdCounter,
+            label: label !== undefined ? label : id + 1,
             isDragging: false,
+            isPinned: false, // pinned nodes are not moved by layouts
             isIsolated: true // Will be updated when edges are added
         };
-        this.nodes.push(node);
+    }
+
+    addEdge(node1, node2, weight = 1) {
+        if (this.findEdge(node1.id, node2.id) || node1.id === node2.id) {
+            return null;
+        }
+
+        const edge = this.createEdge(node1.id, node2.id, weight);
+        this.edges.push(edge);
         this.updateNodeConnectivity();
         this.updateUI();
-        return node;
+        return edge;
     }
 
-    addEdge(node1, node2) {
-        // Check if edge already exists (always check both directions for undirected)
-        const existingEdge = this.edges.find(edge => 
-            (edge.from === node1.id && edge.to === node2.id) ||
-            (edge.from === node2.id && edge.to === node1.id)
+    createEdge(fromId, toId, weight = 1) {
+        return {
+            id: this.edgeIdCounter++,
+            from: fromId,
+            to: toId,
+            weight: weight,
+            directed: this.isDirected
+        };
+    }
+
+    // Find an existing edge (both directions for undirected, only this one for directed)
+    findEdge(fromId, toId) {
+        return this.edges.find(edge => 
+            (edge.from === fromId && edge.to === toId) ||
+            (!this.isDirected && edge.from === toId && edge.to === fromId)
         );
+    }
+
+    // Replace the whole graph in one step.
+    // nodes: [{ x, y, label? }]; edges: [{ from, to, weight? }] where from/to
+    // index into nodes. Self-loops and duplicate edges are skipped.
+    loadGraph(nodes, edges, isDirected = false) {
+        this.nodes = [];
+        this.edges = [];
+        this.nodeIdCounter = 0;
+        this.edgeIdCounter = 0;
+        this.selectedNode = null;
+        this.selection.clear();
+        this.focusedNode = null;
+        this.isDirected = isDirected;
         
-        if (existingEdge || node1.id === node2.id) {
-            return null;
+        nodes.forEach(spec => this.nodes.push(this.createNode(spec.x, spec.y, spec.label)));
+        // Duplicates are found with a key set so large imports stay linear
+        const seen = new Set();
+        edges.forEach(spec => {
+            const from = this.nodes[spec.from];
+            const to = this.nodes[spec.to];
+            if (!from || !to || from === to) return;
+            const key = isDirected ? `${from.id}-${to.id}` : `${Math.min(from.id, to.id)}-${Math.max(from.id, to.id)}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+            this.edges.push(this.createEdge(from.id, to.id, spec.weight !== undefined ? spec.weight : 1));
+        });
+        
+        this.updateNodeConnectivity();
+        if (this.getCanvas()) {
+            this.fitView();
         }
+        this.updateUI();
+    }
 
-        const edge = {
-            id: this.edgeIdCounter++,
-            from: node1.id,
-            to: node2.id,
-            directed: false // Always undirected
+    // Plain snapshot of everything needed to rebuild the graph, ids included
+    getState() {
+        return {
+            isDirected: this.isDirected,
+            degreeType: this.degreeType,
+            matrixType: this.matrixType,
+            nodeIdCounter: this.nodeIdCounter,
+            edgeIdCounter: this.edgeIdCounter,
+            nodes: this.nodes.map(node => ({ id: node.id, x: node.x, y: node.y, label: node.label, isPinned: node.isPinned })),
+            edges: this.edges.map(edge => ({ id: edge.id, from: edge.from, to: edge.to, weight: edge.weight }))
         };
-        this.edges.push(edge);
+    }
+
+    // Restore a snapshot taken by getState()
+    setState(state) {
+        if (!state || !Array.isArray(state.nodes) || !Array.isArray(state.edges)) {
+            throw new Error('Graph state must contain "nodes" and "edges" arrays');
+        }
+        const nodeIds = new Set(state.nodes.map(node => node.id));
+        state.nodes.forEach(node => {
+            if (!Number.isInteger(node.id) || !isFinite(node.x) || !isFinite(node.y)) {
+                throw new Error('Graph state contains an invalid node');
+            }
+        });
+        state.edges.forEach(edge => {
+            if (!Number.isInteger(edge.id) || !nodeIds.has(edge.from) || !nodeIds.has(edge.to) || !(edge.weight > 0)) {
+                throw new Error('Graph state contains an invalid edge');
+            }
+        });
+
+        this.isDirected = !!state.isDirected;
+        this.degreeType = state.degreeType === 'in' ? 'in' : 'out';
+        if (this.getMatrixTypes()[state.matrixType]) {
+            this.matrixType = state.matrixType;
+        }
+        this.selectedNode = null;
+        this.nodes = state.nodes.map(spec => Object.assign(this.createNode(spec.x, spec.y, spec.label), {
+            id: spec.id,
+            isPinned: !!spec.isPinned
+        }));
+        this.edges = state.edges.map(spec => Object.assign(this.createEdge(spec.from, spec.to, spec.weight), { id: spec.id }));
+
+        // Counters never go backwards, so new ids stay unique
+        this.nodeIdCounter = Math.max(state.nodeIdCounter || 0, ...this.nodes.map(node => node.id + 1));
+        this.edgeIdCounter = Math.max(state.edgeIdCounter || 0, ...this.edges.map(edge => edge.id + 1));
+        
         this.updateNodeConnectivity();
         this.updateUI();
-        return edge;
+    }
+
+    // Register a callback run after every change to the graph
+    addChangeListener(listener) {
+        this.changeListeners.push(listener);
+    }
+
+    notifyChange() {
+        this.changeListeners.forEach(listener => listener(this));
     }
 
     removeNode(nodeId) {
@@ -62,6 +189,124 @@ class Graph {
         this.updateUI();
     }
 
+    // Remove several nodes and their edges with a single update
+    removeNodes(nodeIds) {
+        const removed = new Set(nodeIds);
+        this.nodes = this.nodes.filter(node => !removed.has(node.id));
+        this.edges = this.edges.filter(edge => !removed.has(edge.from) && !removed.has(edge.to));
+        this.updateNodeConnectivity();
+        this.updateUI();
+    }
+
+    // Selected node ids in node order
+    getSelectedIds() {
+        return this.nodes.filter(node => this.selection.has(node.id)).map(node => node.id);
+    }
+
+    setSelection(nodeIds) {
+        this.selection = new Set(nodeIds);
+        this.draw();
+    }
+
+    toggleSelected(nodeId) {
+        if (!this.selection.delete(nodeId)) {
+            this.selection.add(nodeId);
+        }
+        this.draw();
+    }
+
+    clearSelection() {
+        if (this.selection.size === 0) return;
+        this.selection.clear();
+        this.draw();
+    }
+
+    // Ids of the nodes whose centers lie inside the box
+    getNodesInBox(box) {
+        const left = Math.min(box.x1, box.x2);
+        const right = Math.max(box.x1, box.x2);
+        const top = Math.min(box.y1, box.y2);
+        const bottom = Math.max(box.y1, box.y2);
+        return this.nodes
+            .filter(node => node.x >= left && node.x <= right && node.y >= top && node.y <= bottom)
+            .map(node => node.id);
+    }
+
+    setSelectionBox(box) {
+        this.selectionBox = box;
+        this.draw();
+    }
+
+    // Shift the given nodes together by (dx, dy) in world coordinates
+    translateNodes(nodeIds, dx, dy) {
+        const nodes = nodeIds.map(id => this.getNodeById(id)).filter(node => node);
+        if (nodes.length === 0) return;
+        nodes.forEach(node => {
+            node.x += dx;
+            node.y += dy;
+        });
+        
+        this.draw();
+        this.notifyChange();
+    }
+
+    // Induced subgraph on the given nodes in the format of loadGraph():
+    // every edge with both ends in the set is kept
+    getSubgraphSpec(nodeIds) {
+        const ids = new Set(nodeIds);
+        const nodes = this.nodes.filter(node => ids.has(node.id));
+        const index = new Map(nodes.map((node, i) => [node.id, i]));
+        return {
+            isDirected: this.isDirected,
+            nodes: nodes.map(node => ({ x: node.x, y: node.y, label: node.label })),
+            edges: this.edges
+                .filter(edge => index.has(edge.from) && index.has(edge.to))
+                .map(edge => ({ from: index.get(edge.from), to: index.get(edge.to), weight: edge.weight }))
+        };
+    }
+
+    // Detached copy of the induced subgraph with the same matrix settings,
+    // so every matrix type can be computed for it
+    getInducedSubgraph(nodeIds) {
+        const spec = this.getSubgraphSpec(nodeIds);
+        const subgraph = new Graph(null, null);
+        subgraph.degreeType = this.degreeType;
+        subgraph.matrixType = this.matrixType;
+        subgraph.loadGraph(spec.nodes, spec.edges, this.isDirected);
+        return subgraph;
+    }
+
+    // Add a copy of a subgraph spec shifted by (dx, dy). The new nodes get
+    // fresh ids and labels and become the selection; returns their ids.
+    addSubgraph(spec, dx = 0, dy = 0) {
+        const nodes = spec.nodes.map(node => this.createNode(node.x + dx, node.y + dy));
+        nodes.forEach(node => this.nodes.push(node));
+        // A directed spec pasted into an undirected graph may hold both a->b and b->a
+        const seen = new Set();
+        spec.edges.forEach(edge => {
+            const from = nodes[edge.from];
+            const to = nodes[edge.to];
+            if (!from || !to || from === to) return;
+            const key = this.isDirected ? `${from.id}-${to.id}` : `${Math.min(from.id, to.id)}-${Math.max(from.id, to.id)}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+            this.edges.push(this.createEdge(from.id, to.id, edge.weight));
+        });
+        this.selection = new Set(nodes.map(node => node.id));
+        this.updateNodeConnectivity();
+        this.updateUI();
+        return nodes.map(node => node.id);
+    }
+
+    // Set the weight of an edge; weights must be positive
+    setEdgeWeight(edgeId, weight) {
+        const edge = this.edges.find(e => e.id === edgeId);
+        if (!edge || !(weight > 0) || !isFinite(weight)) return false;
+        edge.weight = weight;
+        this.updateUI();
+        return true;
+    }
+
     removeEdge(edgeId) {
         this.edges = this.edges.filter(edge => edge.id !== edgeId);
         this.updateNodeConnectivity();
@@ -74,6 +319,8 @@ class Graph {
         this.nodeIdCounter = 0;
         this.edgeIdCounter = 0;
         this.selectedNode = null;
+        this.selection.clear();
+        this.focusedNode = null;
         this.updateUI();
     }
 
@@ -90,13 +337,11 @@ class Graph {
 
     getEdgeAt(x, y) {
         for (const edge of this.edges) {
-            const fromNode = this.nodes.find(n => n.id === edge.from);
-            const toNode = this.nodes.find(n => n.id === edge.to);
-            
-            if (!fromNode || !toNode) continue;
+            const segment = this.getEdgeSegment(edge);
+            if (!segment) continue;
 
             // Calculate distance from point to line segment
-            const distance = this.pointToLineDistance(x, y, fromNode.x, fromNode.y, toNode.x, toNode.y);
+            const distance = this.pointToLineDistance(x, y, segment.x1, segment.y1, segment.x2, segment.y2);
             if (distance <= 5) { // 5 pixel tolerance
                 return edge;
             }
@@ -137,109 +382,326 @@ class Graph {
     setMode(mode) {
         this.mode = mode;
         this.selectedNode = null;
+        if (mode !== 'measure') {
+            this.measuredPair = null;
+        }
         // Stop any ongoing drag operations
         this.nodes.forEach(node => node.isDragging = false);
     }
 
-    // Graph is always undirected - no need for setDirected method
+    // Switch between directed and undirected graphs. Existing edges keep their
+    // orientation; going back to undirected merges reciprocal pairs a->b, b->a.
+    setDirected(isDirected) {
+        if (this.isDirected === isDirected) return;
+        this.isDirected = isDirected;
+        
+        if (!isDirected) {
+            const seen = new Set();
+            this.edges = this.edges.filter(edge => {
+                const key = Math.min(edge.from, edge.to) + '-' + Math.max(edge.from, edge.to);
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+        }
+        this.edges.forEach(edge => edge.directed = isDirected);
+        this.selectedNode = null;
+        this.updateUI();
+    }
+
+    setDegreeType(degreeType) {
+        this.degreeType = degreeType;
+        this.updateUI();
+    }
+
+    setMatrixType(matrixType) {
+        this.matrixType = matrixType;
+        this.updateUI();
+    }
+
+    // Map from node id to its index in this.nodes. Cached until the nodes
+    // array is replaced or grows, so lookups stay O(1) on large graphs.
+    getNodeIndex() {
+        const cache = this.nodeIndexCache;
+        if (!cache || cache.nodes !== this.nodes || cache.length !== this.nodes.length) {
+            this.nodeIndexCache = {
+                nodes: this.nodes,
+                length: this.nodes.length,
+                index: new Map(this.nodes.map((node, i) => [node.id, i]))
+            };
+        }
+        return this.nodeIndexCache.index;
+    }
+
+    getNodeById(nodeId) {
+        const i = this.getNodeIndex().get(nodeId);
+        return i === undefined ? undefined : this.nodes[i];
+    }
+
+    // Whether an edge from -> to exists (orientation as stored), cached like getNodeIndex()
+    hasEdgeKey(fromId, toId) {
+        const cache = this.edgeKeyCache;
+        if (!cache || cache.edges !== this.edges || cache.length !== this.edges.length) {
+            this.edgeKeyCache = {
+                edges: this.edges,
+                length: this.edges.length,
+                keys: new Set(this.edges.map(edge => `${edge.from}-${edge.to}`))
+            };
+        }
+        return this.edgeKeyCache.keys.has(`${fromId}-${toId}`);
+    }
+
+    // Endpoints of an edge as drawn. Reciprocal directed edges are shifted
+    // sideways so both arrows stay visible.
+    getEdgeSegment(edge) {
+        const fromNode = this.getNodeById(edge.from);
+        const toNode = this.getNodeById(edge.to);
+        if (!fromNode || !toNode) return null;
+        
+        const segment = { x1: fromNode.x, y1: fromNode.y, x2: toNode.x, y2: toNode.y, targetRadius: toNode.radius };
+        const hasReverse = this.isDirected && this.hasEdgeKey(edge.to, edge.from);
+        if (hasReverse) {
+            const length = Math.hypot(segment.x2 - segment.x1, segment.y2 - segment.y1) || 1;
+            const offsetX = -(segment.y2 - segment.y1) / length * 5;
+            const offsetY = (segment.x2 - segment.x1) / length * 5;
+            segment.x1 += offsetX;
+            segment.y1 += offsetY;
+            segment.x2 += offsetX;
+            segment.y2 += offsetY;
+        }
+        return segment;
+    }
 
     // Update node connectivity status
     updateNodeConnectivity() {
+        const connected = new Set();
+        this.edges.forEach(edge => {
+            connected.add(edge.from);
+            connected.add(edge.to);
+        });
         this.nodes.forEach(node => {
-            const hasEdges = this.edges.some(edge => 
-                edge.from === node.id || edge.to === node.id
-            );
-            node.isIsolated = !hasEdges;
+            node.isIsolated = !connected.has(node.id);
         });
     }
 
-    // Move node with boundary checking
+    // Move a node to a world position; nodes may lie outside the visible area
     moveNode(nodeId, newX, newY) {
         const node = this.nodes.find(n => n.id === nodeId);
         if (!node) return;
 
-        const canvas = document.getElementById('graphCanvas');
-        const margin = 25;
-        
-        // Ensure node stays within canvas boundaries
-        node.x = Math.max(margin, Math.min(newX, canvas.width - margin));
-        node.y = Math.max(margin, Math.min(newY, canvas.height - margin));
+        node.x = newX;
+        node.y = newY;
         
         this.draw();
+        this.notifyChange();
     }
 
-    // Check if a position is valid for a node
+    // Any finite world position is valid for a node
     isValidNodePosition(x, y) {
-        const canvas = document.getElementById('graphCanvas');
-        const margin = 25;
-        return x >= margin && x <= canvas.width - margin && 
-               y >= margin && y <= canvas.height - margin;
-    }
-
-    // Auto-layout disconnected components
-    autoLayoutDisconnectedComponents() {
-        if (this.nodes.length === 0) return;
-
-        const components = this.getConnectedComponents();
-        const canvas = document.getElementById('graphCanvas');
-        const centerX = canvas.width / 2;
-        const centerY = canvas.height / 2;
-        const spacing = 200;
-
-        components.forEach((component, index) => {
-            const componentCenterX = centerX + (index - components.length / 2) * spacing;
-            const componentCenterY = centerY;
-            const radius = Math.max(80, component.length * 15);
-
-            component.forEach((node, nodeIndex) => {
-                const angle = (2 * Math.PI * nodeIndex) / component.length;
-                const x = componentCenterX + radius * Math.cos(angle);
-                const y = componentCenterY + radius * Math.sin(angle);
-                this.moveNode(node.id, x, y);
-            });
+        return isFinite(x) && isFinite(y);
+    }
+
+    // Move many nodes at once (Map nodeId -> {x, y}) with a single redraw
+    setPositions(positions) {
+        positions.forEach((position, nodeId) => {
+            const node = this.getNodeById(nodeId);
+            if (!node) return;
+            node.x = position.x;
+            node.y = position.y;
         });
+        
+        this.draw();
+        this.notifyChange();
     }
 
-    // Get connected components using DFS
-    getConnectedComponents() {
-        const visited = new Set();
-        const components = [];
+    // Visible size in CSS pixels; the canvas has pixelRatio times as many pixels
+    getViewSize() {
+        const canvas = this.getCanvas();
+        if (!canvas) return { width: 600, height: 400 };
+        return { width: canvas.width / this.pixelRatio, height: canvas.height / this.pixelRatio };
+    }
+
+    // Match the canvas to its displayed size (CSS pixels) at the device pixel
+    // ratio. The world point in the top-left corner stays where it is.
+    resize(width, height, pixelRatio = 1) {
+        const canvas = this.getCanvas();
+        if (!canvas || !(width > 0) || !(height > 0)) return;
+        const canvasWidth = Math.round(width * pixelRatio);
+        const canvasHeight = Math.round(height * pixelRatio);
+        if (canvas.width === canvasWidth && canvas.height === canvasHeight && this.pixelRatio === pixelRatio) return;
+        canvas.width = canvasWidth;
+        canvas.height = canvasHeight;
+        this.pixelRatio = pixelRatio;
+        this.draw();
+    }
+
+    screenToWorld(x, y) {
+        return { x: this.view.x + x / this.view.scale, y: this.view.y + y / this.view.scale };
+    }
+
+    worldToScreen(x, y) {
+        return { x: (x - this.view.x) * this.view.scale, y: (y - this.view.y) * this.view.scale };
+    }
+
+    // World rectangle shown on the canvas
+    getVisibleRect() {
+        const { width, height } = this.getViewSize();
+        return { x: this.view.x, y: this.view.y, width: width / this.view.scale, height: height / this.view.scale };
+    }
 
+    // World rectangle around all nodes plus padding, or null for an empty graph
+    getContentBounds(padding = 0) {
+        if (this.nodes.length === 0) return null;
+        let minX = Infinity;
+        let minY = Infinity;
+        let maxX = -Infinity;
+        let maxY = -Infinity;
         this.nodes.forEach(node => {
-            if (!visited.has(node.id)) {
-                const component = [];
-                this.dfsComponent(node.id, visited, component);
-                components.push(component);
-            }
+            minX = Math.min(minX, node.x - node.radius);
+            minY = Math.min(minY, node.y - node.radius);
+            maxX = Math.max(maxX, node.x + node.radius);
+            maxY = Math.max(maxY, node.y + node.radius);
         });
+        return { x: minX - padding, y: minY - padding, width: maxX - minX + 2 * padding, height: maxY - minY + 2 * padding };
+    }
 
-        return components;
+    // Zoom by factor keeping the world point under (screenX, screenY) in place
+    zoomAt(screenX, screenY, factor) {
+        const anchor = this.screenToWorld(screenX, screenY);
+        this.view.scale = Math.max(this.minScale, Math.min(this.maxScale, this.view.scale * factor));
+        this.view.x = anchor.x - screenX / this.view.scale;
+        this.view.y = anchor.y - screenY / this.view.scale;
+        this.draw();
+    }
+
+    // Move the view by a distance in screen pixels
+    panBy(dx, dy) {
+        this.view.x -= dx / this.view.scale;
+        this.view.y -= dy / this.view.scale;
+        this.draw();
+    }
+
+    centerOn(x, y) {
+        const visible = this.getVisibleRect();
+        this.view.x = x - visible.width / 2;
+        this.view.y = y - visible.height / 2;
+        this.draw();
+    }
+
+    // Show the whole graph, zooming out as far as needed but never in past 100%
+    fitView(padding = 20) {
+        const bounds = this.getContentBounds(padding);
+        if (!bounds) {
+            this.view = { x: 0, y: 0, scale: 1 };
+            this.draw();
+            return;
+        }
+        const { width, height } = this.getViewSize();
+        this.view.scale = Math.max(this.minScale, Math.min(1, width / bounds.width, height / bounds.height));
+        this.centerOn(bounds.x + bounds.width / 2, bounds.y + bounds.height / 2);
     }
 
-    // DFS helper for finding connected components
-    dfsComponent(nodeId, visited, component) {
-        visited.add(nodeId);
-        component.push(this.nodes.find(n => n.id === nodeId));
+    isContentVisible() {
+        const bounds = this.getContentBounds();
+        if (!bounds) return true;
+        const visible = this.getVisibleRect();
+        return bounds.x >= visible.x && bounds.y >= visible.y &&
+               bounds.x + bounds.width <= visible.x + visible.width &&
+               bounds.y + bounds.height <= visible.y + visible.height;
+    }
+
+    // Fit the view only when part of the graph is out of sight
+    ensureVisible() {
+        if (this.getCanvas() && !this.isContentVisible()) {
+            this.fitView();
+        }
+    }
+
+    // Minimap in the top-right corner (CSS pixels), shown while part of the
+    // graph is out of sight: { x, y, width, height, world, scale } or null
+    getMinimap() {
+        if (this.nodes.length === 0 || this.isContentVisible()) return null;
+        const { width } = this.getViewSize();
+        const content = this.getContentBounds(20);
+        const visible = this.getVisibleRect();
+        const world = {
+            x: Math.min(content.x, visible.x),
+            y: Math.min(content.y, visible.y)
+        };
+        world.width = Math.max(content.x + content.width, visible.x + visible.width) - world.x;
+        world.height = Math.max(content.y + content.height, visible.y + visible.height) - world.y;
+        const size = 130;
+        const scale = size / Math.max(world.width, world.height);
+        const mapWidth = world.width * scale;
+        const mapHeight = world.height * scale;
+        return { x: width - mapWidth - 10, y: 10, width: mapWidth, height: mapHeight, world, scale };
+    }
+
+    // World point under a screen point inside the minimap, or null outside it
+    minimapToWorld(screenX, screenY) {
+        const map = this.getMinimap();
+        if (!map || screenX < map.x || screenX > map.x + map.width || screenY < map.y || screenY > map.y + map.height) {
+            return null;
+        }
+        return {
+            x: map.world.x + (screenX - map.x) / map.scale,
+            y: map.world.y + (screenY - map.y) / map.scale
+        };
+    }
 
-        // Find all connected nodes
+    // Pinned nodes keep their position when a layout is applied
+    togglePin(nodeId) {
+        const node = this.nodes.find(n => n.id === nodeId);
+        if (!node) return;
+        node.isPinned = !node.isPinned;
+        this.draw();
+        this.notifyChange();
+    }
+
+    // Get connected components (edge directions ignored) using an iterative
+    // DFS over adjacency lists, so large graphs neither recurse deeply nor
+    // rescan the edge list per node
+    getConnectedComponents() {
+        const neighbors = new Map(this.nodes.map(node => [node.id, []]));
         this.edges.forEach(edge => {
-            let connectedNodeId = null;
-            if (edge.from === nodeId) {
-                connectedNodeId = edge.to;
-            } else if (edge.to === nodeId) {
-                connectedNodeId = edge.from;
+            if (neighbors.has(edge.from) && neighbors.has(edge.to)) {
+                neighbors.get(edge.from).push(edge.to);
+                neighbors.get(edge.to).push(edge.from);
             }
+        });
 
-            if (connectedNodeId && !visited.has(connectedNodeId)) {
-                this.dfsComponent(connectedNodeId, visited, component);
+        const visited = new Set();
+        const components = [];
+        this.nodes.forEach(node => {
+            if (visited.has(node.id)) return;
+            const component = [];
+            const stack = [node.id];
+            visited.add(node.id);
+            while (stack.length > 0) {
+                const nodeId = stack.pop();
+                component.push(this.getNodeById(nodeId));
+                neighbors.get(nodeId).forEach(next => {
+                    if (!visited.has(next)) {
+                        visited.add(next);
+                        stack.push(next);
+                    }
+                });
             }
+            components.push(component);
         });
+
+        return components;
     }
 
+    // Apply a canvas click in the current mode; returns a description of the edit
     handleClick(x, y) {
         switch (this.mode) {
             case 'addNode':
-                this.addNode(x, y);
+                // Clicks on a node (drag, pin) or an edge (weight) don't add nodes
+                if (!this.getNodeAt(x, y) && !this.getEdgeAt(x, y)) {
+                    this.addNode(x, y);
+                    return 'Add node';
+                }
                 break;
             case 'addEdge':
                 const node = this.getNodeAt(x, y);
@@ -249,36 +711,226 @@ class Graph {
                     } else if (this.selectedNode.id !== node.id) {
                         this.addEdge(this.selectedNode, node);
                         this.selectedNode = null;
+                        return 'Add edge';
                     }
                 }
                 break;
+            case 'measure':
+                // Pick two nodes; a third click starts a new pair
+                const picked = this.getNodeAt(x, y);
+                if (picked) {
+                    if (this.selectedNode === null || this.selectedNode.id === picked.id) {
+                        this.selectedNode = picked;
+                        this.measuredPair = null;
+                    } else {
+                        this.measuredPair = { from: this.selectedNode.id, to: picked.id, label: null };
+                        this.selectedNode = null;
+                    }
+                    this.draw();
+                }
+                break;
             case 'delete':
                 const nodeToDelete = this.getNodeAt(x, y);
                 if (nodeToDelete) {
                     this.removeNode(nodeToDelete.id);
+                    return 'Delete node';
                 } else {
                     const edgeToDelete = this.getEdgeAt(x, y);
                     if (edgeToDelete) {
                         this.removeEdge(edgeToDelete.id);
+                        return 'Delete edge';
                     }
                 }
                 break;
         }
+        return null;
     }
 
     updateUI() {
         // Update node and edge counts
-        document.getElementById('nodeCount').textContent = this.nodes.length;
-        document.getElementById('edgeCount').textContent = this.edges.length;
+        if (this.counterIds) {
+            document.getElementById(this.counterIds.nodes).textContent = this.nodes.length;
+            document.getElementById(this.counterIds.edges).textContent = this.edges.length;
+        }
+        
+        // Any structural change makes a previously computed eigenvector or clustering stale
+        this.revision++;
+        this.vertexColoring = null;
+        this.clusterColoring = null;
+        this.edgeShading = null;
+        this.selection.forEach(id => {
+            if (!this.getNodeById(id)) this.selection.delete(id);
+        });
+        if (this.focusedNode !== null && !this.getNodeById(this.focusedNode)) {
+            this.focusedNode = null;
+        }
+        if (this.measuredPair) {
+            const stillExists = this.getNodeById(this.measuredPair.from) && this.getNodeById(this.measuredPair.to);
+            this.measuredPair = stillExists ? Object.assign(this.measuredPair, { label: null }) : null;
+        }
         
         // Redraw the graph
         this.draw();
+        this.notifyChange();
+    }
+
+    // Edge thickness grows with the square root of its weight (weight 1 -> 2px)
+    getEdgeWidth(edge) {
+        return Math.max(1, Math.min(12, 2 * Math.sqrt(edge.weight)));
+    }
+
+    formatWeight(weight) {
+        return (Math.round(weight * 100) / 100).toString();
+    }
+
+    // Color nodes by a value per node (e.g. eigenvector components). A fixed
+    // scale keeps colors comparable between frames of an animation.
+    setVertexColoring(values, label, scale = null) {
+        this.vertexColoring = { values, label, scale };
+        this.clusterColoring = null;
+        this.draw();
+    }
+
+    clearVertexColoring() {
+        this.vertexColoring = null;
+        this.draw();
+    }
+
+    // Color nodes by cluster and highlight the edges cut by the partition
+    setClusterColoring(assignment, cutEdges) {
+        this.clusterColoring = { assignment, cutEdges: new Set(cutEdges) };
+        this.vertexColoring = null;
+        this.edgeShading = null;
+        this.draw();
+    }
+
+    clearClusterColoring() {
+        this.clusterColoring = null;
+        this.draw();
+    }
+
+    // Color edges by a value per edge (e.g. effective resistance)
+    setEdgeShading(values, label) {
+        this.edgeShading = { values, label };
+        this.clusterColoring = null;
+        this.draw();
+    }
+
+    clearEdgeShading() {
+        this.edgeShading = null;
+        this.draw();
+    }
+
+    // Text shown next to the measured pair of nodes
+    setMeasurementLabel(label) {
+        if (!this.measuredPair) return;
+        this.measuredPair.label = label;
+        this.draw();
+    }
+
+    // Sequential blue-to-orange palette for t in [0, 1]; stays visible on
+    // light and dark backgrounds
+    getSequentialColor(t) {
+        const low = [49, 130, 189];
+        const high = [230, 85, 13];
+        const clamped = Math.max(0, Math.min(1, t));
+        const rgb = low.map((c, i) => Math.round(c + (high[i] - c) * clamped));
+        return `rgb(${rgb[0]}, ${rgb[1]}, ${rgb[2]})`;
+    }
+
+    getEdgeShadingScale() {
+        let max = 0;
+        this.edgeShading.values.forEach(value => {
+            if (isFinite(value)) max = Math.max(max, value);
+        });
+        return max || 1;
+    }
+
+    // Categorical palette for cluster indices
+    getClusterColor(index) {
+        const palette = ['#e6550d', '#3182bd', '#31a354', '#756bb1', '#e7ba52', '#d6616b', '#17becf', '#8c6d31'];
+        return palette[index % palette.length];
+    }
+
+    // Set the node under the pointer, redrawing only when it changes
+    setHoveredNode(node) {
+        if (node === this.hoveredNode) return;
+        this.hoveredNode = node;
+        if (this.vertexColoring) this.draw();
+    }
+
+    // Give a node keyboard focus (null for none), scrolling it into view
+    focusNode(nodeId) {
+        this.focusedNode = nodeId;
+        const node = nodeId === null ? null : this.getNodeById(nodeId);
+        if (node && this.getCanvas()) {
+            const visible = this.getVisibleRect();
+            if (node.x < visible.x || node.y < visible.y ||
+                node.x > visible.x + visible.width || node.y > visible.y + visible.height) {
+                this.centerOn(node.x, node.y);
+                return;
+            }
+        }
+        this.draw();
+    }
+
+    getFocusedNode() {
+        return this.focusedNode === null ? null : this.getNodeById(this.focusedNode) || null;
+    }
+
+    setShowFocus(showFocus) {
+        if (this.showFocus === showFocus) return;
+        this.showFocus = showFocus;
+        this.draw();
+    }
+
+    // Closest node from the given one in the direction (dx, dy), within 45°
+    // either side of it, or null
+    getNodeInDirection(node, dx, dy) {
+        let best = null;
+        let bestDistance = Infinity;
+        for (const other of this.nodes) {
+            const along = (other.x - node.x) * dx + (other.y - node.y) * dy;
+            const across = Math.abs((other.x - node.x) * dy - (other.y - node.y) * dx);
+            if (other === node || along <= 0 || across > along) continue;
+            const distance = Math.hypot(other.x - node.x, other.y - node.y);
+            if (distance < bestDistance) {
+                best = other;
+                bestDistance = distance;
+            }
+        }
+        return best;
+    }
+
+    // Diverging blue-white-red palette for t in [-1, 1]
+    getDivergingColor(t) {
+        const negative = [33, 102, 172];
+        const neutral = [247, 247, 247];
+        const positive = [178, 24, 43];
+        const clamped = Math.max(-1, Math.min(1, t));
+        const target = clamped < 0 ? negative : positive;
+        const amount = Math.abs(clamped);
+        const rgb = neutral.map((c, i) => Math.round(c + (target[i] - c) * amount));
+        return `rgb(${rgb[0]}, ${rgb[1]}, ${rgb[2]})`;
+    }
+
+    // Largest absolute value in the current coloring, used to scale the palette
+    getVertexColoringScale() {
+        if (this.vertexColoring.scale) return this.vertexColoring.scale;
+        let max = 0;
+        this.vertexColoring.values.forEach(value => {
+            max = Math.max(max, Math.abs(value));
+        });
+        return max || 1;
     }
 
     getColors() {
         const isDark = document.body.classList.contains('dark-mode');
         return {
+            background: isDark ? '#0a0a0a' : '#ffffff',
             edge: isDark ? '#404040' : '#34495e',
+            edgeCut: isDark ? '#ff6b6b' : '#e74c3c',
+            edgeLabelBackground: isDark ? '#1a1a1a' : '#ffffff',
             nodeSelected: isDark ? '#606060' : '#3498db',
             nodeSelectedBorder: isDark ? '#707070' : '#2980b9',
             nodeIsolated: isDark ? '#505050' : '#95a5a6',
@@ -286,30 +938,67 @@ class Graph {
             nodeNormal: isDark ? '#303030' : '#2c3e50',
             nodeNormalBorder: isDark ? '#404040' : '#34495e',
             text: isDark ? '#f0f0f0' : 'white',
-            textSecondary: isDark ? '#a0a0a0' : '#7f8c8d'
+            textSecondary: isDark ? '#a0a0a0' : '#7f8c8d',
+            pin: isDark ? '#f0a030' : '#e67e22',
+            selection: isDark ? '#4da3ff' : '#2980b9',
+            focus: isDark ? '#ffd54f' : '#8e44ad'
         };
     }
 
     draw() {
-        const canvas = document.getElementById('graphCanvas');
+        const canvas = this.getCanvas();
+        if (!canvas) return;
         const ctx = canvas.getContext('2d');
         const colors = this.getColors();
+        const ratio = this.pixelRatio;
+        const scale = this.view.scale;
         
         // Clear canvas
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
         ctx.clearRect(0, 0, canvas.width, canvas.height);
         
+        // The graph is drawn in world coordinates
+        ctx.setTransform(ratio * scale, 0, 0, ratio * scale, -this.view.x * ratio * scale, -this.view.y * ratio * scale);
+        
         // Draw edges
-        ctx.strokeStyle = colors.edge;
-        ctx.lineWidth = 2;
         for (const edge of this.edges) {
-            const fromNode = this.nodes.find(n => n.id === edge.from);
-            const toNode = this.nodes.find(n => n.id === edge.to);
+            const segment = this.getEdgeSegment(edge);
             
-            if (fromNode && toNode) {
+            if (segment) {
+                const style = this.getEdgeStyle(edge, colors);
+                ctx.strokeStyle = style.color;
+                ctx.lineWidth = style.width;
+                ctx.setLineDash(style.dash);
                 ctx.beginPath();
-                ctx.moveTo(fromNode.x, fromNode.y);
-                ctx.lineTo(toNode.x, toNode.y);
+                ctx.moveTo(segment.x1, segment.y1);
+                ctx.lineTo(segment.x2, segment.y2);
                 ctx.stroke();
+                
+                if (edge.directed) {
+                    ctx.setLineDash([]);
+                    ctx.fillStyle = ctx.strokeStyle;
+                    this.drawArrow(ctx, segment, ctx.lineWidth);
+                }
+            }
+        }
+        ctx.setLineDash([]);
+        
+        // Draw edge weight labels at the midpoints
+        ctx.font = '11px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        for (const edge of this.edges) {
+            const segment = this.getEdgeSegment(edge);
+            
+            if (segment) {
+                const text = this.formatWeight(edge.weight);
+                const midX = (segment.x1 + segment.x2) / 2;
+                const midY = (segment.y1 + segment.y2) / 2;
+                const width = ctx.measureText(text).width + 8;
+                ctx.fillStyle = colors.edgeLabelBackground;
+                ctx.fillRect(midX - width / 2, midY - 8, width, 16);
+                ctx.fillStyle = colors.textSecondary;
+                ctx.fillText(text, midX, midY);
             }
         }
         
@@ -319,29 +1008,18 @@ class Graph {
             ctx.beginPath();
             ctx.arc(node.x, node.y, node.radius, 0, 2 * Math.PI);
             
-            if (node === this.selectedNode) {
-                ctx.fillStyle = colors.nodeSelected;
-                ctx.strokeStyle = colors.nodeSelectedBorder;
-                ctx.lineWidth = 3;
-            } else if (node.isIsolated) {
-                // Isolated nodes have a different color and dashed border
-                ctx.fillStyle = colors.nodeIsolated;
-                ctx.strokeStyle = colors.nodeIsolatedBorder;
-                ctx.lineWidth = 2;
-                ctx.setLineDash([5, 5]);
-            } else {
-                ctx.fillStyle = colors.nodeNormal;
-                ctx.strokeStyle = colors.nodeNormalBorder;
-                ctx.lineWidth = 2;
-                ctx.setLineDash([]);
-            }
+            const style = this.getNodeStyle(node, colors);
+            ctx.fillStyle = style.fill;
+            ctx.strokeStyle = style.stroke;
+            ctx.lineWidth = style.lineWidth;
+            ctx.setLineDash(style.dash);
             
             ctx.fill();
             ctx.stroke();
             ctx.setLineDash([]); // Reset line dash
             
             // Node label
-            ctx.fillStyle = colors.text;
+            ctx.fillStyle = style.textColor;
             ctx.font = 'bold 14px Arial';
             ctx.textAlign = 'center';
             ctx.textBaseline = 'middle';
@@ -353,28 +1031,300 @@ class Graph {
                 ctx.font = 'bold 10px Arial';
                 ctx.fillText('●', node.x + node.radius - 5, node.y - node.radius + 5);
             }
+            
+            // Pin marker in the top-left corner of pinned nodes
+            if (node.isPinned) {
+                ctx.beginPath();
+                ctx.arc(node.x - node.radius + 4, node.y - node.radius + 4, 5, 0, 2 * Math.PI);
+                ctx.fillStyle = colors.pin;
+                ctx.fill();
+                ctx.strokeStyle = colors.background;
+                ctx.lineWidth = 1.5;
+                ctx.stroke();
+            }
+            
+            // Ring around selected nodes, outside the regular border
+            if (this.selection.has(node.id)) {
+                ctx.beginPath();
+                ctx.arc(node.x, node.y, node.radius + 5, 0, 2 * Math.PI);
+                ctx.strokeStyle = colors.selection;
+                ctx.lineWidth = 2;
+                ctx.stroke();
+            }
+            
+            // Dashed ring around the node with keyboard focus
+            if (this.showFocus && node.id === this.focusedNode) {
+                ctx.beginPath();
+                ctx.arc(node.x, node.y, node.radius + 9, 0, 2 * Math.PI);
+                ctx.strokeStyle = colors.focus;
+                ctx.lineWidth = 2.5;
+                ctx.setLineDash([4, 3]);
+                ctx.stroke();
+                ctx.setLineDash([]);
+            }
+        }
+        
+        if (this.measuredPair) {
+            this.drawMeasuredPair(ctx, colors);
+        }
+        if (this.selectionBox) {
+            this.drawSelectionBox(ctx, colors);
+        }
+        
+        // Legends and overlays are drawn in CSS pixels on top
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        if (this.vertexColoring) {
+            this.drawColoringLegend(ctx, colors);
+            this.drawHoverValue(ctx, colors);
+        }
+        if (this.edgeShading) {
+            this.drawEdgeShadingLegend(ctx, colors);
+        }
+        this.drawMinimap(ctx, colors);
+    }
+
+    // Overview of the whole graph with the visible area outlined
+    drawMinimap(ctx, colors) {
+        const map = this.getMinimap();
+        if (!map) return;
+        const toMap = (x, y) => ({ x: map.x + (x - map.world.x) * map.scale, y: map.y + (y - map.world.y) * map.scale });
+
+        ctx.fillStyle = colors.edgeLabelBackground;
+        ctx.globalAlpha = 0.9;
+        ctx.fillRect(map.x, map.y, map.width, map.height);
+        ctx.globalAlpha = 1;
+        ctx.strokeStyle = colors.textSecondary;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(map.x, map.y, map.width, map.height);
+
+        ctx.strokeStyle = colors.edge;
+        ctx.beginPath();
+        this.edges.forEach(edge => {
+            const from = this.getNodeById(edge.from);
+            const to = this.getNodeById(edge.to);
+            if (!from || !to) return;
+            const a = toMap(from.x, from.y);
+            const b = toMap(to.x, to.y);
+            ctx.moveTo(a.x, a.y);
+            ctx.lineTo(b.x, b.y);
+        });
+        ctx.stroke();
+        ctx.fillStyle = colors.nodeNormal;
+        this.nodes.forEach(node => {
+            const point = toMap(node.x, node.y);
+            ctx.fillRect(point.x - 1.5, point.y - 1.5, 3, 3);
+        });
+
+        const visible = this.getVisibleRect();
+        const corner = toMap(visible.x, visible.y);
+        ctx.strokeStyle = colors.selection;
+        ctx.lineWidth = 1.5;
+        ctx.strokeRect(corner.x, corner.y, visible.width * map.scale, visible.height * map.scale);
+    }
+
+    // Dashed rubber band while dragging out a selection box
+    drawSelectionBox(ctx, colors) {
+        const box = this.selectionBox;
+        const x = Math.min(box.x1, box.x2);
+        const y = Math.min(box.y1, box.y2);
+        const width = Math.abs(box.x2 - box.x1);
+        const height = Math.abs(box.y2 - box.y1);
+        ctx.fillStyle = colors.selection + '22';
+        ctx.fillRect(x, y, width, height);
+        ctx.strokeStyle = colors.selection;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 3]);
+        ctx.strokeRect(x, y, width, height);
+        ctx.setLineDash([]);
+    }
+
+    // Gradient bar for the edge shading, drawn in the bottom-right corner
+    drawEdgeShadingLegend(ctx, colors) {
+        const view = this.getViewSize();
+        const max = this.getEdgeShadingScale();
+        const width = 120;
+        const height = 10;
+        const x = view.width - width - 15;
+        const y = view.height - 30;
+
+        const gradient = ctx.createLinearGradient(x, 0, x + width, 0);
+        gradient.addColorStop(0, this.getSequentialColor(0));
+        gradient.addColorStop(1, this.getSequentialColor(1));
+        ctx.fillStyle = gradient;
+        ctx.fillRect(x, y, width, height);
+        ctx.strokeStyle = colors.textSecondary;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x, y, width, height);
+
+        ctx.fillStyle = colors.textSecondary;
+        ctx.font = '11px Arial';
+        ctx.textBaseline = 'top';
+        ctx.textAlign = 'left';
+        ctx.fillText('0', x, y + height + 3);
+        ctx.textAlign = 'right';
+        ctx.fillText(max.toFixed(3), x + width, y + height + 3);
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(this.edgeShading.label, x + width, y - 3);
+    }
+
+    // Dashed line between the two nodes picked in measure mode, with its label
+    drawMeasuredPair(ctx, colors) {
+        const from = this.getNodeById(this.measuredPair.from);
+        const to = this.getNodeById(this.measuredPair.to);
+        if (!from || !to) return;
+
+        const length = Math.hypot(to.x - from.x, to.y - from.y) || 1;
+        const ux = (to.x - from.x) / length;
+        const uy = (to.y - from.y) / length;
+        ctx.strokeStyle = colors.pin;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 4]);
+        ctx.beginPath();
+        ctx.moveTo(from.x + ux * from.radius, from.y + uy * from.radius);
+        ctx.lineTo(to.x - ux * to.radius, to.y - uy * to.radius);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        [from, to].forEach(node => {
+            ctx.beginPath();
+            ctx.arc(node.x, node.y, node.radius + 4, 0, 2 * Math.PI);
+            ctx.stroke();
+        });
+
+        if (this.measuredPair.label) {
+            const text = this.measuredPair.label;
+            ctx.font = '12px Arial';
+            const width = ctx.measureText(text).width + 12;
+            const x = (from.x + to.x) / 2 - width / 2;
+            const y = (from.y + to.y) / 2 - 10;
+            ctx.fillStyle = colors.pin;
+            ctx.fillRect(x, y, width, 20);
+            ctx.fillStyle = '#1a1a1a';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(text, x + width / 2, y + 10);
+        }
+    }
+
+    // Stroke style of an edge; shared by the canvas and the SVG export
+    getEdgeStyle(edge, colors) {
+        const shade = this.edgeShading ? this.edgeShading.values.get(edge.id) : undefined;
+        if (shade !== undefined) {
+            return {
+                color: this.getSequentialColor(shade / this.getEdgeShadingScale()),
+                width: this.getEdgeWidth(edge) + 1,
+                dash: []
+            };
+        }
+        const isCut = this.clusterColoring && this.clusterColoring.cutEdges.has(edge.id);
+        return {
+            color: isCut ? colors.edgeCut : colors.edge,
+            width: this.getEdgeWidth(edge) + (isCut ? 1 : 0),
+            dash: isCut ? [8, 4] : []
+        };
+    }
+
+    // Fill, border and label color of a node; shared by the canvas and the SVG export
+    getNodeStyle(node, colors) {
+        const value = this.vertexColoring ? this.vertexColoring.values.get(node.id) : undefined;
+        const cluster = this.clusterColoring ? this.clusterColoring.assignment.get(node.id) : undefined;
+        
+        if (node === this.selectedNode) {
+            return { fill: colors.nodeSelected, stroke: colors.nodeSelectedBorder, lineWidth: 3, dash: [], textColor: colors.text };
+        }
+        if (value !== undefined) {
+            // Dark text on the light middle of the palette
+            const fill = this.getDivergingColor(value / this.getVertexColoringScale());
+            return { fill, stroke: colors.nodeNormalBorder, lineWidth: 2, dash: [], textColor: '#1a1a1a' };
+        }
+        if (cluster !== undefined) {
+            return { fill: this.getClusterColor(cluster), stroke: colors.nodeNormalBorder, lineWidth: 2, dash: [], textColor: colors.text };
         }
+        if (node.isIsolated) {
+            // Isolated nodes have a different color and dashed border
+            return { fill: colors.nodeIsolated, stroke: colors.nodeIsolatedBorder, lineWidth: 2, dash: [5, 5], textColor: colors.text };
+        }
+        return { fill: colors.nodeNormal, stroke: colors.nodeNormalBorder, lineWidth: 2, dash: [], textColor: colors.text };
+    }
+
+    // Gradient bar with the palette range, drawn in the bottom-left corner
+    drawColoringLegend(ctx, colors) {
+        const view = this.getViewSize();
+        const max = this.getVertexColoringScale();
+        const width = 160;
+        const height = 10;
+        const x = 15;
+        const y = view.height - 30;
+
+        const gradient = ctx.createLinearGradient(x, 0, x + width, 0);
+        gradient.addColorStop(0, this.getDivergingColor(-1));
+        gradient.addColorStop(0.5, this.getDivergingColor(0));
+        gradient.addColorStop(1, this.getDivergingColor(1));
+        ctx.fillStyle = gradient;
+        ctx.fillRect(x, y, width, height);
+        ctx.strokeStyle = colors.textSecondary;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x, y, width, height);
+
+        ctx.fillStyle = colors.textSecondary;
+        ctx.font = '11px Arial';
+        ctx.textBaseline = 'top';
+        ctx.textAlign = 'left';
+        ctx.fillText((-max).toFixed(3), x, y + height + 3);
+        ctx.textAlign = 'center';
+        ctx.fillText('0', x + width / 2, y + height + 3);
+        ctx.textAlign = 'right';
+        ctx.fillText(max.toFixed(3), x + width, y + height + 3);
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(this.vertexColoring.label, x, y - 3);
+    }
+
+    // Show the colored value of the node under the pointer
+    drawHoverValue(ctx, colors) {
+        const node = this.hoveredNode;
+        if (!node || !this.nodes.includes(node)) return;
+        const value = this.vertexColoring.values.get(node.id);
+        if (value === undefined) return;
+
+        const text = `${node.label}: ${value.toFixed(4)}`;
+        ctx.font = '12px Arial';
+        const width = ctx.measureText(text).width + 12;
+        const radius = node.radius * this.view.scale;
+        const center = this.worldToScreen(node.x, node.y);
+        const x = Math.min(center.x + radius, this.getViewSize().width - width - 2);
+        const y = Math.max(center.y - radius - 24, 2);
+
+        ctx.fillStyle = colors.nodeNormal;
+        ctx.fillRect(x, y, width, 20);
+        ctx.fillStyle = colors.text;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, x + 6, y + 10);
     }
 
     // Get adjacency matrix
     getAdjacencyMatrix() {
         const n = this.nodes.length;
         const matrix = Array(n).fill().map(() => Array(n).fill(0));
+        const index = this.getNodeIndex();
         
         for (const edge of this.edges) {
-            const fromIndex = this.nodes.findIndex(n => n.id === edge.from);
-            const toIndex = this.nodes.findIndex(n => n.id === edge.to);
+            const fromIndex = index.has(edge.from) ? index.get(edge.from) : -1;
+            const toIndex = index.has(edge.to) ? index.get(edge.to) : -1;
             
             if (fromIndex !== -1 && toIndex !== -1) {
-                matrix[fromIndex][toIndex] = 1;
-                matrix[toIndex][fromIndex] = 1; // Always symmetric for undirected graph
+                matrix[fromIndex][toIndex] = edge.weight;
+                if (!this.isDirected) {
+                    matrix[toIndex][fromIndex] = edge.weight; // Symmetric for undirected graph
+                }
             }
         }
         
         return matrix;
     }
 
-    // Get degree matrix
+    // Get degree matrix (weighted degree: sum of incident edge weights;
+    // out- or in-degree for directed graphs, see degreeType)
     getDegreeMatrix() {
         const n = this.nodes.length;
         const matrix = Array(n).fill().map(() => Array(n).fill(0));
@@ -382,8 +1332,13 @@ class Graph {
         
         for (let i = 0; i < n; i++) {
             let degree = 0;
-            if (this.isDirected) {
-                // For directed graphs, use out-degree
+            if (this.isDirected && this.degreeType === 'in') {
+                // In-degree: weights of edges arriving at node i
+                for (let j = 0; j < n; j++) {
+                    degree += adjacency[j][i];
+                }
+            } else if (this.isDirected) {
+                // Out-degree: weights of edges leaving node i
                 for (let j = 0; j < n; j++) {
                     degree += adjacency[i][j];
                 }
@@ -415,7 +1370,228 @@ class Graph {
         return laplacian;
     }
 
-    // Arrow drawing removed - graph is always undirected
+    // Matrices the spectrum can be computed for, keyed by matrixType
+    getMatrixTypes() {
+        return {
+            laplacian: 'Laplacian L = D − A',
+            normalized: 'Normalized Laplacian I − D^-1/2 A D^-1/2',
+            randomWalk: 'Random-walk Laplacian I − D^-1 A',
+            signless: 'Signless Laplacian D + A',
+            adjacency: 'Adjacency matrix A',
+            distance: 'Distance matrix'
+        };
+    }
+
+    // Get the matrix of the given type (defaults to the selected one)
+    getMatrix(type = this.matrixType) {
+        switch (type) {
+            case 'laplacian':
+                return this.getLaplacianMatrix();
+            case 'normalized':
+                return this.getNormalizedLaplacianMatrix();
+            case 'randomWalk':
+                return this.getRandomWalkLaplacianMatrix();
+            case 'signless':
+                return this.getSignlessLaplacianMatrix();
+            case 'adjacency':
+                return this.getAdjacencyMatrix();
+            case 'distance':
+                return this.getDistanceMatrix();
+            default:
+                throw new Error(`Unknown matrix type: ${type}`);
+        }
+    }
+
+    // Get symmetric normalized Laplacian (I - D^-1/2 A D^-1/2).
+    // Isolated nodes get a zero row and column, so the multiplicity of 0
+    // still counts connected components.
+    getNormalizedLaplacianMatrix() {
+        const n = this.nodes.length;
+        const adjacency = this.getAdjacencyMatrix();
+        const degree = this.getDegreeMatrix();
+        const matrix = Array(n).fill().map(() => Array(n).fill(0));
+        
+        for (let i = 0; i < n; i++) {
+            if (degree[i][i] === 0) continue;
+            matrix[i][i] = 1;
+            for (let j = 0; j < n; j++) {
+                if (adjacency[i][j] !== 0 && degree[j][j] !== 0) {
+                    matrix[i][j] -= adjacency[i][j] / Math.sqrt(degree[i][i] * degree[j][j]);
+                }
+            }
+        }
+        
+        return matrix;
+    }
+
+    // Get random-walk Laplacian (I - D^-1 A); not symmetric.
+    // Isolated nodes get a zero row, matching the normalized variant.
+    getRandomWalkLaplacianMatrix() {
+        const n = this.nodes.length;
+        const adjacency = this.getAdjacencyMatrix();
+        const degree = this.getDegreeMatrix();
+        const matrix = Array(n).fill().map(() => Array(n).fill(0));
+        
+        for (let i = 0; i < n; i++) {
+            if (degree[i][i] === 0) continue;
+            matrix[i][i] = 1;
+            for (let j = 0; j < n; j++) {
+                matrix[i][j] -= adjacency[i][j] / degree[i][i];
+            }
+        }
+        
+        return matrix;
+    }
+
+    // Get signless Laplacian (Q = D + A)
+    getSignlessLaplacianMatrix() {
+        const n = this.nodes.length;
+        const adjacency = this.getAdjacencyMatrix();
+        const degree = this.getDegreeMatrix();
+        const matrix = Array(n).fill().map(() => Array(n).fill(0));
+        
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) {
+                matrix[i][j] = degree[i][j] + adjacency[i][j];
+            }
+        }
+        
+        return matrix;
+    }
+
+    // Compressed sparse row form of the matrix of the given type, built in
+    // O(n + m) without any dense n x n array. Undirected graphs only; the
+    // distance matrix is dense by nature and not available.
+    getSparseMatrix(type = this.matrixType) {
+        if (this.isDirected) {
+            throw new Error('Sparse matrices are only available for undirected graphs');
+        }
+        if (type === 'distance') {
+            throw new Error('The distance matrix has no sparse form');
+        }
+        if (!this.getMatrixTypes()[type]) {
+            throw new Error(`Unknown matrix type: ${type}`);
+        }
+
+        const n = this.nodes.length;
+        const index = this.getNodeIndex();
+        const rows = Array(n).fill().map(() => []);
+        const degree = new Float64Array(n);
+        this.edges.forEach(edge => {
+            const i = index.get(edge.from);
+            const j = index.get(edge.to);
+            if (i === undefined || j === undefined) return;
+            rows[i].push([j, edge.weight]);
+            rows[j].push([i, edge.weight]);
+            degree[i] += edge.weight;
+            degree[j] += edge.weight;
+        });
+
+        // Same conventions as the dense matrices: degree-0 rows stay zero
+        const entry = {
+            laplacian: (i, j, w) => -w,
+            signless: (i, j, w) => w,
+            adjacency: (i, j, w) => w,
+            normalized: (i, j, w) => -w / Math.sqrt(degree[i] * degree[j]),
+            randomWalk: (i, j, w) => -w / degree[i]
+        }[type];
+        const diagonal = {
+            laplacian: i => degree[i],
+            signless: i => degree[i],
+            adjacency: () => 0,
+            normalized: i => degree[i] > 0 ? 1 : 0,
+            randomWalk: i => degree[i] > 0 ? 1 : 0
+        }[type];
+
+        return CSRMatrix.fromRows(n, rows.map((row, i) => {
+            const entries = row.map(([j, w]) => [j, entry(i, j, w)]);
+            if (diagonal(i) !== 0) entries.push([i, diagonal(i)]);
+            return entries;
+        }));
+    }
+
+    // Weighted degree of every node, in node order (undirected graphs)
+    getDegrees() {
+        const index = this.getNodeIndex();
+        const degree = new Float64Array(this.nodes.length);
+        this.edges.forEach(edge => {
+            degree[index.get(edge.from)] += edge.weight;
+            degree[index.get(edge.to)] += edge.weight;
+        });
+        return degree;
+    }
+
+    // Neighbors of every node in node order: [{ node, neighbors: [{ node,
+    // weight }] }]. Directed graphs list the heads of outgoing edges.
+    getAdjacencyList() {
+        const index = this.getNodeIndex();
+        const list = this.nodes.map(node => ({ node, neighbors: [] }));
+        this.edges.forEach(edge => {
+            const from = index.get(edge.from);
+            const to = index.get(edge.to);
+            list[from].neighbors.push({ node: this.nodes[to], weight: edge.weight });
+            if (!this.isDirected) {
+                list[to].neighbors.push({ node: this.nodes[from], weight: edge.weight });
+            }
+        });
+        list.forEach(entry => entry.neighbors.sort((a, b) => index.get(a.node.id) - index.get(b.node.id)));
+        return list;
+    }
+
+    // Get shortest-path distance matrix using BFS from every node.
+    // Distances count hops; edge weights are ignored.
+    getDistanceMatrix() {
+        const n = this.nodes.length;
+        const adjacency = this.getAdjacencyMatrix();
+        const matrix = Array(n).fill().map(() => Array(n).fill(Infinity));
+        
+        for (let source = 0; source < n; source++) {
+            matrix[source][source] = 0;
+            const queue = [source];
+            while (queue.length > 0) {
+                const current = queue.shift();
+                for (let next = 0; next < n; next++) {
+                    if (adjacency[current][next] !== 0 && matrix[source][next] === Infinity) {
+                        matrix[source][next] = matrix[source][current] + 1;
+                        queue.push(next);
+                    }
+                }
+            }
+        }
+        
+        if (matrix.some(row => row.includes(Infinity))) {
+            const connectivity = this.isDirected ? 'strongly connected' : 'connected';
+            throw new Error(`The distance matrix is only defined for ${connectivity} graphs`);
+        }
+        
+        return matrix;
+    }
+
+    // Draw an arrowhead at the target end of an edge, stopping at the node border
+    drawArrow(ctx, segment, lineWidth) {
+        const points = this.getArrowPoints(segment, lineWidth);
+        
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
+        ctx.lineTo(points[1].x, points[1].y);
+        ctx.lineTo(points[2].x, points[2].y);
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    // Tip and the two back corners of an arrowhead
+    getArrowPoints(segment, lineWidth) {
+        const angle = Math.atan2(segment.y2 - segment.y1, segment.x2 - segment.x1);
+        const size = 8 + lineWidth * 1.5;
+        const tipX = segment.x2 - segment.targetRadius * Math.cos(angle);
+        const tipY = segment.y2 - segment.targetRadius * Math.sin(angle);
+        
+        return [
+            { x: tipX, y: tipY },
+            { x: tipX - size * Math.cos(angle - Math.PI / 7), y: tipY - size * Math.sin(angle - Math.PI / 7) },
+            { x: tipX - size * Math.cos(angle + Math.PI / 7), y: tipY - size * Math.sin(angle + Math.PI / 7) }
+        ];
+    }
 }
 
 // Initialize graph instance
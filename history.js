@@ -0,0 +1,124 @@
+// Undo/redo history of graph edits
+//
+// Each command stores the graph before and after one user action, as
+// snapshots from Graph.getState(). Undo and redo restore those snapshots, so
+// every kind of edit is reversible without a hand-written inverse.
+class GraphHistory {
+    constructor(graph, limit = 100) {
+        this.graph = graph;
+        this.limit = limit;
+        this.undoStack = []; // [{ label, before, after, mergeKey, time }]
+        this.redoStack = [];
+        this.pending = null; // open command started by begin()
+        this.listeners = [];
+    }
+
+    // Structural state only: the selected matrix and degree type are view
+    // settings and are left alone by undo/redo
+    snapshot() {
+        const state = this.graph.getState();
+        delete state.matrixType;
+        delete state.degreeType;
+        return state;
+    }
+
+    restore(state) {
+        this.graph.setState(Object.assign({}, state, {
+            matrixType: this.graph.matrixType,
+            degreeType: this.graph.degreeType
+        }));
+    }
+
+    // Run an edit and record it as one step if it changed the graph.
+    // Consecutive edits with the same mergeKey within a second become one step.
+    record(label, action, mergeKey = null) {
+        const before = this.snapshot();
+        const result = action();
+        this.push(label, before, this.snapshot(), mergeKey);
+        return result;
+    }
+
+    // Start a step that spans several events (e.g. a drag); finish with end().
+    // The label can also be given to end() once it is known what happened.
+    begin(label = null) {
+        this.pending = { label, before: this.snapshot() };
+    }
+
+    end(label = null) {
+        if (!this.pending) return;
+        const before = this.pending.before;
+        label = label || this.pending.label || 'Edit graph';
+        this.pending = null;
+        this.push(label, before, this.snapshot());
+    }
+
+    push(label, before, after, mergeKey = null) {
+        if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+        const now = Date.now();
+        const last = this.undoStack[this.undoStack.length - 1];
+        if (mergeKey !== null && last && last.mergeKey === mergeKey && now - last.time < 1000 && this.redoStack.length === 0) {
+            last.after = after;
+            last.time = now;
+        } else {
+            this.undoStack.push({ label, before, after, mergeKey, time: now });
+            if (this.undoStack.length > this.limit) {
+                this.undoStack.shift();
+            }
+        }
+        this.redoStack = [];
+        this.notify();
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    undo() {
+        if (!this.canUndo()) return null;
+        const command = this.undoStack.pop();
+        this.redoStack.push(command);
+        this.restore(command.before);
+        this.notify();
+        return command;
+    }
+
+    redo() {
+        if (!this.canRedo()) return null;
+        const command = this.redoStack.pop();
+        this.undoStack.push(command);
+        this.restore(command.after);
+        this.notify();
+        return command;
+    }
+
+    // All steps, oldest first; the first `position` of them are applied
+    getEntries() {
+        return {
+            entries: [...this.undoStack, ...this.redoStack.slice().reverse()].map(command => command.label),
+            position: this.undoStack.length
+        };
+    }
+
+    // Undo or redo until exactly `position` steps are applied
+    goTo(position) {
+        while (this.undoStack.length > position && this.canUndo()) this.undo();
+        while (this.undoStack.length < position && this.canRedo()) this.redo();
+    }
+
+    // Register a callback run whenever the history changes
+    addListener(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+}
+
+// Initialize history for the global graph
+const graphHistory = new GraphHistory(graph);
@@ -0,0 +1,164 @@
+// Graph invariants derived from a computed spectrum
+//
+// Which invariants exist depends on the matrix: the Laplacian family gives
+// connectivity facts, the adjacency and distance spectra give radius and
+// energy. Each entry carries the formula it was computed with.
+class SpectralInvariants {
+    // Invariants for a solver result (see EigenvalueCalculator.solveGraphJob).
+    // Returns { items: [{ key, label, value, formula, note }], notes: [] };
+    // value is a number or a preformatted string.
+    compute(graph, result) {
+        const items = [];
+        const notes = [];
+        if (graph.isDirected) {
+            notes.push('Spectral invariants are shown for undirected graphs.');
+            return { items, notes };
+        }
+
+        const eigenvalues = result.eigenvalues;
+        const partial = result.partial || null;
+        const hasSmallest = !partial || partial.which === 'smallest';
+        const hasLargest = !partial || partial.which === 'largest';
+        const isFull = !partial || partial.k === partial.n;
+        if (partial && !isFull) {
+            notes.push(`Only the ${partial.k} ${partial.which} eigenvalues were computed, so invariants that need the whole spectrum are omitted.`);
+        }
+
+        const n = graph.nodes.length;
+        const scale = Math.max(1, ...eigenvalues.map(Math.abs));
+        const isZero = value => Math.abs(value) < 1e-8 * scale;
+        const degrees = graph.getDegrees();
+        const totalWeight = degrees.reduce((sum, degree) => sum + degree, 0) / 2;
+        const add = (key, label, value, formula, note = null) => items.push({ key, label, value, formula, note });
+
+        switch (result.matrixType) {
+            case 'laplacian':
+            case 'normalized':
+            case 'randomWalk': {
+                const normalized = result.matrixType !== 'laplacian';
+                const zeros = eigenvalues.filter(isZero).length;
+                const lambda2 = eigenvalues[1];
+
+                if (hasSmallest) {
+                    const components = graph.getConnectedComponents().length;
+                    const allZero = partial && zeros === eigenvalues.length && !isFull;
+                    const note = allZero
+                        ? `all ${zeros} computed eigenvalues are 0; getConnectedComponents finds ${components}`
+                        : zeros === components ? 'matches getConnectedComponents' : `getConnectedComponents finds ${components}`;
+                    add('components', 'Connected components', allZero ? `≥ ${zeros}` : zeros,
+                        'c = multiplicity of the eigenvalue 0', note);
+
+                    if (lambda2 !== undefined) {
+                        add('algebraicConnectivity', 'Algebraic connectivity λ₂', lambda2,
+                            'a(G) = λ₂, the second smallest eigenvalue; a(G) > 0 exactly when G is connected');
+                        add('spectralGap', 'Spectral gap', lambda2 - eigenvalues[0],
+                            'λ₂ − λ₁ (λ₁ = 0 for every Laplacian)');
+
+                        const maxDegree = Math.max(...degrees);
+                        if (normalized) {
+                            add('cheeger', 'Cheeger bounds', `${this.format(lambda2 / 2)} ≤ φ(G) ≤ ${this.format(Math.sqrt(2 * lambda2))}`,
+                                'λ₂ / 2 ≤ φ(G) ≤ √(2 λ₂), with conductance φ(G) = min w(S, S̄) / min(vol S, vol S̄)');
+                        } else {
+                            add('cheeger', 'Cheeger bounds', `${this.format(lambda2 / 2)} ≤ h(G) ≤ ${this.format(Math.sqrt(2 * maxDegree * lambda2))}`,
+                                'λ₂ / 2 ≤ h(G) ≤ √(2 d_max λ₂), with edge expansion h(G) = min over |S| ≤ n/2 of w(S, S̄) / |S|');
+                        }
+                    }
+                }
+
+                if (hasLargest) {
+                    add('spectralRadius', 'Spectral radius', eigenvalues[eigenvalues.length - 1],
+                        normalized ? 'ρ = λₙ ≤ 2, with equality when G has a bipartite component' : 'ρ = λₙ, the largest eigenvalue');
+                }
+
+                if (isFull) {
+                    const connected = eigenvalues.filter(isZero).length === 1;
+                    const positive = eigenvalues.slice(1);
+                    if (normalized) {
+                        add('kirchhoff', 'Degree-Kirchhoff index', connected ? 2 * totalWeight * positive.reduce((sum, value) => sum + 1 / value, 0) : Infinity,
+                            'Kf* = 2m · Σᵢ₌₂ⁿ 1/λᵢ (∞ when G is disconnected)');
+                        add('spanningTrees', 'Spanning trees', connected ? this.spanningTrees(graph, positive, degrees) : 0,
+                            'τ(G) = (Π dᵢ) (Π₂ⁿ λᵢ) / Σ dᵢ (matrix-tree theorem for the normalized Laplacian)', this.spanningTreeNote(graph));
+                        add('energy', 'Normalized Laplacian energy', eigenvalues.reduce((sum, value) => sum + Math.abs(value - 1), 0),
+                            'E = Σ |λᵢ − 1| (equals the Randić energy)');
+                    } else {
+                        add('kirchhoff', 'Kirchhoff index', connected ? n * positive.reduce((sum, value) => sum + 1 / value, 0) : Infinity,
+                            'Kf = n · Σᵢ₌₂ⁿ 1/λᵢ, the sum of all pairwise effective resistances (∞ when G is disconnected)');
+                        add('spanningTrees', 'Spanning trees', connected ? this.spanningTrees(graph, positive) : 0,
+                            'τ(G) = (1/n) Π₂ⁿ λᵢ (Kirchhoff matrix-tree theorem)', this.spanningTreeNote(graph));
+                        const average = 2 * totalWeight / n;
+                        add('energy', 'Laplacian energy', eigenvalues.reduce((sum, value) => sum + Math.abs(value - average), 0),
+                            'LE = Σ |λᵢ − 2m/n|');
+                    }
+                }
+                break;
+            }
+            case 'signless': {
+                if (hasSmallest) {
+                    const zeros = eigenvalues.filter(isZero).length;
+                    add('bipartiteComponents', 'Bipartite components', partial && zeros === eigenvalues.length && !isFull ? `≥ ${zeros}` : zeros,
+                        'multiplicity of the eigenvalue 0 of Q = D + A');
+                }
+                if (hasLargest) {
+                    add('spectralRadius', 'Spectral radius', eigenvalues[eigenvalues.length - 1],
+                        'ρ = qₙ, the largest eigenvalue of D + A; 4m/n ≤ qₙ ≤ 2 d_max');
+                }
+                break;
+            }
+            case 'adjacency':
+            case 'distance': {
+                const distance = result.matrixType === 'distance';
+                if (isFull) {
+                    add('spectralRadius', 'Spectral radius', Math.max(...eigenvalues.map(Math.abs)),
+                        'ρ = max |λᵢ|');
+                } else if (hasLargest) {
+                    add('spectralRadius', 'Largest eigenvalue', eigenvalues[eigenvalues.length - 1],
+                        'λₙ; equals ρ = max |λᵢ| for connected graphs (Perron–Frobenius)');
+                }
+                if (hasLargest && eigenvalues.length >= 2) {
+                    add('spectralGap', 'Spectral gap', eigenvalues[eigenvalues.length - 1] - eigenvalues[eigenvalues.length - 2],
+                        'λₙ − λₙ₋₁, the gap below the largest eigenvalue');
+                }
+                if (isFull) {
+                    add('energy', distance ? 'Distance energy' : 'Energy', eigenvalues.reduce((sum, value) => sum + Math.abs(value), 0),
+                        distance ? 'E_D = Σ |∂ᵢ| over the distance eigenvalues' : 'E = Σ |λᵢ|');
+                }
+                break;
+            }
+        }
+
+        return { items, notes };
+    }
+
+    // Matrix-tree theorem evaluated with logarithms so large counts do not
+    // overflow; rounded when every weight is an integer (then it is a count)
+    spanningTrees(graph, positiveEigenvalues, degrees = null) {
+        if (graph.nodes.length === 1) return 1;
+        let logCount = positiveEigenvalues.reduce((sum, value) => sum + Math.log(value), 0);
+        if (degrees) {
+            logCount += degrees.reduce((sum, degree) => sum + Math.log(degree), 0);
+            logCount -= Math.log(degrees.reduce((sum, degree) => sum + degree, 0));
+        } else {
+            logCount -= Math.log(graph.nodes.length);
+        }
+        const count = Math.exp(logCount);
+        const integral = graph.edges.every(edge => Number.isInteger(edge.weight));
+        return integral && count < Number.MAX_SAFE_INTEGER ? Math.round(count) : count;
+    }
+
+    spanningTreeNote(graph) {
+        return graph.edges.some(edge => edge.weight !== 1)
+            ? 'weighted: sum over spanning trees of the product of their edge weights'
+            : null;
+    }
+
+    format(value) {
+        if (typeof value === 'string') return value;
+        if (value === Infinity) return '∞';
+        if (Number.isInteger(value)) return String(value);
+        if (Math.abs(value) >= 1e9) return value.toExponential(4);
+        return String(Math.round(value * 10000) / 10000);
+    }
+}
+
+// Initialize spectral invariants
+const spectralInvariants = new SpectralInvariants();
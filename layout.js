@@ -0,0 +1,395 @@
+// Automatic graph layouts
+//
+// The static layouts (spectral, circular, shell, bipartite/layered) place
+// each connected component in its own box and pack the boxes onto the
+// canvas, spreading them out when nodes would overlap. The force-directed
+// layout is animated in world coordinates, with gravity keeping components
+// together and walls keeping them in an area that grows with the number of
+// nodes. Pinned nodes never move.
+class GraphLayout {
+    constructor(calculator) {
+        this.calculator = calculator;
+        this.animation = null; // { frame, onDone } while the force layout runs
+    }
+
+    getLayouts() {
+        return {
+            force: { name: 'Force-directed' },
+            spectral: { name: 'Spectral' },
+            circular: { name: 'Circular' },
+            shell: { name: 'Shell' },
+            bipartite: { name: 'Bipartite / layered' }
+        };
+    }
+
+    getBounds(nodeCount = 0) {
+        return graphGenerator.getBounds(nodeCount);
+    }
+
+    // Apply a static layout in one step
+    apply(graph, type) {
+        if (type === 'force') {
+            throw new Error('The force-directed layout is animated; use animateForce()');
+        }
+        graph.setPositions(this.computeLayout(graph, type));
+    }
+
+    // Target positions (Map nodeId -> {x, y}) of every unpinned node
+    computeLayout(graph, type) {
+        const layouts = {
+            spectral: component => this.spectralComponent(graph, component),
+            circular: component => this.circularComponent(component),
+            shell: component => this.shellComponent(graph, component),
+            bipartite: component => this.layeredComponent(graph, component)
+        };
+        if (!layouts[type]) {
+            throw new Error(`Unknown layout: ${type}`);
+        }
+        if (graph.nodes.length === 0) {
+            return new Map();
+        }
+
+        const boxes = graph.getConnectedComponents().map(component => ({
+            nodes: component,
+            positions: this.normalize(layouts[type](component))
+        }));
+        const positions = graphGenerator.spread(this.packComponents(boxes));
+        graph.nodes.filter(node => node.isPinned).forEach(node => positions.delete(node.id));
+        return positions;
+    }
+
+    // Neighbour lists (both directions) restricted to the given nodes
+    getNeighbors(graph, nodes) {
+        const neighbors = new Map(nodes.map(node => [node.id, []]));
+        graph.edges.forEach(edge => {
+            if (neighbors.has(edge.from) && neighbors.has(edge.to)) {
+                neighbors.get(edge.from).push(edge.to);
+                neighbors.get(edge.to).push(edge.from);
+            }
+        });
+        return neighbors;
+    }
+
+    // Breadth-first layers from the node of highest degree
+    bfsLayers(graph, component) {
+        const neighbors = this.getNeighbors(graph, component);
+        const root = component.reduce((best, node) =>
+            neighbors.get(node.id).length > neighbors.get(best.id).length ? node : best
+        );
+        const depth = new Map([[root.id, 0]]);
+        const layers = [[root.id]];
+        for (let k = 0; k < layers.length; k++) {
+            const next = [];
+            layers[k].forEach(id => neighbors.get(id).forEach(other => {
+                if (!depth.has(other)) {
+                    depth.set(other, k + 1);
+                    next.push(other);
+                }
+            }));
+            if (next.length > 0) layers.push(next);
+        }
+        return layers;
+    }
+
+    circularComponent(component) {
+        const n = component.length;
+        return component.map((node, i) => ({
+            x: n === 1 ? 0 : Math.cos(2 * Math.PI * i / n - Math.PI / 2),
+            y: n === 1 ? 0 : Math.sin(2 * Math.PI * i / n - Math.PI / 2)
+        }));
+    }
+
+    // Concentric circles by BFS distance from the highest-degree node
+    shellComponent(graph, component) {
+        const position = new Map();
+        this.bfsLayers(graph, component).forEach((layer, k) => {
+            layer.forEach((id, i) => {
+                const angle = 2 * Math.PI * i / layer.length + k * 0.5;
+                position.set(id, { x: k * Math.cos(angle), y: k * Math.sin(angle) });
+            });
+        });
+        return component.map(node => position.get(node.id));
+    }
+
+    // Columns: the two sides of a bipartite component, the longest-path layers
+    // of a directed acyclic component, or BFS layers otherwise. Nodes in a
+    // column are ordered by the mean position of their neighbours on the left.
+    layeredComponent(graph, component) {
+        const columns = (graph.isDirected && this.topologicalLayers(graph, component)) ||
+            this.bipartiteSides(graph, component) ||
+            this.bfsLayers(graph, component);
+        const neighbors = this.getNeighbors(graph, component);
+        const rank = new Map();
+        const position = new Map();
+
+        columns.forEach((column, k) => {
+            const barycenter = id => {
+                const placed = neighbors.get(id).filter(other => rank.has(other));
+                return placed.length === 0 ? 0 : placed.reduce((sum, other) => sum + rank.get(other), 0) / placed.length;
+            };
+            const ordered = k === 0 ? column : column.slice().sort((a, b) => barycenter(a) - barycenter(b));
+            ordered.forEach((id, i) => {
+                const y = ordered.length === 1 ? 0.5 : i / (ordered.length - 1);
+                rank.set(id, y);
+                position.set(id, { x: k, y: y * Math.max(1, columns.length - 1) });
+            });
+        });
+        return component.map(node => position.get(node.id));
+    }
+
+    // Two-colouring by BFS, or null if the component has an odd cycle
+    bipartiteSides(graph, component) {
+        if (component.length < 2) return null;
+        const neighbors = this.getNeighbors(graph, component);
+        const side = new Map([[component[0].id, 0]]);
+        const queue = [component[0].id];
+        while (queue.length > 0) {
+            const id = queue.shift();
+            for (const other of neighbors.get(id)) {
+                if (!side.has(other)) {
+                    side.set(other, 1 - side.get(id));
+                    queue.push(other);
+                } else if (side.get(other) === side.get(id)) {
+                    return null;
+                }
+            }
+        }
+        return [0, 1].map(s => component.filter(node => side.get(node.id) === s).map(node => node.id));
+    }
+
+    // Longest-path layering of a directed acyclic component, or null if it has a cycle
+    topologicalLayers(graph, component) {
+        const ids = new Set(component.map(node => node.id));
+        const edges = graph.edges.filter(edge => ids.has(edge.from) && ids.has(edge.to));
+        const inDegree = new Map(component.map(node => [node.id, 0]));
+        edges.forEach(edge => inDegree.set(edge.to, inDegree.get(edge.to) + 1));
+
+        const layer = new Map();
+        const queue = component.filter(node => inDegree.get(node.id) === 0).map(node => node.id);
+        queue.forEach(id => layer.set(id, 0));
+        let visited = 0;
+        while (queue.length > 0) {
+            const id = queue.shift();
+            visited++;
+            edges.filter(edge => edge.from === id).forEach(edge => {
+                layer.set(edge.to, Math.max(layer.get(edge.to) || 0, layer.get(id) + 1));
+                inDegree.set(edge.to, inDegree.get(edge.to) - 1);
+                if (inDegree.get(edge.to) === 0) queue.push(edge.to);
+            });
+        }
+        if (visited < component.length) return null;
+
+        const layers = [];
+        component.forEach(node => {
+            const k = layer.get(node.id);
+            (layers[k] = layers[k] || []).push(node.id);
+        });
+        return layers;
+    }
+
+    // Coordinates from the 2nd and 3rd eigenvectors of the component's
+    // Laplacian (edge directions are ignored)
+    spectralComponent(graph, component) {
+        const n = component.length;
+        if (n <= 2) {
+            return component.map((node, i) => ({ x: i, y: 0 }));
+        }
+
+        const index = new Map(component.map((node, i) => [node.id, i]));
+        const laplacian = Array(n).fill().map(() => Array(n).fill(0));
+        graph.edges.forEach(edge => {
+            const i = index.get(edge.from);
+            const j = index.get(edge.to);
+            if (i === undefined || j === undefined) return;
+            laplacian[i][j] -= edge.weight;
+            laplacian[j][i] -= edge.weight;
+            laplacian[i][i] += edge.weight;
+            laplacian[j][j] += edge.weight;
+        });
+
+        const { eigenvectors } = this.calculator.symmetricEigen(laplacian);
+        return component.map((node, i) => ({ x: eigenvectors[1][i], y: eigenvectors[2][i] }));
+    }
+
+    // Scale positions into the unit square, keeping the aspect ratio
+    normalize(positions) {
+        const xs = positions.map(p => p.x);
+        const ys = positions.map(p => p.y);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        const width = Math.max(...xs) - minX;
+        const height = Math.max(...ys) - minY;
+        const size = Math.max(width, height);
+        if (size < 1e-9) {
+            return positions.map(() => ({ x: 0.5, y: 0.5 }));
+        }
+        return positions.map(p => ({
+            x: (p.x - minX + (size - width) / 2) / size,
+            y: (p.y - minY + (size - height) / 2) / size
+        }));
+    }
+
+    // Shelf-pack one square box per component (side ~ sqrt of its size) and
+    // scale the result to fit the canvas
+    packComponents(boxes) {
+        const { width, height, margin } = this.getBounds();
+        const usableWidth = width - 2 * margin;
+        const usableHeight = height - 2 * margin;
+        const gap = 1;
+
+        boxes.forEach(box => box.side = box.nodes.length === 1 ? 0 : Math.sqrt(box.nodes.length));
+        const sorted = boxes.slice().sort((a, b) => b.side - a.side);
+        const area = sorted.reduce((sum, box) => sum + (box.side + gap) ** 2, 0);
+        const shelfWidth = Math.max(sorted[0].side + gap, Math.sqrt(area * usableWidth / usableHeight));
+
+        let x = 0;
+        let y = 0;
+        let shelfHeight = 0;
+        let totalWidth = 0;
+        sorted.forEach(box => {
+            const size = box.side + gap;
+            if (x > 0 && x + size > shelfWidth + 1e-9) {
+                x = 0;
+                y += shelfHeight;
+                shelfHeight = 0;
+            }
+            box.x = x + gap / 2;
+            box.y = y + gap / 2;
+            x += size;
+            shelfHeight = Math.max(shelfHeight, size);
+            totalWidth = Math.max(totalWidth, x);
+        });
+        const totalHeight = y + shelfHeight;
+
+        // Inner padding of gap/2 on every side keeps nodes off the canvas margin
+        const extentWidth = Math.max(totalWidth - gap, 1e-9);
+        const extentHeight = Math.max(totalHeight - gap, 1e-9);
+        const scale = Math.min(usableWidth / extentWidth, usableHeight / extentHeight, 120);
+        const offsetX = margin + (usableWidth - extentWidth * scale) / 2 - scale * gap / 2;
+        const offsetY = margin + (usableHeight - extentHeight * scale) / 2 - scale * gap / 2;
+
+        const positions = new Map();
+        boxes.forEach(box => box.nodes.forEach((node, i) => {
+            positions.set(node.id, {
+                x: offsetX + (box.x + box.positions[i].x * box.side) * scale,
+                y: offsetY + (box.y + box.positions[i].y * box.side) * scale
+            });
+        }));
+        return positions;
+    }
+
+    // Fruchterman–Reingold simulation state starting from the current positions
+    createForceState(graph, iterations = 300) {
+        const n = graph.nodes.length;
+        const { width, height, margin } = this.getBounds(n);
+        const index = new Map(graph.nodes.map((node, i) => [node.id, i]));
+        return {
+            ids: graph.nodes.map(node => node.id),
+            pinned: graph.nodes.map(node => !!node.isPinned),
+            // Nudge unpinned nodes apart deterministically so coincident ones separate
+            x: graph.nodes.map((node, i) => node.x + (node.isPinned ? 0 : Math.cos(i))),
+            y: graph.nodes.map((node, i) => node.y + (node.isPinned ? 0 : Math.sin(i))),
+            edges: graph.edges.map(edge => [index.get(edge.from), index.get(edge.to), edge.weight]),
+            k: 0.8 * Math.sqrt((width - 2 * margin) * (height - 2 * margin) / Math.max(n, 1)),
+            gravity: 2,
+            temperature: width / 10,
+            cooling: width / 10 / iterations,
+            iteration: 0,
+            iterations,
+            bounds: { width, height, margin }
+        };
+    }
+
+    // One iteration: pairwise repulsion, attraction along edges, gravity to the centre
+    forceStep(state) {
+        const { x, y, k, edges, pinned } = state;
+        const { width, height, margin } = state.bounds;
+        const n = x.length;
+        const dx = Array(n).fill(0);
+        const dy = Array(n).fill(0);
+
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                const ex = x[i] - x[j];
+                const ey = y[i] - y[j];
+                const distance = Math.max(Math.hypot(ex, ey), 0.01);
+                const force = k * k / distance;
+                dx[i] += ex / distance * force;
+                dy[i] += ey / distance * force;
+                dx[j] -= ex / distance * force;
+                dy[j] -= ey / distance * force;
+            }
+        }
+        edges.forEach(([i, j, weight]) => {
+            const ex = x[i] - x[j];
+            const ey = y[i] - y[j];
+            const distance = Math.max(Math.hypot(ex, ey), 0.01);
+            const force = distance * distance / k * weight;
+            dx[i] -= ex / distance * force;
+            dy[i] -= ey / distance * force;
+            dx[j] += ex / distance * force;
+            dy[j] += ey / distance * force;
+        });
+
+        for (let i = 0; i < n; i++) {
+            if (pinned[i]) continue;
+            // Weaker horizontal pull lets the drawing fill a wide canvas
+            dx[i] += (width / 2 - x[i]) * state.gravity * height / width;
+            dy[i] += (height / 2 - y[i]) * state.gravity;
+            const length = Math.max(Math.hypot(dx[i], dy[i]), 0.01);
+            const step = Math.min(length, state.temperature);
+            x[i] = Math.max(margin, Math.min(width - margin, x[i] + dx[i] / length * step));
+            y[i] = Math.max(margin, Math.min(height - margin, y[i] + dy[i] / length * step));
+        }
+
+        state.temperature = Math.max(state.temperature - state.cooling, 0.5);
+        state.iteration++;
+        return state.iteration < state.iterations;
+    }
+
+    forcePositions(state) {
+        return new Map(state.ids
+            .map((id, i) => [id, { x: state.x[i], y: state.y[i] }])
+            .filter((entry, i) => !state.pinned[i]));
+    }
+
+    // Run the force layout a few iterations per animation frame; onDone runs
+    // when it finishes or is stopped
+    animateForce(graph, onDone = null, iterationsPerFrame = 3) {
+        this.stop();
+        const state = this.createForceState(graph);
+        const tick = () => {
+            let running = true;
+            for (let i = 0; i < iterationsPerFrame && running; i++) {
+                running = this.forceStep(state);
+            }
+            graph.setPositions(this.forcePositions(state));
+            if (running) {
+                this.animation.frame = requestAnimationFrame(tick);
+            } else {
+                this.finish();
+            }
+        };
+        this.animation = { frame: requestAnimationFrame(tick), onDone };
+    }
+
+    isAnimating() {
+        return this.animation !== null;
+    }
+
+    // Stop a running force layout where it is
+    stop() {
+        if (!this.animation) return;
+        cancelAnimationFrame(this.animation.frame);
+        this.finish();
+    }
+
+    finish() {
+        const { onDone } = this.animation;
+        this.animation = null;
+        if (onDone) onDone();
+    }
+}
+
+// Initialize graph layout
+const graphLayout = new GraphLayout(eigenvalueCalculator);
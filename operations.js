@@ -0,0 +1,331 @@
+// Graph operations: complement, line graph, products, joins, unions,
+// subdivision and contraction
+//
+// Operations work on plain specs { nodes: [{ x, y, label }], edges: [{ from,
+// to, weight }] } with node indices, built from the current graph or from a
+// saved state, and replace the current graph with the result. Positions are
+// derived from the inputs (copies of one factor placed around the other,
+// midpoints for new nodes) and scaled to the canvas.
+//
+// For the complement, the Cartesian product, the join and the disjoint union
+// the Laplacian spectrum follows from the spectra of the inputs
+// (λ₁ = 0 ≤ λ₂ ≤ … ≤ λₙ for G on n nodes, μ₁ = 0 ≤ … ≤ μₘ for H on m nodes):
+//   complement   0 and n − λᵢ for i = 2..n (G unweighted)
+//   G □ H        λᵢ + μⱼ for all i, j
+//   G ∨ H        0, n + m, λᵢ + m for i = 2..n and μⱼ + n for j = 2..m
+//   G ∪ H        the λᵢ together with the μⱼ
+class GraphOperations {
+    constructor(calculator) {
+        this.calculator = calculator;
+        this.maxNodes = 1000;
+        this.maxEdges = 20000;
+        this.maxCheckedNodes = 400; // predicted spectra are compared with the dense solver up to here
+    }
+
+    // binary operations take a second graph; predicted ones have a known Laplacian spectrum
+    getOperations() {
+        return {
+            complement: { name: 'Complement', binary: false, predicted: true },
+            lineGraph: { name: 'Line graph L(G)', binary: false, predicted: false },
+            subdivision: { name: 'Subdivide every edge', binary: false, predicted: false },
+            contraction: { name: 'Contract two nodes', binary: false, predicted: false },
+            cartesian: { name: 'Cartesian product G □ H', binary: true, predicted: true },
+            tensor: { name: 'Tensor product G × H', binary: true, predicted: false },
+            strong: { name: 'Strong product G ⊠ H', binary: true, predicted: false },
+            join: { name: 'Join G ∨ H', binary: true, predicted: true },
+            union: { name: 'Disjoint union G ∪ H', binary: true, predicted: true }
+        };
+    }
+
+    // Spec of the current graph
+    fromGraph(graph) {
+        const index = graph.getNodeIndex();
+        return {
+            nodes: graph.nodes.map(node => ({ x: node.x, y: node.y, label: node.label })),
+            edges: graph.edges.map(edge => ({ from: index.get(edge.from), to: index.get(edge.to), weight: edge.weight }))
+        };
+    }
+
+    // Spec of a state saved with Graph.getState()
+    fromState(state) {
+        const index = new Map(state.nodes.map((node, i) => [node.id, i]));
+        if (state.isDirected) {
+            throw new Error('Graph operations need undirected graphs');
+        }
+        return {
+            nodes: state.nodes.map(node => ({ x: node.x, y: node.y, label: node.label })),
+            edges: state.edges.map(edge => ({ from: index.get(edge.from), to: index.get(edge.to), weight: edge.weight }))
+        };
+    }
+
+    // Replace the graph by the result of an operation. operand is the spec of
+    // H for binary operations; options.contract holds the two node indices to
+    // merge. Returns { name, predicted } with the predicted Laplacian spectrum
+    // (ascending) or null.
+    apply(graph, key, operand = null, options = {}) {
+        const operation = this.getOperations()[key];
+        if (!operation) {
+            throw new Error(`Unknown graph operation: ${key}`);
+        }
+        if (graph.isDirected) {
+            throw new Error('Graph operations need undirected graphs');
+        }
+        if (operation.binary && !operand) {
+            throw new Error(`${operation.name} needs a second graph`);
+        }
+        const g = this.fromGraph(graph);
+        if (g.nodes.length === 0) {
+            throw new Error('The graph is empty');
+        }
+
+        const builders = {
+            complement: () => this.complement(g),
+            lineGraph: () => this.lineGraph(g),
+            subdivision: () => this.subdivision(g),
+            contraction: () => this.contraction(g, options.contract),
+            cartesian: () => this.product(g, operand, 'cartesian'),
+            tensor: () => this.product(g, operand, 'tensor'),
+            strong: () => this.product(g, operand, 'strong'),
+            join: () => this.join(g, operand, true),
+            union: () => this.join(g, operand, false)
+        };
+        const result = builders[key]();
+        if (result.nodes.length > this.maxNodes || result.edges.length > this.maxEdges) {
+            throw new Error(`The result would have ${result.nodes.length} nodes and ${result.edges.length} edges; the limit is ${this.maxNodes} nodes and ${this.maxEdges} edges`);
+        }
+
+        const predicted = operation.predicted ? this.predictSpectrum(key, g, operand) : null;
+        graph.loadGraph(graphGenerator.spread(this.fitToCanvas(result.nodes)), result.edges, false);
+        return { name: operation.name, predicted };
+    }
+
+    // Every missing edge of G becomes an edge (weights are dropped)
+    complement(g) {
+        const n = g.nodes.length;
+        const present = new Set(g.edges.map(edge => `${Math.min(edge.from, edge.to)}-${Math.max(edge.from, edge.to)}`));
+        const edges = [];
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                if (!present.has(`${i}-${j}`)) edges.push({ from: i, to: j, weight: 1 });
+            }
+        }
+        return { nodes: g.nodes.slice(), edges };
+    }
+
+    // One node per edge, at its midpoint; edges sharing an endpoint are adjacent
+    lineGraph(g) {
+        const nodes = g.edges.map(edge => ({
+            x: (g.nodes[edge.from].x + g.nodes[edge.to].x) / 2,
+            y: (g.nodes[edge.from].y + g.nodes[edge.to].y) / 2,
+            label: `${g.nodes[edge.from].label}-${g.nodes[edge.to].label}`
+        }));
+        const incident = g.nodes.map(() => []);
+        g.edges.forEach((edge, e) => {
+            incident[edge.from].push(e);
+            incident[edge.to].push(e);
+        });
+        const seen = new Set();
+        const edges = [];
+        incident.forEach(list => {
+            for (let a = 0; a < list.length; a++) {
+                for (let b = a + 1; b < list.length; b++) {
+                    const key = `${Math.min(list[a], list[b])}-${Math.max(list[a], list[b])}`;
+                    if (seen.has(key)) continue;
+                    seen.add(key);
+                    edges.push({ from: list[a], to: list[b], weight: 1 });
+                }
+            }
+        });
+        return { nodes, edges };
+    }
+
+    // A new node in the middle of every edge; both halves keep the weight
+    subdivision(g) {
+        const nodes = g.nodes.slice();
+        const edges = [];
+        g.edges.forEach((edge, e) => {
+            nodes.push({
+                x: (g.nodes[edge.from].x + g.nodes[edge.to].x) / 2,
+                y: (g.nodes[edge.from].y + g.nodes[edge.to].y) / 2,
+                label: `s${e + 1}`
+            });
+            edges.push({ from: edge.from, to: nodes.length - 1, weight: edge.weight });
+            edges.push({ from: nodes.length - 1, to: edge.to, weight: edge.weight });
+        });
+        return { nodes, edges };
+    }
+
+    // Merge nodes a and b; an edge between them disappears and parallel edges
+    // to a common neighbour are combined by adding their weights
+    contraction(g, pair) {
+        if (!pair || pair.length !== 2 || pair[0] === pair[1] || !g.nodes[pair[0]] || !g.nodes[pair[1]]) {
+            throw new Error('Contraction needs two different nodes');
+        }
+        const [a, b] = pair;
+        const keep = g.nodes.map((node, i) => i).filter(i => i !== b);
+        const newIndex = new Map(keep.map((i, k) => [i, k]));
+        newIndex.set(b, newIndex.get(a));
+        const nodes = keep.map(i => i === a
+            ? { x: (g.nodes[a].x + g.nodes[b].x) / 2, y: (g.nodes[a].y + g.nodes[b].y) / 2, label: `${g.nodes[a].label}/${g.nodes[b].label}` }
+            : g.nodes[i]);
+
+        const weights = new Map();
+        g.edges.forEach(edge => {
+            const from = newIndex.get(edge.from);
+            const to = newIndex.get(edge.to);
+            if (from === to) return;
+            const key = `${Math.min(from, to)}-${Math.max(from, to)}`;
+            weights.set(key, (weights.get(key) || 0) + edge.weight);
+        });
+        const edges = Array.from(weights, ([key, weight]) => {
+            const [from, to] = key.split('-').map(Number);
+            return { from, to, weight };
+        });
+        return { nodes, edges };
+    }
+
+    // Node (u, v) is u * m + v. Cartesian: move in one factor while staying put
+    // in the other; tensor: move in both; strong: either. Weights multiply
+    // when both factors move and carry over otherwise.
+    product(g, h, type) {
+        const n = g.nodes.length;
+        const m = h.nodes.length;
+        if (m === 0) {
+            throw new Error('The second graph is empty');
+        }
+        const id = (u, v) => u * m + v;
+        const edges = [];
+        if (type !== 'tensor') {
+            g.edges.forEach(edge => {
+                for (let v = 0; v < m; v++) edges.push({ from: id(edge.from, v), to: id(edge.to, v), weight: edge.weight });
+            });
+            h.edges.forEach(edge => {
+                for (let u = 0; u < n; u++) edges.push({ from: id(u, edge.from), to: id(u, edge.to), weight: edge.weight });
+            });
+        }
+        if (type !== 'cartesian') {
+            g.edges.forEach(a => {
+                h.edges.forEach(b => {
+                    const weight = a.weight * b.weight;
+                    edges.push({ from: id(a.from, b.from), to: id(a.to, b.to), weight });
+                    edges.push({ from: id(a.from, b.to), to: id(a.to, b.from), weight });
+                });
+            });
+        }
+
+        // A small copy of H around every node of G
+        const outer = graphLayout.normalize(g.nodes);
+        const inner = graphLayout.normalize(h.nodes);
+        let spacing = 1;
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                spacing = Math.min(spacing, Math.hypot(outer[i].x - outer[j].x, outer[i].y - outer[j].y));
+            }
+        }
+        const size = spacing * 0.6;
+        const nodes = [];
+        for (let u = 0; u < n; u++) {
+            for (let v = 0; v < m; v++) {
+                nodes.push({
+                    x: outer[u].x + (inner[v].x - 0.5) * size,
+                    y: outer[u].y + (inner[v].y - 0.5) * size,
+                    label: `${g.nodes[u].label},${h.nodes[v].label}`
+                });
+            }
+        }
+        return { nodes, edges };
+    }
+
+    // G on the left and H on the right; the join also connects every node
+    // of G to every node of H
+    join(g, h, connect) {
+        const n = g.nodes.length;
+        const left = graphLayout.normalize(g.nodes);
+        const right = graphLayout.normalize(h.nodes);
+        const nodes = g.nodes.map((node, i) => ({ x: left[i].x, y: left[i].y, label: node.label }))
+            .concat(h.nodes.map((node, j) => ({ x: 1.5 + right[j].x, y: right[j].y, label: `${node.label}′` })));
+        const edges = g.edges.slice()
+            .concat(h.edges.map(edge => ({ from: n + edge.from, to: n + edge.to, weight: edge.weight })));
+        if (connect) {
+            for (let i = 0; i < n; i++) {
+                for (let j = 0; j < h.nodes.length; j++) edges.push({ from: i, to: n + j, weight: 1 });
+            }
+        }
+        return { nodes, edges };
+    }
+
+    // Scale positions uniformly into the canvas, centered
+    fitToCanvas(nodes) {
+        if (nodes.length === 0) return nodes;
+        const { width, height, margin } = graphGenerator.getBounds();
+        const xs = nodes.map(node => node.x);
+        const ys = nodes.map(node => node.y);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        const spanX = Math.max(...xs) - minX;
+        const spanY = Math.max(...ys) - minY;
+        const scale = Math.min((width - 2 * margin) / (spanX || 1), (height - 2 * margin) / (spanY || 1));
+        return nodes.map(node => ({
+            x: width / 2 + (node.x - minX - spanX / 2) * scale,
+            y: height / 2 + (node.y - minY - spanY / 2) * scale,
+            label: node.label
+        }));
+    }
+
+    // Ascending Laplacian eigenvalues of a spec
+    laplacianSpectrum(spec) {
+        const n = spec.nodes.length;
+        const laplacian = Array(n).fill().map(() => Array(n).fill(0));
+        spec.edges.forEach(({ from, to, weight }) => {
+            laplacian[from][to] -= weight;
+            laplacian[to][from] -= weight;
+            laplacian[from][from] += weight;
+            laplacian[to][to] += weight;
+        });
+        return n === 0 ? [] : this.calculator.symmetricEigen(laplacian).eigenvalues;
+    }
+
+    // Laplacian spectrum of the result from the spectra of the inputs (see the top of the file)
+    predictSpectrum(key, g, h) {
+        const lambda = this.laplacianSpectrum(g);
+        const n = g.nodes.length;
+        let predicted;
+        switch (key) {
+            case 'complement':
+                if (g.edges.some(edge => edge.weight !== 1)) return null;
+                predicted = [0, ...lambda.slice(1).map(value => n - value)];
+                break;
+            case 'cartesian': {
+                const mu = this.laplacianSpectrum(h);
+                predicted = [];
+                lambda.forEach(a => mu.forEach(b => predicted.push(a + b)));
+                break;
+            }
+            case 'join': {
+                const mu = this.laplacianSpectrum(h);
+                const m = h.nodes.length;
+                predicted = [0, n + m, ...lambda.slice(1).map(value => value + m), ...mu.slice(1).map(value => value + n)];
+                break;
+            }
+            case 'union':
+                predicted = lambda.concat(this.laplacianSpectrum(h));
+                break;
+            default:
+                return null;
+        }
+        return predicted.sort((a, b) => a - b);
+    }
+
+    // Predicted next to computed eigenvalues of the current graph:
+    // { rows: [{ k, predicted, computed }], maxDifference } or null when too large
+    checkPrediction(graph, predicted) {
+        if (graph.nodes.length > this.maxCheckedNodes) return null;
+        const computed = this.calculator.symmetricEigen(graph.getLaplacianMatrix()).eigenvalues;
+        const rows = predicted.map((value, i) => ({ k: i + 1, predicted: value, computed: computed[i] }));
+        const maxDifference = rows.reduce((max, row) => Math.max(max, Math.abs(row.predicted - row.computed)), 0);
+        return { rows, maxDifference };
+    }
+}
+
+// Initialize graph operations
+const graphOperations = new GraphOperations(eigenvalueCalculator);
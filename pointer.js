@@ -0,0 +1,161 @@
+// Pointer Events turned into gestures, the same for mouse, pen and touch
+//
+// One pointer: down, move (once it has moved past a few pixels), up; a
+// press that does not move is a tap, two quick taps are a double tap, and
+// holding still is a long press. Two pointers: pinch, which zooms and pans
+// together and cancels whatever the first pointer had started.
+//
+// handlers (all optional) receive the PointerEvent:
+//   down(e)        return true to consume the press (no tap or long press)
+//   move(e), up(e), cancel(e), tap(e), doubleTap(e), longPress(e)
+//   hover(e)       movement with no press, e.g. a mouse over the canvas
+//   leave(e)
+//   pinch({ previous, current, scale })  midpoints as { clientX, clientY }
+class PointerInput {
+    constructor(element, handlers) {
+        this.element = element;
+        this.handlers = handlers;
+        this.pointers = new Map(); // pointerId -> { clientX, clientY } of every pointer that is down
+        this.press = null; // { pointerId, clientX, clientY, moved, consumed, longPressed, timer, event }
+        this.pinch = null; // { midpoint, distance } while two pointers are down
+        this.lastTap = null; // { time, clientX, clientY } for double taps
+        this.longPressDelay = 550;
+        this.doubleTapDelay = 300;
+
+        element.addEventListener('pointerdown', e => this.onDown(e));
+        element.addEventListener('pointermove', e => this.onMove(e));
+        element.addEventListener('pointerup', e => this.onUp(e));
+        element.addEventListener('pointercancel', e => this.onCancel(e));
+        element.addEventListener('pointerleave', e => {
+            if (!this.pointers.has(e.pointerId)) this.call('leave', e);
+        });
+        // A long press on touch screens would otherwise open the context menu
+        element.addEventListener('contextmenu', e => e.preventDefault());
+    }
+
+    call(name, ...args) {
+        return this.handlers[name] ? this.handlers[name](...args) : undefined;
+    }
+
+    // Fingers are less precise than a mouse, so they may wander further in a tap
+    getSlop(e) {
+        return e.pointerType === 'touch' ? 10 : 5;
+    }
+
+    onDown(e) {
+        // Only the primary and middle buttons; the right button keeps its menu
+        if (e.pointerType === 'mouse' && e.button !== 0 && e.button !== 1) return;
+        if (this.pointers.size >= 2) return;
+        if (this.element.setPointerCapture) {
+            this.element.setPointerCapture(e.pointerId);
+        }
+        this.pointers.set(e.pointerId, { clientX: e.clientX, clientY: e.clientY });
+
+        if (this.pointers.size === 2) {
+            // The second finger turns the gesture into a pinch
+            this.cancelPress(e);
+            this.pinch = this.measurePinch();
+            return;
+        }
+
+        this.press = {
+            pointerId: e.pointerId,
+            clientX: e.clientX,
+            clientY: e.clientY,
+            moved: false,
+            consumed: false,
+            longPressed: false,
+            timer: null,
+            event: e
+        };
+        this.press.consumed = this.call('down', e) === true || e.button !== 0;
+        if (!this.press.consumed) {
+            const press = this.press;
+            press.timer = setTimeout(() => {
+                press.timer = null;
+                if (this.press !== press || press.moved) return;
+                press.longPressed = true;
+                this.call('longPress', press.event);
+            }, this.longPressDelay);
+        }
+    }
+
+    onMove(e) {
+        if (!this.pointers.has(e.pointerId)) {
+            this.call('hover', e);
+            return;
+        }
+        this.pointers.set(e.pointerId, { clientX: e.clientX, clientY: e.clientY });
+
+        if (this.pinch) {
+            const next = this.measurePinch();
+            this.call('pinch', {
+                previous: this.pinch.midpoint,
+                current: next.midpoint,
+                scale: this.pinch.distance > 0 ? next.distance / this.pinch.distance : 1
+            });
+            this.pinch = next;
+            return;
+        }
+
+        const press = this.press;
+        if (!press || press.pointerId !== e.pointerId || press.longPressed) return;
+        if (!press.moved && Math.hypot(e.clientX - press.clientX, e.clientY - press.clientY) < this.getSlop(e)) return;
+        if (!press.moved) {
+            press.moved = true;
+            clearTimeout(press.timer);
+        }
+        this.call('move', e);
+    }
+
+    onUp(e) {
+        if (!this.pointers.has(e.pointerId)) return;
+        this.pointers.delete(e.pointerId);
+        if (this.pinch) {
+            // Lifting one finger ends the pinch; the other starts nothing new
+            if (this.pointers.size < 2) this.pinch = null;
+            return;
+        }
+
+        const press = this.press;
+        if (!press || press.pointerId !== e.pointerId) return;
+        this.press = null;
+        clearTimeout(press.timer);
+        this.call('up', e);
+        if (press.moved || press.consumed || press.longPressed) return;
+
+        const last = this.lastTap;
+        if (last && e.timeStamp - last.time < this.doubleTapDelay &&
+            Math.hypot(e.clientX - last.clientX, e.clientY - last.clientY) < 2 * this.getSlop(e)) {
+            this.lastTap = null;
+            this.call('doubleTap', e);
+            return;
+        }
+        this.lastTap = { time: e.timeStamp, clientX: e.clientX, clientY: e.clientY };
+        this.call('tap', e);
+    }
+
+    onCancel(e) {
+        this.pointers.delete(e.pointerId);
+        if (this.pointers.size < 2) this.pinch = null;
+        this.cancelPress(e);
+    }
+
+    // Abandon the current press without a tap: drags are ended where they are
+    cancelPress(e) {
+        const press = this.press;
+        if (!press) return;
+        this.press = null;
+        clearTimeout(press.timer);
+        this.call('cancel', e);
+    }
+
+    // Midpoint and distance of the first two pointers
+    measurePinch() {
+        const [a, b] = [...this.pointers.values()];
+        return {
+            midpoint: { clientX: (a.clientX + b.clientX) / 2, clientY: (a.clientY + b.clientY) / 2 },
+            distance: Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY)
+        };
+    }
+}
@@ -0,0 +1,341 @@
+// Exact characteristic polynomials of integer matrices
+//
+// For unweighted graphs (or integer weights) the Laplacian, signless
+// Laplacian, adjacency and distance matrices have integer entries, so
+// p(x) = det(xI − M) can be computed exactly with BigInt arithmetic using
+// the Faddeev–LeVerrier recurrence:
+//   M₀ = 0, c_n = 1, M_k = A M_{k−1} + c_{n−k+1} I, c_{n−k} = −tr(A M_k) / k
+// where every division is exact. Integer roots are then split off, which
+// gives exact eigenvalues and multiplicities to check the numeric results.
+class ExactSpectrum {
+    constructor(calculator) {
+        this.calculator = calculator;
+        this.maxNodes = 60; // the recurrence is O(n⁴) BigInt operations
+        this.scanLimit = 10000; // integer roots up to this size are found without the numeric spectrum
+    }
+
+    // The selected matrix as BigInts; throws when an entry is not an integer
+    integerMatrix(graph, matrixType = graph.matrixType) {
+        if (graph.nodes.length === 0) {
+            throw new Error('The graph is empty');
+        }
+        if (graph.nodes.length > this.maxNodes) {
+            throw new Error(`Exact computation is limited to ${this.maxNodes} nodes`);
+        }
+        const matrix = graph.getMatrix(matrixType);
+        if (!matrix.every(row => row.every(Number.isInteger))) {
+            throw new Error(matrixType === 'normalized' || matrixType === 'randomWalk'
+                ? 'The normalized Laplacians have non-integer entries; choose L, D + A, A or the distance matrix'
+                : 'Exact computation needs integer edge weights');
+        }
+        return matrix.map(row => row.map(value => BigInt(value)));
+    }
+
+    // Coefficients of det(xI − A), lowest power first: p(x) = Σ coefficients[k] x^k
+    characteristicPolynomial(A) {
+        const n = A.length;
+        const coefficients = Array(n + 1).fill(0n);
+        coefficients[n] = 1n;
+        // Nonzero entries per row, so sparse graphs only pay for their edges
+        const rows = A.map(row => row.map((value, j) => [j, value]).filter(([, value]) => value !== 0n));
+        let M = Array(n).fill().map(() => Array(n).fill(0n));
+
+        for (let k = 1; k <= n; k++) {
+            // M_k = A M_{k−1} + c_{n−k+1} I
+            const next = Array(n).fill().map(() => Array(n).fill(0n));
+            for (let i = 0; i < n; i++) {
+                const target = next[i];
+                rows[i].forEach(([l, value]) => {
+                    const source = M[l];
+                    for (let j = 0; j < n; j++) {
+                        if (source[j] !== 0n) target[j] += value * source[j];
+                    }
+                });
+                target[i] += coefficients[n - k + 1];
+            }
+            M = next;
+
+            // tr(A M_k)
+            let trace = 0n;
+            for (let i = 0; i < n; i++) {
+                rows[i].forEach(([l, value]) => {
+                    trace += value * M[l][i];
+                });
+            }
+            coefficients[n - k] = -trace / BigInt(k);
+        }
+        return coefficients;
+    }
+
+    evaluate(coefficients, x) {
+        let value = 0n;
+        for (let k = coefficients.length - 1; k >= 0; k--) {
+            value = value * x + coefficients[k];
+        }
+        return value;
+    }
+
+    // Divide by (x − root), assuming root is a root
+    deflate(coefficients, root) {
+        const quotient = Array(coefficients.length - 1).fill(0n);
+        let carry = 0n;
+        for (let k = coefficients.length - 1; k >= 1; k--) {
+            carry = carry * root + coefficients[k];
+            quotient[k - 1] = carry;
+        }
+        return quotient;
+    }
+
+    // Split off every integer root. A monic integer polynomial has no other
+    // rational roots, an integer root divides the constant term, and every
+    // eigenvalue lies within the largest absolute row sum (Gershgorin). Small
+    // bounds are scanned in full; past scanLimit only the integers nearest
+    // the numeric eigenvalues are tried, instead of millions of divisions.
+    factor(coefficients, A, numeric) {
+        const bound = A.reduce((max, row) => {
+            const sum = row.reduce((total, value) => total + (value < 0n ? -value : value), 0n);
+            return sum > max ? sum : max;
+        }, 0n);
+        const roots = [];
+        let remainder = coefficients.slice();
+
+        let zeros = 0;
+        while (remainder.length > 1 && remainder[0] === 0n) {
+            remainder = remainder.slice(1);
+            zeros++;
+        }
+        if (zeros > 0) roots.push({ value: 0n, multiplicity: zeros });
+
+        let candidates;
+        if (bound <= BigInt(this.scanLimit)) {
+            candidates = [];
+            for (let r = -bound; r <= bound; r++) candidates.push(r);
+        } else {
+            const nearest = numeric.eigenvalues
+                .filter((real, k) => Math.abs(numeric.imaginaryParts[k]) < 0.5)
+                .map(real => BigInt(Math.round(real)));
+            candidates = [...new Set(nearest)].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+        }
+
+        for (const r of candidates) {
+            if (r === 0n || remainder.length === 1) continue;
+            if (remainder[0] % r !== 0n) continue;
+            let multiplicity = 0;
+            while (remainder.length > 1 && this.evaluate(remainder, r) === 0n) {
+                remainder = this.deflate(remainder, r);
+                multiplicity++;
+            }
+            if (multiplicity > 0) roots.push({ value: r, multiplicity });
+        }
+        return { roots, remainder };
+    }
+
+    // Everything the exact panel shows for the selected matrix:
+    // { n, coefficients, roots, remainder, quadratic, check, closedForm }
+    compute(graph, matrixType = graph.matrixType) {
+        const A = this.integerMatrix(graph, matrixType);
+        const coefficients = this.characteristicPolynomial(A);
+        const numeric = this.calculator.calculateGraphEigenvalues(graph, matrixType);
+        const { roots, remainder } = this.factor(coefficients, A, numeric);
+        const quadratic = remainder.length === 3 ? this.quadraticRoots(remainder) : null;
+
+        const symmetric = A.every((row, i) => row.every((value, j) => value === A[j][i]));
+        const check = this.checkNumeric(roots, remainder, numeric, symmetric);
+        const closedForm = this.closedForm(graph, matrixType);
+        if (closedForm) {
+            closedForm.deviation = this.maxDeviation(closedForm.values, numeric);
+        }
+        return { n: A.length, coefficients, roots, remainder, quadratic, check, closedForm };
+    }
+
+    // Compare the exact integer roots with the floating point spectrum:
+    // each root should appear with exactly its multiplicity. A symmetric
+    // solver moves an eigenvalue by about n·ε·‖A‖; a root of multiplicity m
+    // of a non-symmetric matrix may be defective and move by ‖A‖·(n·ε)^(1/m).
+    // Each root gets that slack plus a small relative margin of its own.
+    checkNumeric(roots, remainder, numeric, symmetric = true) {
+        const { eigenvalues, imaginaryParts } = numeric;
+        const scale = Math.max(1, ...eigenvalues.map((real, k) => Math.hypot(real, imaginaryParts[k])));
+        const error = eigenvalues.length * Number.EPSILON;
+        const results = roots.map(root => {
+            const value = Number(root.value);
+            const spread = scale * (symmetric ? error : Math.pow(error, 1 / root.multiplicity));
+            const tolerance = 1e-9 * Math.max(1, Math.abs(value)) + 100 * spread;
+            const found = eigenvalues.filter((real, k) =>
+                Math.hypot(real - value, imaginaryParts[k]) <= tolerance).length;
+            return { value: root.value, multiplicity: root.multiplicity, found };
+        });
+        // The remaining roots are the numeric eigenvalues not matched above
+        const remaining = eigenvalues.length - results.reduce((sum, result) => sum + Math.min(result.found, result.multiplicity), 0);
+        return { roots: results, remaining, expectedRemaining: remainder.length - 1 };
+    }
+
+    // Roots of the monic quadratic x² + bx + c as (−b ± s√t) / 2 with t squarefree
+    quadraticRoots(coefficients) {
+        const [c, b] = coefficients;
+        const discriminant = b * b - 4n * c;
+        return this.formatSurd(-b, discriminant, discriminant < 0n ? 'i' : '');
+    }
+
+    formatSurd(numerator, discriminant, unit) {
+        let t = discriminant < 0n ? -discriminant : discriminant;
+        let s = 1n;
+        for (let f = 2n; f * f <= t; f++) {
+            while (t % (f * f) === 0n) {
+                t /= f * f;
+                s *= f;
+            }
+        }
+        const root = `${s === 1n ? '' : s}${t === 1n ? '' : `√${t}`}${unit}` || '1';
+        if (numerator % 2n === 0n && s % 2n === 0n) {
+            const half = `${s / 2n === 1n ? '' : s / 2n}${t === 1n ? '' : `√${t}`}${unit}` || '1';
+            return numerator === 0n ? `± ${half}` : `${this.formatInteger(numerator / 2n)} ± ${half}`;
+        }
+        return numerator === 0n ? `± ${root} / 2` : `(${this.formatInteger(numerator)} ± ${root}) / 2`;
+    }
+
+    // p(x) with descending powers, e.g. x³ − 4x² + 3x
+    formatPolynomial(coefficients, variable = 'x') {
+        const terms = [];
+        for (let k = coefficients.length - 1; k >= 0; k--) {
+            const coefficient = coefficients[k];
+            if (coefficient === 0n) continue;
+            const magnitude = coefficient < 0n ? -coefficient : coefficient;
+            const power = k === 0 ? '' : k === 1 ? variable : `${variable}${this.superscript(k)}`;
+            const body = magnitude === 1n && k > 0 ? power : `${magnitude}${power}`;
+            if (terms.length === 0) {
+                terms.push(coefficient < 0n ? `−${body}` : body);
+            } else {
+                terms.push(coefficient < 0n ? `− ${body}` : `+ ${body}`);
+            }
+        }
+        return terms.join(' ') || '0';
+    }
+
+    // x^a (x − r)^m … (remainder)
+    formatFactored(roots, remainder, variable = 'x') {
+        const factors = roots.map(root => {
+            const base = root.value === 0n ? variable
+                : `(${variable} ${root.value > 0n ? '−' : '+'} ${root.value > 0n ? root.value : -root.value})`;
+            return root.multiplicity > 1 ? `${base}${this.superscript(root.multiplicity)}` : base;
+        });
+        if (remainder.length > 1) {
+            factors.push(roots.length > 0 ? `(${this.formatPolynomial(remainder, variable)})` : this.formatPolynomial(remainder, variable));
+        }
+        return factors.join(' · ') || '1';
+    }
+
+    formatInteger(value) {
+        return value < 0n ? `−${-value}` : String(value);
+    }
+
+    superscript(number) {
+        const digits = '⁰¹²³⁴⁵⁶⁷⁸⁹';
+        return String(number).split('').map(digit => digits[digit]).join('');
+    }
+
+    // Known spectra of unweighted graph families: { name, formula, values }
+    closedForm(graph, matrixType) {
+        if (graph.isDirected || graph.edges.some(edge => edge.weight !== 1)) return null;
+        const n = graph.nodes.length;
+        const m = graph.edges.length;
+        const degrees = Array.from(graph.getDegrees());
+        const connected = graph.getConnectedComponents().length === 1;
+        const cos = Math.cos;
+        const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+        const repeat = (value, count) => Array(Math.max(0, count)).fill(value);
+
+        let family = null;
+        if (m === 0) {
+            family = { name: `Empty graph on ${n} nodes`, kind: 'empty' };
+        } else if (m === n * (n - 1) / 2) {
+            family = { name: `Complete graph K${this.subscript(n)}`, kind: 'complete' };
+        } else if (connected && n >= 3 && degrees.every(degree => degree === 2)) {
+            family = { name: `Cycle C${this.subscript(n)}`, kind: 'cycle' };
+        } else if (connected && m === n - 1 && Math.max(...degrees) <= 2) {
+            family = { name: `Path P${this.subscript(n)}`, kind: 'path' };
+        } else if (connected) {
+            const sides = this.bipartition(graph);
+            if (sides && sides[0] * sides[1] === m) {
+                const [a, b] = sides[0] <= sides[1] ? sides : [sides[1], sides[0]];
+                family = { name: `Complete bipartite K${this.subscript(a)},${this.subscript(b)}`, kind: 'bipartite', a, b };
+            }
+        }
+        if (!family) return null;
+
+        const forms = {
+            empty: {
+                laplacian: ['λ = 0 with multiplicity n', repeat(0, n)],
+                signless: ['λ = 0 with multiplicity n', repeat(0, n)],
+                adjacency: ['λ = 0 with multiplicity n', repeat(0, n)]
+            },
+            complete: {
+                laplacian: ['0, and n with multiplicity n − 1', [0, ...repeat(n, n - 1)]],
+                signless: ['2n − 2, and n − 2 with multiplicity n − 1', [...repeat(n - 2, n - 1), 2 * n - 2]],
+                adjacency: ['n − 1, and −1 with multiplicity n − 1', [...repeat(-1, n - 1), n - 1]],
+                distance: ['n − 1, and −1 with multiplicity n − 1', [...repeat(-1, n - 1), n - 1]]
+            },
+            cycle: {
+                laplacian: ['λₖ = 2 − 2cos(2πk/n), k = 0, …, n − 1', range(0, n - 1).map(k => 2 - 2 * cos(2 * Math.PI * k / n))],
+                signless: ['λₖ = 2 + 2cos(2πk/n), k = 0, …, n − 1', range(0, n - 1).map(k => 2 + 2 * cos(2 * Math.PI * k / n))],
+                adjacency: ['λₖ = 2cos(2πk/n), k = 0, …, n − 1', range(0, n - 1).map(k => 2 * cos(2 * Math.PI * k / n))]
+            },
+            path: {
+                laplacian: ['λₖ = 2 − 2cos(πk/n), k = 0, …, n − 1', range(0, n - 1).map(k => 2 - 2 * cos(Math.PI * k / n))],
+                signless: ['λₖ = 2 − 2cos(πk/n), k = 0, …, n − 1 (bipartite, so equal to L)', range(0, n - 1).map(k => 2 - 2 * cos(Math.PI * k / n))],
+                adjacency: ['λₖ = 2cos(πk/(n + 1)), k = 1, …, n', range(1, n).map(k => 2 * cos(Math.PI * k / (n + 1)))]
+            },
+            bipartite: family.kind === 'bipartite' && {
+                laplacian: ['0, a with multiplicity b − 1, b with multiplicity a − 1, and a + b',
+                    [0, ...repeat(family.a, family.b - 1), ...repeat(family.b, family.a - 1), family.a + family.b]],
+                signless: ['0, a with multiplicity b − 1, b with multiplicity a − 1, and a + b (bipartite, so equal to L)',
+                    [0, ...repeat(family.a, family.b - 1), ...repeat(family.b, family.a - 1), family.a + family.b]],
+                adjacency: ['±√(ab), and 0 with multiplicity n − 2',
+                    [-Math.sqrt(family.a * family.b), ...repeat(0, n - 2), Math.sqrt(family.a * family.b)]]
+            }
+        };
+        const form = forms[family.kind] && forms[family.kind][matrixType];
+        if (!form) return null;
+        const [formula, values] = form;
+        return { name: family.name, formula, values: values.sort((x, y) => x - y) };
+    }
+
+    // Sizes of the two sides of a connected bipartite graph, or null
+    bipartition(graph) {
+        const side = new Map([[graph.nodes[0].id, 0]]);
+        const queue = [graph.nodes[0].id];
+        const neighbors = new Map(graph.nodes.map(node => [node.id, []]));
+        graph.edges.forEach(edge => {
+            neighbors.get(edge.from).push(edge.to);
+            neighbors.get(edge.to).push(edge.from);
+        });
+        while (queue.length > 0) {
+            const id = queue.shift();
+            for (const next of neighbors.get(id)) {
+                if (!side.has(next)) {
+                    side.set(next, 1 - side.get(id));
+                    queue.push(next);
+                } else if (side.get(next) === side.get(id)) {
+                    return null;
+                }
+            }
+        }
+        const ones = Array.from(side.values()).filter(value => value === 1).length;
+        return [graph.nodes.length - ones, ones];
+    }
+
+    // Largest difference between sorted closed-form and numeric eigenvalues
+    maxDeviation(values, numeric) {
+        const computed = numeric.eigenvalues.slice().sort((x, y) => x - y);
+        if (computed.length !== values.length) return Infinity;
+        return values.reduce((max, value, i) => Math.max(max, Math.abs(value - computed[i])), 0);
+    }
+
+    subscript(number) {
+        const digits = '₀₁₂₃₄₅₆₇₈₉';
+        return String(number).split('').map(digit => digits[digit]).join('');
+    }
+}
+
+// Initialize exact spectrum calculator
+const exactSpectrum = new ExactSpectrum(eigenvalueCalculator);
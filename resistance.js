@@ -0,0 +1,84 @@
+// Effective resistance and the Laplacian pseudoinverse
+//
+// Treating every edge as a resistor with conductance equal to its weight,
+// the effective resistance between nodes i and j is
+//   R(i, j) = L⁺ii + L⁺jj − 2 L⁺ij
+// where L⁺ is the Moore–Penrose pseudoinverse of the Laplacian. For an edge
+// e, w(e) R(e) is the probability that e lies in a random spanning tree
+// (weighted by the product of edge weights), so on unweighted graphs the
+// resistance of an edge is its spanning-tree inclusion probability.
+class EffectiveResistance {
+    constructor(calculator) {
+        this.calculator = calculator;
+        this.maxNodes = 400; // the pseudoinverse is dense and computed on the main thread
+    }
+
+    // L⁺ = Σ vₖ vₖᵀ / λₖ over the nonzero eigenvalues of the symmetric matrix L
+    pseudoinverse(laplacian) {
+        const n = laplacian.length;
+        const { eigenvalues, eigenvectors } = this.calculator.symmetricEigen(laplacian);
+        const pseudoinverse = Array(n).fill().map(() => Array(n).fill(0));
+        eigenvalues.forEach((value, k) => {
+            if (value === 0) return; // symmetricEigen snaps the kernel to exactly 0
+            const vector = eigenvectors[k];
+            for (let i = 0; i < n; i++) {
+                for (let j = 0; j < n; j++) {
+                    pseudoinverse[i][j] += vector[i] * vector[j] / value;
+                }
+            }
+        });
+        return pseudoinverse;
+    }
+
+    // Pseudoinverse, all-pairs resistance and per-edge values for an
+    // undirected graph. Nodes in different components are at resistance ∞.
+    compute(graph) {
+        if (graph.isDirected) {
+            throw new Error('Effective resistance needs an undirected graph');
+        }
+        const n = graph.nodes.length;
+        if (n > this.maxNodes) {
+            throw new Error(`Effective resistance is limited to graphs with ${this.maxNodes} nodes`);
+        }
+        const nodeIds = graph.nodes.map(node => node.id);
+        const pseudoinverse = n > 0 ? this.pseudoinverse(graph.getLaplacianMatrix()) : [];
+
+        const components = graph.getConnectedComponents();
+        const componentOf = new Map();
+        components.forEach((component, index) => {
+            component.forEach(node => componentOf.set(node.id, index));
+        });
+
+        const resistance = nodeIds.map((fromId, i) => nodeIds.map((toId, j) => {
+            if (i === j) return 0;
+            if (componentOf.get(fromId) !== componentOf.get(toId)) return Infinity;
+            return Math.max(0, pseudoinverse[i][i] + pseudoinverse[j][j] - 2 * pseudoinverse[i][j]);
+        }));
+
+        // Foster's theorem: the inclusion probabilities sum to n − c, the
+        // number of edges in a spanning forest
+        const index = graph.getNodeIndex();
+        const edges = new Map();
+        let fosterSum = 0;
+        graph.edges.forEach(edge => {
+            const value = resistance[index.get(edge.from)][index.get(edge.to)];
+            const probability = Math.min(1, edge.weight * value);
+            edges.set(edge.id, { resistance: value, probability });
+            fosterSum += probability;
+        });
+
+        return { nodeIds, pseudoinverse, resistance, edges, fosterSum, forestSize: n - components.length };
+    }
+
+    between(result, fromId, toId) {
+        const i = result.nodeIds.indexOf(fromId);
+        const j = result.nodeIds.indexOf(toId);
+        if (i === -1 || j === -1) {
+            throw new Error('Node not found');
+        }
+        return result.resistance[i][j];
+    }
+}
+
+// Initialize effective resistance calculator
+const effectiveResistance = new EffectiveResistance(eigenvalueCalculator);
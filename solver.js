@@ -0,0 +1,107 @@
+// Runs eigen-decompositions in a Web Worker (eigenworker.js) so the page
+// stays responsive. Where workers are unavailable (e.g. pages opened from
+// file://) the job runs on the main thread after the loading state paints.
+class BackgroundSolver {
+    constructor(calculator) {
+        this.calculator = calculator;
+        this.worker = null;
+        this.workerFailed = false;
+        this.nextId = 0;
+        this.current = null; // { id, job, callbacks, timer } of the run in flight
+    }
+
+    isRunning() {
+        return this.current !== null;
+    }
+
+    // Start a job; callbacks: { onProgress(stage, done, total), onResult(result), onError(error) }.
+    // A run that is still in flight is cancelled first.
+    solve(job, callbacks) {
+        this.cancel();
+        const id = ++this.nextId;
+        this.current = { id, job, callbacks, timer: null };
+
+        const worker = this.getWorker();
+        if (worker) {
+            worker.postMessage({ id, job });
+        } else {
+            this.solveInline();
+        }
+        return id;
+    }
+
+    // Run the current job on the main thread, after the loading state paints
+    solveInline() {
+        const { id, job } = this.current;
+        this.current.timer = setTimeout(() => {
+            try {
+                this.finish(id, 'onResult', this.calculator.solveGraphJob(job));
+            } catch (error) {
+                this.finish(id, 'onError', error);
+            }
+        }, 30);
+    }
+
+    getWorker() {
+        if (this.worker || this.workerFailed) return this.worker;
+        try {
+            this.worker = new Worker('eigenworker.js');
+            this.worker.onmessage = (e) => this.handleMessage(e.data);
+            this.worker.onerror = (e) => {
+                // The script could not be loaded; use the main thread from now on
+                e.preventDefault();
+                this.worker = null;
+                this.workerFailed = true;
+                if (this.current) {
+                    this.solveInline();
+                }
+            };
+        } catch (error) {
+            this.workerFailed = true;
+        }
+        return this.worker;
+    }
+
+    handleMessage(message) {
+        // Messages from cancelled runs are ignored
+        if (!this.current || message.id !== this.current.id) return;
+        switch (message.type) {
+            case 'progress':
+                if (this.current.callbacks.onProgress) {
+                    this.current.callbacks.onProgress(message.stage, message.done, message.total);
+                }
+                break;
+            case 'result':
+                this.finish(message.id, 'onResult', message.result);
+                break;
+            case 'error':
+                this.finish(message.id, 'onError', new Error(message.message));
+                break;
+        }
+    }
+
+    finish(id, callbackName, value) {
+        if (!this.current || this.current.id !== id) return;
+        const callbacks = this.current.callbacks;
+        this.current = null;
+        if (callbacks[callbackName]) {
+            callbacks[callbackName](value);
+        }
+    }
+
+    // Abandon the run in flight. The worker is terminated (the solver cannot
+    // be interrupted from outside) and recreated on the next run.
+    cancel() {
+        if (!this.current) return false;
+        clearTimeout(this.current.timer);
+        this.current = null;
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        return true;
+    }
+}
+
+// Initialize background solver
+const backgroundSolver = new BackgroundSolver(eigenvalueCalculator);
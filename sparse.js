@@ -0,0 +1,446 @@
+// Sparse matrices and a partial eigensolver for large undirected graphs
+//
+// The dense solvers in eigenvalue.js need O(n^2) memory and O(n^3) time.
+// For large graphs only the k smallest or k largest eigenpairs are computed,
+// with LOBPCG (locally optimal block preconditioned conjugate gradient) on a
+// compressed sparse row matrix. The block method also finds repeated
+// eigenvalues, e.g. the zero eigenvalue of every connected component.
+// Its preconditioner is an inexact shift-and-invert solve, which keeps the
+// iteration count low even where the wanted eigenvalues are tightly packed.
+
+// Compressed sparse row matrix: row i holds values[rowPtr[i] .. rowPtr[i + 1] - 1]
+// in columns colIndex[...]
+class CSRMatrix {
+    constructor(n, rowPtr, colIndex, values) {
+        this.n = n;
+        this.rowPtr = rowPtr;
+        this.colIndex = colIndex;
+        this.values = values;
+    }
+
+    // rows[i] = [[column, value], ...]; entries are sorted by column
+    static fromRows(n, rows) {
+        const nnz = rows.reduce((sum, row) => sum + row.length, 0);
+        const rowPtr = new Int32Array(n + 1);
+        const colIndex = new Int32Array(nnz);
+        const values = new Float64Array(nnz);
+        let k = 0;
+        rows.forEach((row, i) => {
+            row.sort((a, b) => a[0] - b[0]).forEach(([j, value]) => {
+                colIndex[k] = j;
+                values[k] = value;
+                k++;
+            });
+            rowPtr[i + 1] = k;
+        });
+        return new CSRMatrix(n, rowPtr, colIndex, values);
+    }
+
+    // Rebuild from the plain object a worker receives
+    static from(data) {
+        return new CSRMatrix(data.n, data.rowPtr, data.colIndex, data.values);
+    }
+
+    get nnz() {
+        return this.values.length;
+    }
+
+    // y = A x
+    multiply(x, y = new Float64Array(this.n)) {
+        const { rowPtr, colIndex, values } = this;
+        for (let i = 0; i < this.n; i++) {
+            let sum = 0;
+            for (let k = rowPtr[i]; k < rowPtr[i + 1]; k++) {
+                sum += values[k] * x[colIndex[k]];
+            }
+            y[i] = sum;
+        }
+        return y;
+    }
+
+    diagonal() {
+        const diagonal = new Float64Array(this.n);
+        for (let i = 0; i < this.n; i++) {
+            for (let k = this.rowPtr[i]; k < this.rowPtr[i + 1]; k++) {
+                if (this.colIndex[k] === i) diagonal[i] = this.values[k];
+            }
+        }
+        return diagonal;
+    }
+
+    // Largest absolute row sum, an upper bound on every |eigenvalue|
+    normBound() {
+        let bound = 0;
+        for (let i = 0; i < this.n; i++) {
+            let sum = 0;
+            for (let k = this.rowPtr[i]; k < this.rowPtr[i + 1]; k++) {
+                sum += Math.abs(this.values[k]);
+            }
+            bound = Math.max(bound, sum);
+        }
+        return bound;
+    }
+
+    toDense() {
+        const dense = Array(this.n).fill().map(() => Array(this.n).fill(0));
+        for (let i = 0; i < this.n; i++) {
+            for (let k = this.rowPtr[i]; k < this.rowPtr[i + 1]; k++) {
+                dense[i][this.colIndex[k]] = this.values[k];
+            }
+        }
+        return dense;
+    }
+}
+
+class SparseEigenSolver {
+    constructor(calculator) {
+        this.calculator = calculator;
+        // Residual norm relative to the matrix norm bound; eigenvalue errors are about its square
+        this.tolerance = 1e-6;
+        this.maxIterations = 5000;
+        this.denseLimit = 400; // smaller problems are solved densely
+        this.shiftGap = 1e-3; // distance of the preconditioner shift from the spectrum, relative to its width
+        this.innerSteps = 30; // conjugate gradient steps per preconditioner application
+        this.innerTolerance = 1e-2;
+    }
+
+    // Job for solveGraphJob computing the k smallest or k largest eigenpairs.
+    // The random-walk Laplacian is solved through the symmetric normalized
+    // Laplacian, which has the same eigenvalues.
+    prepareGraphJob(graph, matrixType, which, k) {
+        // Known spectrum limits sharpen the preconditioner shift
+        const bounds = {
+            laplacian: { lower: 0 },
+            signless: { lower: 0 },
+            normalized: { lower: 0, upper: 2 },
+            randomWalk: { lower: 0, upper: 2 }
+        }[matrixType] || {};
+        const scaling = matrixType === 'randomWalk'
+            ? Array.from(graph.getDegrees(), degree => degree > 0 ? Math.sqrt(degree) : 1)
+            : null;
+        const matrix = graph.getSparseMatrix(matrixType === 'randomWalk' ? 'normalized' : matrixType);
+        return {
+            sparse: true,
+            matrix: { n: matrix.n, rowPtr: matrix.rowPtr, colIndex: matrix.colIndex, values: matrix.values },
+            matrixType,
+            which,
+            k: Math.max(1, Math.min(k, matrix.n)),
+            bounds,
+            scaling,
+            nodeIds: graph.nodes.map(node => node.id)
+        };
+    }
+
+    // Same result shape as EigenvalueCalculator.solveGraphJob, with matrix
+    // null (it is never densified) and partial describing the computed range
+    solveGraphJob(job) {
+        const matrix = CSRMatrix.from(job.matrix);
+        const { matrixType, which, k, nodeIds } = job;
+        const decomposition = this.partialEigen(matrix, k, which, job.bounds);
+        let eigenvectors = decomposition.eigenvectors;
+
+        if (job.scaling) {
+            // v = D^-1/2 u maps eigenvectors of the normalized Laplacian to the random-walk ones
+            eigenvectors = eigenvectors.map(vector => {
+                const v = vector.map((value, i) => value / job.scaling[i]);
+                const norm = Math.sqrt(this.calculator.dotProduct(v, v));
+                return this.calculator.canonicalSign(v.map(value => value / norm));
+            });
+        }
+
+        const n = matrix.n;
+        return {
+            eigenvalues: decomposition.eigenvalues,
+            imaginaryParts: decomposition.eigenvalues.map(() => 0),
+            eigenvectors,
+            matrix: null,
+            matrixType,
+            nodeIds,
+            partial: {
+                which,
+                k: decomposition.eigenvalues.length,
+                n,
+                nnz: matrix.nnz,
+                offset: which === 'largest' ? n - decomposition.eigenvalues.length : 0,
+                iterations: decomposition.iterations
+            }
+        };
+    }
+
+    // k smallest or k largest eigenpairs of a symmetric CSR matrix, in
+    // ascending order of eigenvalue, with eigenvectors as plain arrays
+    partialEigen(matrix, k, which = 'smallest', bounds = {}) {
+        const n = matrix.n;
+        k = Math.min(k, n);
+        const scale = Math.max(matrix.normBound(), 1e-300);
+        let result;
+
+        if (n <= this.denseLimit) {
+            const { eigenvalues, eigenvectors } = this.calculator.symmetricEigen(matrix.toDense());
+            const range = which === 'largest' ? [n - k, n] : [0, k];
+            result = {
+                eigenvalues: eigenvalues.slice(...range),
+                eigenvectors: eigenvectors.slice(...range),
+                iterations: 0
+            };
+        } else {
+            // Largest eigenpairs of A are the smallest of -A
+            const sign = which === 'largest' ? -1 : 1;
+            const multiply = (x, y) => {
+                matrix.multiply(x, y);
+                if (sign < 0) {
+                    for (let i = 0; i < n; i++) y[i] = -y[i];
+                }
+                return y;
+            };
+            const precondition = this.shiftInvertPreconditioner(matrix, sign, bounds);
+
+            // The block is sorted ascending, so the wanted pairs come first
+            const block = this.lobpcg(multiply, n, k, scale, precondition);
+            const wanted = block.eigenvalues.slice(0, k).map((_, i) => i);
+            const sorted = which === 'largest' ? wanted.reverse() : wanted;
+            result = {
+                eigenvalues: sorted.map(i => sign * block.eigenvalues[i]),
+                eigenvectors: sorted.map(i => Array.from(block.eigenvectors[i])),
+                iterations: block.iterations
+            };
+        }
+
+        // Same clean-up as the dense solver: snap rounding noise to zero, fix signs
+        result.eigenvalues = result.eigenvalues.map(value => Math.abs(value) < 1e-9 * scale ? 0 : value);
+        result.eigenvectors = result.eigenvectors.map(vector => this.calculator.canonicalSign(vector));
+        return result;
+    }
+
+    // Interval holding every eigenvalue: Gershgorin discs, narrowed by bounds
+    // known for the matrix type ({ lower, upper }, either may be missing)
+    spectrumBounds(matrix, bounds) {
+        let lower = Infinity;
+        let upper = -Infinity;
+        for (let i = 0; i < matrix.n; i++) {
+            let center = 0;
+            let radius = 0;
+            for (let k = matrix.rowPtr[i]; k < matrix.rowPtr[i + 1]; k++) {
+                if (matrix.colIndex[k] === i) {
+                    center = matrix.values[k];
+                } else {
+                    radius += Math.abs(matrix.values[k]);
+                }
+            }
+            lower = Math.min(lower, center - radius);
+            upper = Math.max(upper, center + radius);
+        }
+        return {
+            lower: bounds.lower !== undefined ? Math.max(lower, bounds.lower) : lower,
+            upper: bounds.upper !== undefined ? Math.min(upper, bounds.upper) : upper
+        };
+    }
+
+    // Preconditioner r -> B⁻¹ r, approximately, for B = sign A − σ I with σ
+    // just outside the wanted end of the spectrum, so B is positive definite
+    // and its inverse amplifies the wanted eigenvectors (shift and invert).
+    // The solve is a few steps of Jacobi-preconditioned conjugate gradients.
+    shiftInvertPreconditioner(matrix, sign, bounds) {
+        const n = matrix.n;
+        const { lower, upper } = this.spectrumBounds(matrix, bounds);
+        const end = sign > 0 ? lower : -upper;
+        const shift = end - this.shiftGap * ((upper - lower) || 1);
+        const diagonal = matrix.diagonal();
+        const inverseDiagonal = diagonal.map(value => 1 / (sign * value - shift));
+        const apply = (x, y) => {
+            matrix.multiply(x, y);
+            for (let i = 0; i < n; i++) y[i] = sign * y[i] - shift * x[i];
+            return y;
+        };
+        return r => this.conjugateGradient(apply, inverseDiagonal, r, this.innerSteps, this.innerTolerance);
+    }
+
+    // Approximate solution of B x = b for a symmetric positive definite B
+    conjugateGradient(apply, inverseDiagonal, b, steps, tolerance) {
+        const n = b.length;
+        const x = new Float64Array(n);
+        const r = Float64Array.from(b);
+        const z = new Float64Array(n);
+        const q = new Float64Array(n);
+        for (let i = 0; i < n; i++) z[i] = r[i] * inverseDiagonal[i];
+        const p = Float64Array.from(z);
+        let rz = this.dot(r, z);
+        const stop = tolerance * tolerance * this.dot(b, b);
+        for (let step = 0; step < steps; step++) {
+            apply(p, q);
+            const curvature = this.dot(p, q);
+            if (curvature <= 0) break; // b = 0
+            const alpha = rz / curvature;
+            let residual = 0;
+            for (let i = 0; i < n; i++) {
+                x[i] += alpha * p[i];
+                r[i] -= alpha * q[i];
+                residual += r[i] * r[i];
+            }
+            if (residual <= stop) break;
+            for (let i = 0; i < n; i++) z[i] = r[i] * inverseDiagonal[i];
+            const next = this.dot(r, z);
+            const beta = next / rz;
+            rz = next;
+            for (let i = 0; i < n; i++) p[i] = z[i] + beta * p[i];
+        }
+        return x;
+    }
+
+    // Deterministic pseudo-random start vectors (mulberry32)
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    dot(a, b) {
+        let sum = 0;
+        for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+        return sum;
+    }
+
+    // Linear combinations: result[j] = sum_i vectors[i] * coefficients[i][j].
+    // Works row by row so each vector entry is read once.
+    combine(vectors, coefficients, columns) {
+        const m = vectors.length;
+        const n = m > 0 ? vectors[0].length : 0;
+        const out = Array(columns).fill().map(() => new Float64Array(n));
+        const flat = new Float64Array(m * columns);
+        coefficients.forEach((row, i) => {
+            for (let j = 0; j < columns; j++) flat[i * columns + j] = row[j];
+        });
+        const entries = new Float64Array(m);
+        for (let t = 0; t < n; t++) {
+            for (let i = 0; i < m; i++) entries[i] = vectors[i][t];
+            for (let j = 0; j < columns; j++) {
+                let sum = 0;
+                for (let i = 0; i < m; i++) sum += entries[i] * flat[i * columns + j];
+                out[j][t] = sum;
+            }
+        }
+        return out;
+    }
+
+    // Orthonormal basis for the span of vectors, orthogonal to the already
+    // orthonormal block `against`. Directions that vanish after projection
+    // are dropped; the rest go through the eigen-decomposition of their Gram
+    // matrix. Ill-conditioned blocks get a second pass, since the Gram matrix
+    // squares the condition number.
+    orthonormalize(vectors, against = []) {
+        for (let pass = 0; pass < 2; pass++) {
+            vectors = vectors.map(vector => {
+                const original = Math.sqrt(this.dot(vector, vector));
+                const w = Float64Array.from(vector);
+                against.forEach(q => {
+                    const c = this.dot(q, w);
+                    for (let t = 0; t < w.length; t++) w[t] -= c * q[t];
+                });
+                const norm = Math.sqrt(this.dot(w, w));
+                return norm > 1e-10 * original ? w.map(value => value / norm) : null;
+            }).filter(Boolean);
+            if (vectors.length === 0) return vectors;
+
+            const m = vectors.length;
+            const gram = Array(m).fill().map(() => Array(m).fill(0));
+            for (let i = 0; i < m; i++) {
+                for (let j = i; j < m; j++) {
+                    gram[i][j] = gram[j][i] = this.dot(vectors[i], vectors[j]);
+                }
+            }
+            const { eigenvalues, eigenvectors } = this.calculator.symmetricEigen(gram);
+            const largest = Math.max(...eigenvalues);
+            const kept = eigenvalues.map((value, k) => k).filter(k => eigenvalues[k] > 1e-14 * largest);
+            // Column c of the transform is eigenvector k scaled by 1/sqrt(eigenvalue)
+            const transform = Array(m).fill().map((_, i) => kept.map(k => eigenvectors[k][i] / Math.sqrt(eigenvalues[k])));
+            vectors = this.combine(vectors, transform, kept.length);
+            if (Math.min(...kept.map(k => eigenvalues[k])) > 1e-4 * largest) break;
+        }
+        return vectors;
+    }
+
+    // Rayleigh-Ritz on an orthonormal basis S with products AS; returns the
+    // Ritz values (ascending) and coefficients (coefficients[i][j] for Ritz vector j)
+    rayleighRitz(vectors, products) {
+        const m = vectors.length;
+        const projected = Array(m).fill().map(() => Array(m).fill(0));
+        for (let i = 0; i < m; i++) {
+            for (let j = i; j < m; j++) {
+                projected[i][j] = projected[j][i] = this.dot(vectors[i], products[j]);
+            }
+        }
+        const { eigenvalues, eigenvectors } = this.calculator.symmetricEigen(projected);
+        const coefficients = Array(m).fill().map((_, i) => eigenvectors.map(vector => vector[i]));
+        return { values: eigenvalues, coefficients };
+    }
+
+    // LOBPCG for the k smallest eigenpairs of a symmetric operator.
+    // A block of a few more than k vectors speeds up convergence; the search
+    // space in each step is the block X, the preconditioned residuals W of
+    // the unconverged vectors, and the previous directions P. Products with
+    // the matrix are recomputed for every orthonormal basis rather than
+    // updated, which would accumulate rounding errors.
+    lobpcg(multiply, n, k, scale, precondition = null) {
+        const blockSize = Math.min(n, k + Math.max(4, Math.ceil(k / 2)));
+        const random = this.createRandom(12345);
+        const applyAll = vectors => vectors.map(vector => multiply(vector, new Float64Array(n)));
+
+        let X = Array(blockSize).fill().map(() => Float64Array.from({ length: n }, () => random() - 0.5));
+        let P = [];
+        let theta = [];
+        let AX = null;
+        let converged = [];
+
+        for (let iteration = 0; iteration <= this.maxIterations; iteration++) {
+            let basis;
+            if (iteration === 0) {
+                basis = this.orthonormalize(X);
+            } else {
+                // Residuals r = A x - theta x and convergence of the wanted k
+                const residuals = X.map((x, j) => {
+                    const r = new Float64Array(n);
+                    for (let t = 0; t < n; t++) r[t] = AX[j][t] - theta[j] * x[t];
+                    return r;
+                });
+                converged = residuals.map(r => Math.sqrt(this.dot(r, r)) <= this.tolerance * scale);
+                const done = converged.slice(0, k).filter(Boolean).length;
+                this.calculator.reportProgress(`LOBPCG iteration ${iteration}`, done, k);
+                if (done === k) {
+                    return { eigenvalues: theta, eigenvectors: X, iterations: iteration };
+                }
+
+                // Preconditioned residuals of the unconverged vectors; X is
+                // orthonormal already, so only W and P are orthonormalized
+                const W = residuals.filter((r, j) => !converged[j]).map(r => precondition ? precondition(r) : r);
+                basis = [...X, ...this.orthonormalize(W, X)];
+                basis.push(...this.orthonormalize(P, basis));
+            }
+
+            const products = applyAll(basis);
+            const ritz = this.rayleighRitz(basis, products);
+            const size = Math.min(blockSize, basis.length);
+            const newX = this.combine(basis, ritz.coefficients, size);
+
+            // P is the part of the new block outside the old one: X_new - X (X^T X_new)
+            if (iteration > 0) {
+                const overlap = X.map(x => newX.map(y => this.dot(x, y)));
+                const back = this.combine(X, overlap, size);
+                P = newX.map((y, j) => y.map((value, t) => value - back[j][t]));
+            }
+
+            X = newX;
+            AX = this.combine(products, ritz.coefficients, size);
+            theta = ritz.values.slice(0, size);
+        }
+
+        throw new Error(`LOBPCG did not converge in ${this.maxIterations} iterations`);
+    }
+}
+
+// Initialize sparse eigensolver
+const sparseEigenSolver = new SparseEigenSolver(eigenvalueCalculator);
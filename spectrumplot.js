@@ -0,0 +1,237 @@
+// Plot of the spectrum as a number line, a histogram with a density curve,
+// or a step plot of λk against k. When new eigenvalues arrive the plot
+// animates from the values on screen, matching them by index k.
+class SpectrumPlot {
+    constructor(canvasId = 'spectrumPlotCanvas') {
+        this.canvasId = canvasId;
+        this.view = 'numberLine';
+        this.values = []; // eigenvalues as currently drawn (mid-animation values included)
+        this.offset = 0; // index of the first value in the full spectrum (partial spectra)
+        this.duration = 400; // ms
+        this.animationFrame = null;
+    }
+
+    getViews() {
+        return {
+            numberLine: 'Number line',
+            histogram: 'Histogram and density',
+            steps: 'Step plot λk vs k'
+        };
+    }
+
+    setView(view) {
+        if (!this.getViews()[view]) {
+            throw new Error(`Unknown spectrum plot: ${view}`);
+        }
+        this.view = view;
+        this.draw();
+    }
+
+    // Show new (real, ascending) eigenvalues, animating from the old ones.
+    // Eigenvalues that did not exist before grow out of the nearest old one.
+    update(eigenvalues, offset = 0) {
+        this.stopAnimation();
+        const from = this.values;
+        const to = eigenvalues.slice();
+        this.offset = offset;
+
+        if (from.length === 0 || typeof requestAnimationFrame === 'undefined') {
+            this.values = to;
+            this.draw();
+            return;
+        }
+
+        const start = to.map((value, i) => from[Math.min(i, from.length - 1)]);
+        const startTime = performance.now();
+        const frame = (now) => {
+            const t = Math.min(1, (now - startTime) / this.duration);
+            const eased = 1 - Math.pow(1 - t, 3);
+            this.values = t < 1 ? to.map((value, i) => start[i] + (value - start[i]) * eased) : to;
+            this.draw();
+            this.animationFrame = t < 1 ? requestAnimationFrame(frame) : null;
+        };
+        this.animationFrame = requestAnimationFrame(frame);
+    }
+
+    clear() {
+        this.stopAnimation();
+        this.values = [];
+        this.offset = 0;
+        this.draw();
+    }
+
+    stopAnimation() {
+        if (this.animationFrame !== null) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+    }
+
+    // Value range shown on the eigenvalue axis, padded so points are not on the border
+    getRange(values) {
+        let min = Math.min(...values);
+        let max = Math.max(...values);
+        if (max - min < 1e-9) {
+            min -= 1;
+            max += 1;
+        }
+        const padding = (max - min) * 0.05;
+        return { min: min - padding, max: max + padding };
+    }
+
+    draw() {
+        const canvas = document.getElementById(this.canvasId);
+        if (!canvas) return;
+        const ctx = canvas.getContext('2d');
+        const colors = graph.getColors();
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.font = '10px Arial';
+
+        if (this.values.length === 0) {
+            ctx.fillStyle = colors.textSecondary;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText('No spectrum', canvas.width / 2, canvas.height / 2);
+            return;
+        }
+
+        const plot = { left: 30, right: canvas.width - 10, top: 10, bottom: canvas.height - 20 };
+        if (this.view === 'histogram') {
+            this.drawHistogram(ctx, plot, colors);
+        } else if (this.view === 'steps') {
+            this.drawSteps(ctx, plot, colors);
+        } else {
+            this.drawNumberLine(ctx, plot, colors);
+        }
+    }
+
+    // Horizontal axis for eigenvalues with the range ends and 0 labelled
+    drawValueAxis(ctx, plot, range, colors) {
+        const toX = value => plot.left + (value - range.min) / (range.max - range.min) * (plot.right - plot.left);
+        ctx.strokeStyle = colors.textSecondary;
+        ctx.fillStyle = colors.textSecondary;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(plot.left, plot.bottom);
+        ctx.lineTo(plot.right, plot.bottom);
+        ctx.stroke();
+
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        const ticks = [range.min, range.max];
+        if (range.min < 0 && range.max > 0) ticks.push(0);
+        ticks.forEach(value => {
+            const label = Math.round(value * 100) / 100;
+            ctx.beginPath();
+            ctx.moveTo(toX(value), plot.bottom);
+            ctx.lineTo(toX(value), plot.bottom + 3);
+            ctx.stroke();
+            ctx.fillText(String(label), toX(value), plot.bottom + 5);
+        });
+        return toX;
+    }
+
+    // Eigenvalues as dots on a line; repeated eigenvalues are stacked
+    drawNumberLine(ctx, plot, colors) {
+        const range = this.getRange(this.values);
+        const toX = this.drawValueAxis(ctx, plot, range, colors);
+        const groups = eigenvalueCalculator.groupEigenvalues(this.values, 1e-6);
+        const tallest = Math.max(...groups.map(group => group.multiplicity));
+        const spacing = Math.min(10, (plot.bottom - plot.top - 6) / tallest);
+
+        ctx.fillStyle = '#4facfe';
+        groups.forEach(group => {
+            for (let m = 0; m < group.multiplicity; m++) {
+                ctx.beginPath();
+                ctx.arc(toX(group.value), plot.bottom - 6 - m * spacing, 4, 0, 2 * Math.PI);
+                ctx.fill();
+            }
+        });
+    }
+
+    // Histogram with about sqrt(n) bins and a Gaussian kernel density estimate
+    drawHistogram(ctx, plot, colors) {
+        const values = this.values;
+        const range = this.getRange(values);
+        const toX = this.drawValueAxis(ctx, plot, range, colors);
+        const binCount = Math.max(5, Math.min(30, Math.round(Math.sqrt(values.length))));
+        const binWidth = (range.max - range.min) / binCount;
+        const counts = Array(binCount).fill(0);
+        values.forEach(value => {
+            counts[Math.min(binCount - 1, Math.floor((value - range.min) / binWidth))]++;
+        });
+        const height = plot.bottom - plot.top;
+        const maxCount = Math.max(...counts);
+
+        ctx.fillStyle = 'rgba(102, 126, 234, 0.6)';
+        counts.forEach((count, b) => {
+            const x1 = toX(range.min + b * binWidth);
+            const x2 = toX(range.min + (b + 1) * binWidth);
+            const barHeight = count / maxCount * height;
+            ctx.fillRect(x1 + 1, plot.bottom - barHeight, Math.max(1, x2 - x1 - 2), barHeight);
+        });
+
+        // Silverman's rule for the bandwidth, scaled like the bars
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        const deviation = Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+        const bandwidth = Math.max(1.06 * deviation * Math.pow(values.length, -0.2), (range.max - range.min) / 100);
+        const density = x => values.reduce((sum, value) => sum + Math.exp(-0.5 * ((x - value) / bandwidth) ** 2), 0);
+        const samples = Array(101).fill().map((_, s) => range.min + s / 100 * (range.max - range.min));
+        const densities = samples.map(density);
+        const maxDensity = Math.max(...densities);
+
+        ctx.strokeStyle = '#f093fb';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        samples.forEach((x, s) => {
+            const y = plot.bottom - densities[s] / maxDensity * height;
+            if (s === 0) ctx.moveTo(toX(x), y);
+            else ctx.lineTo(toX(x), y);
+        });
+        ctx.stroke();
+    }
+
+    // λk against k as a staircase; k counts from 1 in the full spectrum
+    drawSteps(ctx, plot, colors) {
+        const values = this.values;
+        const range = this.getRange(values);
+        const first = this.offset + 1;
+        const last = this.offset + values.length;
+        const toX = k => plot.left + (k - first) / Math.max(1, last + 1 - first) * (plot.right - plot.left);
+        const toY = value => plot.bottom - (value - range.min) / (range.max - range.min) * (plot.bottom - plot.top);
+
+        // Axes
+        ctx.strokeStyle = colors.textSecondary;
+        ctx.fillStyle = colors.textSecondary;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(plot.left, plot.top);
+        ctx.lineTo(plot.left, plot.bottom);
+        ctx.lineTo(plot.right, plot.bottom);
+        ctx.stroke();
+
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillText(`k = ${first}`, toX(first) + 12, plot.bottom + 5);
+        ctx.fillText(String(last), toX(last + 1), plot.bottom + 5);
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        [range.min, range.max].forEach(value => {
+            ctx.fillText(String(Math.round(value * 100) / 100), plot.left - 3, toY(value));
+        });
+
+        ctx.strokeStyle = '#4facfe';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        values.forEach((value, i) => {
+            const k = first + i;
+            if (i === 0) ctx.moveTo(toX(k), toY(value));
+            else ctx.lineTo(toX(k), toY(value));
+            ctx.lineTo(toX(k + 1), toY(value));
+        });
+        ctx.stroke();
+    }
+}
+
+// Initialize spectrum plot
+const spectrumPlot = new SpectrumPlot();
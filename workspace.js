@@ -0,0 +1,170 @@
+// Persistence of graphs in localStorage and in shareable URL hashes
+//
+// The working graph is autosaved on every change; named saves are kept as a
+// list of { id, name, savedAt, state } where state comes from Graph.getState().
+class WorkspaceStore {
+    constructor() {
+        this.autosaveKey = 'graphAutosave';
+        this.savedGraphsKey = 'savedGraphs';
+        this.hashPrefix = '#g=';
+    }
+
+    // Store the working graph; returns false when storage is unavailable or full
+    autosave(graph) {
+        try {
+            localStorage.setItem(this.autosaveKey, JSON.stringify(graph.getState()));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Load the autosaved graph, if there is a usable one
+    restoreAutosave(graph) {
+        const text = localStorage.getItem(this.autosaveKey);
+        if (!text) return false;
+        try {
+            graph.setState(JSON.parse(text));
+            graph.fitView();
+            return true;
+        } catch (error) {
+            localStorage.removeItem(this.autosaveKey);
+            return false;
+        }
+    }
+
+    // Named saves, most recent first
+    listSaved() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.savedGraphsKey) || '[]');
+            return Array.isArray(saved) ? saved.sort((a, b) => b.savedAt - a.savedAt) : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    writeSaved(saved) {
+        localStorage.setItem(this.savedGraphsKey, JSON.stringify(saved));
+    }
+
+    findSaved(id) {
+        const entry = this.listSaved().find(item => item.id === id);
+        if (!entry) {
+            throw new Error('Saved graph not found');
+        }
+        return entry;
+    }
+
+    // Save the current graph under a name, replacing a save with the same name
+    save(graph, name) {
+        const saved = this.listSaved().filter(item => item.name !== name);
+        const entry = { id: this.createId(), name, savedAt: Date.now(), state: graph.getState() };
+        saved.push(entry);
+        this.writeSaved(saved);
+        return entry;
+    }
+
+    open(graph, id) {
+        graph.setState(this.findSaved(id).state);
+        graph.fitView();
+    }
+
+    rename(id, name) {
+        const saved = this.listSaved();
+        if (saved.some(item => item.name === name && item.id !== id)) {
+            throw new Error(`A saved graph named "${name}" already exists`);
+        }
+        saved.forEach(item => {
+            if (item.id === id) item.name = name;
+        });
+        this.writeSaved(saved);
+    }
+
+    duplicate(id) {
+        const original = this.findSaved(id);
+        const names = new Set(this.listSaved().map(item => item.name));
+        let name = `${original.name} (copy)`;
+        for (let n = 2; names.has(name); n++) {
+            name = `${original.name} (copy ${n})`;
+        }
+        const saved = this.listSaved();
+        const entry = { id: this.createId(), name, savedAt: Date.now(), state: original.state };
+        saved.push(entry);
+        this.writeSaved(saved);
+        return entry;
+    }
+
+    remove(id) {
+        this.writeSaved(this.listSaved().filter(item => item.id !== id));
+    }
+
+    createId() {
+        return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    }
+
+    // Compact hash: #g=<header>;<nodes>;<edges>
+    //   header  d|u, matrix type, degree type
+    //   nodes   x,y[,label] separated by "/" (label omitted when it is the default)
+    //   edges   from,to[,weight] as node indices separated by "/" (weight omitted when 1)
+    encodeShareHash(graph) {
+        const indexOf = new Map(graph.nodes.map((node, i) => [node.id, i]));
+        const header = [graph.isDirected ? 'd' : 'u', graph.matrixType, graph.degreeType].join(',');
+        const nodes = graph.nodes.map((node, i) => {
+            const fields = [Math.round(node.x), Math.round(node.y)];
+            if (String(node.label) !== String(i + 1)) {
+                fields.push(encodeURIComponent(node.label));
+            }
+            return fields.join(',');
+        }).join('/');
+        const edges = graph.edges.map(edge => {
+            const fields = [indexOf.get(edge.from), indexOf.get(edge.to)];
+            if (edge.weight !== 1) fields.push(edge.weight);
+            return fields.join(',');
+        }).join('/');
+        return this.hashPrefix + [header, nodes, edges].join(';');
+    }
+
+    hasShareHash(hash) {
+        return hash.startsWith(this.hashPrefix);
+    }
+
+    // Load a graph from a hash made by encodeShareHash
+    decodeShareHash(graph, hash) {
+        const parts = hash.slice(this.hashPrefix.length).split(';');
+        if (parts.length !== 3) {
+            throw new Error('Invalid share link');
+        }
+        const [direction, matrixType, degreeType] = parts[0].split(',');
+        const number = text => {
+            const value = Number(text);
+            if (text === '' || !isFinite(value)) {
+                throw new Error(`Invalid share link: "${text}" is not a number`);
+            }
+            return value;
+        };
+
+        const nodes = parts[1] === '' ? [] : parts[1].split('/').map(item => {
+            const [x, y, label] = item.split(',');
+            const node = { x: number(x), y: number(y) };
+            if (label !== undefined) node.label = decodeURIComponent(label);
+            return node;
+        });
+        const edges = parts[2] === '' ? [] : parts[2].split('/').map(item => {
+            const [from, to, weight] = item.split(',');
+            const edge = { from: number(from), to: number(to), weight: weight !== undefined ? number(weight) : 1 };
+            if (!(edge.weight > 0)) {
+                throw new Error(`Invalid share link: edge weight ${edge.weight} is not positive`);
+            }
+            return edge;
+        });
+
+        graph.loadGraph(nodes, edges, direction === 'd');
+        graph.setDegreeType(degreeType === 'in' ? 'in' : 'out');
+        if (graph.getMatrixTypes()[matrixType]) {
+            graph.setMatrixType(matrixType);
+        }
+    }
+}
+
+// Initialize workspace store
+const workspaceStore = new WorkspaceStore();